@@ -1,25 +1,161 @@
 import * as fs from 'node:fs/promises'
+import * as path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
 
+import {
+  BundleLoadError,
+  QuestioningCancelledError,
+  UnresolvedParametersError
+} from '../lib/errors'
 import { Questioner } from '../lib/questioner'
 
-const filePath = process.argv[2]
-const envFile = process.argv[3]
+// some option names are hyphenated, so all the keys are quoted to keep them consistent
+/* eslint-disable quote-props */
+const options = {
+  // answer from the initial parameters and defaults only
+  'non-interactive' : { type : 'boolean' },
+  // a JS module exporting a 'types' registry of custom types
+  'plugin'          : { type : 'string', short : 'p' },
+  // the snapshot file used to autosave and resume the interview
+  'resume'          : { type : 'string', short : 'r' },
+  // include 'secret' answers in the output rather than redacting them
+  'show-secrets'    : { type : 'boolean' },
+}
+/* eslint-enable quote-props */
+
+const {
+  positionals: [filePath, envFile],
+  values: {
+    'non-interactive': nonInteractive,
+    plugin,
+    resume,
+    'show-secrets': showSecrets,
+  },
+} = parseArgs({ allowPositionals : true, options })
+
+const readSnapshot = async (snapshotFile) => {
+  try {
+    return JSON.parse(await fs.readFile(snapshotFile, { encoding : 'utf8' }))
+  }
+  catch (e) {
+    if (e.code === 'ENOENT') {
+      return undefined // nothing to resume
+    }
+    throw e
+  }
+}
+
+const writeSnapshot = async (snapshotFile, snapshot) => {
+  // snapshots include secret values as is, so the file must never be readable by others; 'mode' only applies when a
+  // file is created, so we write a fresh temp file and move it over the snapshot file, which also means an
+  // interrupted write never leaves a truncated snapshot behind
+  const tmpFile = snapshotFile + '.tmp'
+  await fs.rm(tmpFile, { force : true })
+  await fs.writeFile(tmpFile, JSON.stringify(snapshot, null, '  '), {
+    flag : 'wx',
+    mode : 0o600,
+  })
+  await fs.rename(tmpFile, snapshotFile)
+}
+
+const loadPlugin = async (pluginPath) => {
+  const plugin = await import(pathToFileURL(path.resolve(pluginPath)).href)
+
+  // CommonJS plugins may only be available as the default export
+  return plugin.types === undefined ? plugin.default : plugin
+}
+
 ;(async () => {
-  const interactions = JSON.parse(
-    await fs.readFile(filePath, { encoding : 'utf8' })
-  )
+  const { types } = plugin === undefined ? {} : await loadPlugin(plugin)
+
+  let interactions
+  try {
+    interactions = await Questioner.loadBundle(filePath, { types })
+  }
+  catch (e) {
+    if (e instanceof BundleLoadError) {
+      console.error(e.message)
+      process.exitCode = 1
+
+      return
+    }
+    throw e
+  }
+
   const initialParameters =
     envFile === undefined
       ? {}
       : JSON.parse(await fs.readFile(envFile, { encoding : 'utf8' }))
 
-  const questioner = new Questioner({ initialParameters, interactions })
-  await questioner.question()
+  const snapshot = resume === undefined ? undefined : await readSnapshot(resume)
+  const autosave =
+    resume === undefined
+      ? undefined
+      : (snapshot) => writeSnapshot(resume, snapshot)
+
+  let questioner
+  try {
+    questioner = new Questioner({
+      autosave,
+      initialParameters,
+      interactions,
+      nonInteractive,
+      snapshot,
+      types,
+    })
+  }
+  catch (e) {
+    if (snapshot !== undefined && e.argumentName === 'snapshot') {
+      console.error(
+        `Snapshot '${resume}' is malformed or was saved from a different bundle; remove it to start over.`
+      )
+      process.exitCode = 1
+
+      return
+    }
+    throw e
+  }
+  try {
+    await questioner.question()
+  }
+  catch (e) {
+    if (e instanceof UnresolvedParametersError) {
+      console.error(e.message)
+      process.exitCode = 1
+
+      return
+    }
+    else if (e instanceof QuestioningCancelledError) {
+      console.error(
+        '\n'
+          + e.message
+          + (resume === undefined
+            ? ''
+            : ` Progress saved; run again with '--resume ${resume}' to continue.`)
+      )
+      process.exitCode = e.reason === 'interrupted' ? 130 : 1
+
+      return
+    }
+    throw e
+  }
+
+  if (resume !== undefined) {
+    // the interview is complete, so there's nothing left to resume
+    await fs.rm(resume, { force : true })
+  }
+
+  const results = questioner.getResults({ revealSecrets : showSecrets })
+  const values = results.reduce((acc, { parameter, value }) => {
+    acc[parameter] = value
 
+    return acc
+  }, {})
   console.log(
     '\n'
-      + JSON.stringify(questioner.values, null, '  ')
+      + JSON.stringify(values, null, '  ')
       + '\n'
-      + JSON.stringify(questioner.results, null, '  ')
+      + JSON.stringify(results, null, '  ')
   )
 })()
@@ -0,0 +1,111 @@
+import {
+  ArgumentInvalidError,
+  CommonError,
+  registerParent
+} from 'standard-error-set'
+
+const bundleLoadName = 'BundleLoadError'
+
+/**
+ * Indicates that an interrogation bundle, or a bundle it includes, could not be loaded. The `file` field is the bundle
+ * file where the problem originated and the `pointer`, if defined, is a JSON pointer to the offending action in that
+ * file. For invalid bundles, the `issues` field lists every problem found; see `Questioner.validateBundle()`. When an
+ * included bundle is invalid or can't be parsed, the `from` field is the including `file` and the `pointer` to the
+ * include action.
+ */
+const BundleLoadError = class extends CommonError {
+  /**
+   * {@link BundleLoadError} constructor.
+   * @param {object} [options = {}] - Constructor options. Any other options (e.g., `cause`) are passed to the
+   *   `CommonError` constructor.
+   * @param {string} [options.file] - The bundle file where the problem originated.
+   * @param {{file: string, pointer: string}} [options.from] - The include site of the `file`, if it was included.
+   * @param {Array<{pointer: string, message: string}>} [options.issues = []] - The problems with an invalid bundle.
+   * @param {string} [options.pointer] - A JSON pointer to the offending action in the `file`, if any.
+   */
+  constructor({ file, from, issues = [], pointer, ...options } = {}) {
+    options.message =
+      options.message
+      || `Bundle '${file}'`
+        + (from === undefined
+          ? ''
+          : ` included at '${from.pointer}' in '${from.file}'`)
+        + ' is invalid:\n'
+        + issues
+          .map(({ message, pointer }) => `- ${pointer}: ${message}`)
+          .join('\n')
+    super({ name : bundleLoadName, file, from, issues, pointer, ...options })
+  }
+}
+
+registerParent(bundleLoadName, Object.getPrototypeOf(BundleLoadError).name)
+
+BundleLoadError.typeName = bundleLoadName
+
+const cancelledName = 'QuestioningCancelledError'
+const cancelledMessages = {
+  aborted     : 'Questioning was cancelled.',
+  eof         : 'Questioning was cancelled; the input ended before all questions were answered.',
+  interrupted : 'Questioning was interrupted.',
+}
+
+/**
+ * Indicates that questioning was cancelled before the interview completed. The `reason` field is one of 'aborted'
+ * (the `AbortSignal` passed to `question()` was aborted), 'eof' (the input closed, e.g. by Ctrl-D), or
+ * 'interrupted' (SIGINT, e.g. by Ctrl-C). The `results` field holds the results collected before cancellation.
+ */
+const QuestioningCancelledError = class extends CommonError {
+  /**
+   * {@link QuestioningCancelledError} constructor.
+   * @param {object} [options = {}] - Constructor options. Any other options (e.g., `cause`) are passed to the
+   *   `CommonError` constructor.
+   * @param {string} [options.reason = 'aborted'] - Why questioning was cancelled.
+   * @param {Array<object>} [options.results = []] - The results collected before questioning was cancelled.
+   */
+  constructor({ reason = 'aborted', results = [], ...options } = {}) {
+    options.message = options.message || cancelledMessages[reason]
+    super({ name : cancelledName, reason, results, ...options })
+  }
+}
+
+registerParent(
+  cancelledName,
+  Object.getPrototypeOf(QuestioningCancelledError).name
+)
+
+QuestioningCancelledError.typeName = cancelledName
+
+const unresolvedName = 'UnresolvedParametersError'
+
+/**
+ * An `ArgumentInvalidError` sub-type indicating that a non-interactive interview could not resolve one or more
+ * parameters from the initial parameters and question defaults. The `issues` field lists every problem found.
+ */
+const UnresolvedParametersError = class extends ArgumentInvalidError {
+  /**
+   * {@link UnresolvedParametersError} constructor.
+   * @param {object} [options = {}] - Constructor options. Any other options are passed to the `ArgumentInvalidError`
+   *   constructor.
+   * @param {Array<{kind: string, parameter: string, pointer: string, message: string}>} [options.issues = []] - The
+   *   unresolved parameters. `kind` is either 'missing' or 'invalid' and `pointer` is a JSON pointer to the action
+   *   which sets the parameter.
+   */
+  constructor({ issues = [], ...options } = {}) {
+    options.message =
+      options.message
+      || `Could not resolve ${issues.length} parameter${issues.length === 1 ? '' : 's'} non-interactively:\n`
+        + issues
+          .map(({ message, pointer }) => `- ${pointer}: ${message}`)
+          .join('\n')
+    super({ name : unresolvedName, issues, status : 400, ...options })
+  }
+}
+
+registerParent(
+  unresolvedName,
+  Object.getPrototypeOf(UnresolvedParametersError).name
+)
+
+UnresolvedParametersError.typeName = unresolvedName
+
+export { BundleLoadError, QuestioningCancelledError, UnresolvedParametersError }
@@ -1 +1,3 @@
+export * from './errors'
 export * from './questioner'
+export * from './renderers'
@@ -0,0 +1,327 @@
+import { BooleanString, Integer, Numeric } from 'string-input'
+
+import {
+  evalNumber,
+  evalTruth,
+  referencedParameters,
+  testParameters
+} from './expressions'
+import { templateParameters } from './interpolate'
+import { isSourcePath } from './options'
+import { settersOf } from './setters'
+import { evalString, stringExpressionParameters } from './string-expressions'
+import { translateType } from './translate-type'
+
+/**
+ * Analyzes the parameter references in an interrogation bundle's `condition` (including option conditions), map
+ * `source`, `elseSource`, `defaultSource`, and repeating group `while` expressions, `optionsSource` paths, and the
+ * '{{PARAMETER}}' references in prompts, statements, defaults, and options, including those of the actions within
+ * repeating groups. Each expression is parsed and test evaluated to catch malformed expressions, references to
+ * parameters which cannot be defined by the time the expression is evaluated, map parameters which are set but never
+ * used, and actions which can never run.
+ * @param {Array<object>} interactions - The interrogation bundle to analyze. The bundle should be valid; see
+ *   `validateBundle()`.
+ * @param {object} [options] - Analysis options.
+ * @param {object} [options.initialParameters = {}] - The initial parameters the bundle will be run with.
+ * @param {boolean} [options.noSkipDefined = false] - Analyze as if the `Questioner` `noSkipDefined` option is set.
+ * @returns {Array<{kind: string, pointer: string, message: string, parameter: string}>} A list of findings, each
+ *   with a JSON pointer to the offending element. `kind` is one of 'invalid-expression', 'undefined-reference',
+ *   'unreachable-action', or 'unused-parameter'. `parameter` is set for parameter related findings.
+ */
+const analyzeBundle = (
+  interactions,
+  { initialParameters = {}, noSkipDefined = false } = {}
+) => {
+  const findings = []
+  // Where each parameter is first set so we can tell the difference between "never defined" and "defined too late".
+  const firstSetters = {}
+  interactions.forEach((action, i) => {
+    for (const { parameter, pointer } of settersOf(action)) {
+      firstSetters[parameter] = firstSetters[parameter] || `/${i}${pointer}`
+    }
+  })
+
+  const initialNames = Object.keys(initialParameters)
+  const possiblyDefined = new Set(initialNames)
+  const definitelyDefined = new Set(initialNames)
+  const referenced = new Set()
+
+  const checkReference = ({ defined, parameter, pointer }) => {
+    const [root] = parameter.split('.')
+    referenced.add(root)
+    if (!defined.has(root)) {
+      const firstSetter = firstSetters[root]
+      findings.push({
+        kind : 'undefined-reference',
+        pointer,
+        parameter,
+        message :
+          firstSetter === undefined
+            ? `'${parameter}' is never defined by the bundle or initial parameters`
+            : `'${parameter}' is referenced before it can be defined (first set at '${firstSetter}')`,
+      })
+    }
+  }
+
+  const checkExpression = ({ defined, expression, pointer, string, truth }) => {
+    let parameters
+    try {
+      parameters =
+        string === true
+          ? stringExpressionParameters(expression)
+          : referencedParameters(expression)
+    }
+    catch (e) {
+      findings.push({ kind : 'invalid-expression', pointer, message : e.message })
+
+      return
+    }
+    for (const parameter of parameters) {
+      checkReference({ defined, parameter, pointer })
+    }
+
+    try {
+      const evaluate =
+        string === true ? evalString : truth === true ? evalTruth : evalNumber
+      // test values let us check the expression is well formed
+      const result = evaluate(expression, testParameters(parameters))
+
+      // with no parameters, the result is constant
+      return parameters.length === 0 ? result : undefined
+    }
+    catch (e) {
+      findings.push({ kind : 'invalid-expression', pointer, message : e.message })
+    }
+  }
+
+  const analyzeAction = (action, pointer) => {
+    let conditionResult
+    if (action.condition !== undefined) {
+      conditionResult = checkExpression({
+        defined    : possiblyDefined,
+        expression : action.condition,
+        pointer    : pointer + '/condition',
+        truth      : true,
+      })
+      if (conditionResult === false) {
+        findings.push({
+          kind    : 'unreachable-action',
+          pointer,
+          message : `condition '${action.condition}' is always false`,
+        })
+      }
+    }
+
+    const templates = [
+      ['/prompt', action.prompt],
+      ['/statement', action.statement],
+      ['/default', action.default],
+    ]
+    action.options?.forEach((option, optionI) => {
+      if (option !== null && typeof option === 'object') {
+        for (const field of ['label', 'value', 'description']) {
+          templates.push([`/options/${optionI}/${field}`, option[field]])
+        }
+      }
+      else {
+        templates.push([`/options/${optionI}`, option])
+      }
+    })
+    for (const [field, template] of templates) {
+      try {
+        for (const parameter of templateParameters(template)) {
+          checkReference({
+            defined : possiblyDefined,
+            parameter,
+            pointer : pointer + field,
+          })
+        }
+      }
+      catch (e) {
+        findings.push({
+          kind    : 'invalid-expression',
+          pointer : pointer + field,
+          message : e.message,
+        })
+      }
+    }
+
+    if (action.elseSource !== undefined) {
+      checkExpression({
+        defined    : possiblyDefined,
+        expression : action.elseSource,
+        pointer    : pointer + '/elseSource',
+        truth      : isBoolType(action.type),
+      })
+    }
+
+    if (action.defaultSource !== undefined) {
+      checkExpression({
+        defined    : possiblyDefined,
+        expression : action.defaultSource,
+        pointer    : pointer + '/defaultSource',
+        string     : isStringType(action.type),
+        truth      : isBoolType(action.type),
+      })
+    }
+
+    if (action.optionsSource !== undefined) {
+      // options sources are parameter paths rather than expressions
+      if (isSourcePath(action.optionsSource)) {
+        checkReference({
+          defined   : possiblyDefined,
+          parameter : action.optionsSource,
+          pointer   : pointer + '/optionsSource',
+        })
+      }
+      else {
+        findings.push({
+          kind    : 'invalid-expression',
+          pointer : pointer + '/optionsSource',
+          message : `'${action.optionsSource}' is not a parameter name or a dotted path into an object parameter`,
+        })
+      }
+    }
+    action.options?.forEach((option, optionI) => {
+      if (option?.condition !== undefined) {
+        checkExpression({
+          defined    : possiblyDefined,
+          expression : option.condition,
+          pointer    : `${pointer}/options/${optionI}/condition`,
+          truth      : true,
+        })
+      }
+    })
+
+    const hasElse =
+      action.elseValue !== undefined || action.elseSource !== undefined
+    const alwaysSets = action.condition === undefined || hasElse
+
+    if (action.repeat !== undefined && conditionResult !== false) {
+      // The group actions see the values of the item being collected and 'while' sees the values of the previous
+      // item, but the item values aren't defined outside the group.
+      const outerPossiblyDefined = new Set(possiblyDefined)
+      const outerDefinitelyDefined = new Set(definitelyDefined)
+      if (action.while !== undefined) {
+        checkExpression({
+          defined : new Set([
+            ...possiblyDefined,
+            ...action.repeat.flatMap((member) =>
+              settersOf(member).map(({ parameter }) => parameter)),
+          ]),
+          expression : action.while,
+          pointer    : pointer + '/while',
+          truth      : true,
+        })
+      }
+      action.repeat.forEach((member, memberI) =>
+        analyzeAction(member, `${pointer}/repeat/${memberI}`))
+      resetSet(possiblyDefined, outerPossiblyDefined)
+      resetSet(definitelyDefined, outerDefinitelyDefined)
+    }
+
+    if (action.prompt !== undefined || action.repeat !== undefined) {
+      const { parameter } = action
+      if (
+        conditionResult !== false
+        && definitelyDefined.has(parameter)
+        && noSkipDefined !== true
+        && action.noSkipDefined !== true
+      ) {
+        findings.push({
+          kind    : 'unreachable-action',
+          pointer,
+          parameter,
+          message : `${action.prompt === undefined ? 'group' : 'question'} is always skipped because '${parameter}' is always defined by this point`,
+        })
+      }
+      if (conditionResult !== false || hasElse) {
+        possiblyDefined.add(parameter)
+      }
+      if (alwaysSets === true) {
+        definitelyDefined.add(parameter)
+      }
+    }
+    else if (action.maps !== undefined && conditionResult !== false) {
+      action.maps.forEach((map, mapI) => {
+        if (map.source !== undefined) {
+          checkExpression({
+            defined    : possiblyDefined,
+            expression : map.source,
+            pointer    : `${pointer}/maps/${mapI}/source`,
+            string     : isStringType(map.type),
+            truth      : isBoolType(map.type),
+          })
+        }
+        possiblyDefined.add(map.parameter)
+        if (alwaysSets === true) {
+          definitelyDefined.add(map.parameter)
+        }
+      })
+    }
+  }
+
+  interactions.forEach((action, i) => analyzeAction(action, '/' + i))
+
+  // question and group parameters are the interview results, so only the intermediate values computed by maps are
+  // expected to be referenced
+  const reportedUnused = new Set()
+  interactions.forEach((action, i) => {
+    if (action.maps === undefined) {
+      return
+    }
+    for (const { parameter, pointer } of settersOf(action)) {
+      if (!referenced.has(parameter) && !reportedUnused.has(parameter)) {
+        reportedUnused.add(parameter)
+        findings.push({
+          kind    : 'unused-parameter',
+          pointer : `/${i}${pointer}`,
+          parameter,
+          message : `'${parameter}' is set but never referenced by any expression or template`,
+        })
+      }
+    }
+  })
+
+  return findings
+}
+
+const isBoolType = (type) => {
+  try {
+    return translateType(type) === BooleanString
+  }
+  catch (e) {
+    // invalid types are reported by 'validateBundle()'
+    return false
+  }
+}
+
+/**
+ * Determines whether a map with the given type has a string `source` expression rather than a condition-eval
+ * expression.
+ * @param {string|Function} [type] - The map type.
+ * @returns {boolean} True unless the type is boolean or numeric.
+ * @private
+ */
+const isStringType = (type) => {
+  try {
+    return ![BooleanString, Integer, Numeric].includes(translateType(type))
+  }
+  catch (e) {
+    // the built in boolean and numeric types are always recognized, so it's a custom or invalid type
+    return true
+  }
+}
+
+/**
+ * Replaces the members of a set.
+ * @param {Set} set - The set to update.
+ * @param {Set} members - The new members.
+ * @private
+ */
+const resetSet = (set, members) => {
+  set.clear()
+  members.forEach((member) => set.add(member))
+}
+
+export { analyzeBundle }
@@ -0,0 +1,131 @@
+import { spawn } from 'node:child_process'
+import * as fs from 'node:fs/promises'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+import { CommonError } from 'standard-error-set'
+
+/**
+ * Determines the user's editor from the `VISUAL` or `EDITOR` environment variables.
+ * @param {object} [env = process.env] - The environment.
+ * @returns {string|undefined} The editor command, if any.
+ */
+const editorCommand = (env = process.env) =>
+  env.VISUAL?.trim() || env.EDITOR?.trim() || undefined
+
+/**
+ * Opens a temporary file containing the text in the user's editor and reads the edited text back once the editor
+ * exits. The editor shares the terminal with the process.
+ * @param {object} options - The edit options.
+ * @param {string} options.editor - The editor command, which may include arguments; e.g., 'code --wait'. The command
+ *   is split into words like a shell would, so paths with spaces may be quoted or escaped; e.g.,
+ *   '"/Applications/My Editor/bin/edit" --wait'. The file path is added as the final argument.
+ * @param {string} [options.text = ''] - The initial text.
+ * @returns {Promise<string>} The edited text.
+ * @throws {CommonError} If the editor command is malformed, the editor cannot be started, or it exits with an error.
+ */
+const editText = async ({ editor, text = '' }) => {
+  const [command, ...args] = splitCommand(editor)
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'qna-'))
+  const file = path.join(dir, 'answer.txt')
+  try {
+    await fs.writeFile(file, text)
+
+    await new Promise((resolve, reject) => {
+      const child = spawn(command, [...args, file], { stdio : 'inherit' })
+      child.on('error', (e) =>
+        reject(
+          new CommonError({
+            message : `Could not start editor '${editor}'; ${e.message}`,
+            cause   : e,
+          })
+        ))
+      child.on('exit', (code, signal) => {
+        if (code === 0) {
+          resolve()
+        }
+        else {
+          const how = signal === null ? `with status ${code}` : `on ${signal}`
+          reject(
+            new CommonError({ message : `Editor '${editor}' exited ${how}.` })
+          )
+        }
+      })
+    })
+
+    return await fs.readFile(file, { encoding : 'utf8' })
+  }
+  finally {
+    await fs.rm(dir, { force : true, recursive : true })
+  }
+}
+
+/**
+ * Splits a command into words like a shell would, without expanding anything. Single quotes preserve everything
+ * within them, double quotes preserve everything but backslash escaped '"' and '\\', and a backslash outside of quotes
+ * escapes the following character.
+ * @param {string} command - The command.
+ * @returns {Array<string>} The words.
+ * @throws {CommonError} If the command has an unterminated quote.
+ * @private
+ */
+const splitCommand = (command) => {
+  const words = []
+  let word
+  let quote
+  for (let i = 0; i < command.length; i += 1) {
+    const char = command[i]
+    if (quote === "'") {
+      if (char === "'") {
+        quote = undefined
+      }
+      else {
+        word += char
+      }
+    }
+    else if (quote === '"') {
+      if (char === '"') {
+        quote = undefined
+      }
+      else if (char === '\\' && ['"', '\\'].includes(command[i + 1])) {
+        i += 1
+        word += command[i]
+      }
+      else {
+        word += char
+      }
+    }
+    else if (/\s/.test(char)) {
+      if (word !== undefined) {
+        words.push(word)
+        word = undefined
+      }
+    }
+    else {
+      word ??= ''
+      if (char === "'" || char === '"') {
+        quote = char
+      }
+      else if (char === '\\' && i + 1 < command.length) {
+        i += 1
+        word += command[i]
+      }
+      else {
+        word += char
+      }
+    }
+  }
+
+  if (quote !== undefined) {
+    throw new CommonError({
+      message : `Could not start editor '${command}'; unterminated ${quote} quote.`,
+    })
+  }
+  if (word !== undefined) {
+    words.push(word)
+  }
+
+  return words
+}
+
+export { editorCommand, editText }
@@ -0,0 +1,107 @@
+import { Evaluator, extractParameters } from '@liquid-labs/condition-eval'
+
+// parameters like 'TRUE' and 'HIGH' which condition-eval always defines
+const standardParameters = Object.keys(new Evaluator().parameters)
+
+// parameters we define with the current time so that 'date' and 'datetime' values can be compared against them
+const timeParameterNames = ['NOW', 'TODAY']
+
+/**
+ * Prepares the parameters for condition-eval, which only deals with numbers and booleans. `Date` values are converted
+ * to epoch milliseconds and 'NOW' and 'TODAY' (local midnight) are defined unless already set.
+ * @param {object} parameters - The parameters.
+ * @returns {object} The prepared parameters.
+ * @private
+ */
+const evaluatorParameters = (parameters) => {
+  const now = new Date()
+  const today = new Date(now)
+  today.setHours(0, 0, 0, 0)
+
+  const prepared = { NOW : now.getTime(), TODAY : today.getTime() }
+  for (const [name, value] of Object.entries(parameters)) {
+    prepared[name] = value instanceof Date ? value.getTime() : value
+  }
+
+  return prepared
+}
+
+const evalNumber = (expression, parameters) =>
+  new Evaluator({ parameters : evaluatorParameters(parameters) }).evalNumber(
+    expression
+  )
+
+const evalTruth = (expression, parameters) =>
+  new Evaluator({ parameters : evaluatorParameters(parameters) }).evalTruth(
+    expression
+  )
+
+/**
+ * Determines whether an error raised evaluating a condition-eval or string expression is due to a referenced
+ * parameter which is not defined. condition-eval raises plain `Error`s, so we have to go by the message.
+ * @param {Error} error - The error.
+ * @returns {boolean} True if the error is due to an undefined parameter.
+ */
+const isUndefinedParameterError = (error) =>
+  /^(?:Condition|Expression) parameter '[^']+' is not defined/.test(
+    error?.message
+  )
+
+/**
+ * Builds parameter values for test evaluating an expression, setting each referenced parameter to 1. Nested
+ * references (e.g., 'a.b.FOO') are set by creating the intermediate objects.
+ * @param {Array<string>} parameters - The referenced parameters.
+ * @returns {object} The test parameter values.
+ */
+const testParameters = (parameters) => {
+  const values = {}
+  for (const parameter of parameters) {
+    const keys = parameter.split('.')
+    const leaf = keys.pop()
+    const parent = keys.reduce(
+      (obj, key) => (obj[key] = obj[key] || {}),
+      values
+    )
+    parent[leaf] = 1
+  }
+
+  return values
+}
+
+/**
+ * Lists the parameters referenced in a condition-eval expression, excluding the standard parameters condition-eval
+ * defines for itself and the 'NOW' and 'TODAY' time parameters. Nested references (e.g., 'a.b.FOO') are returned whole.
+ * @param {string} expression - The condition-eval expression.
+ * @returns {Array<string>} The unique referenced parameter names in order of first appearance.
+ */
+const referencedParameters = (expression) =>
+  extractParameters({ expression }).filter(
+    (parameter) =>
+      !standardParameters.includes(parameter)
+      && !timeParameterNames.includes(parameter)
+  )
+
+/**
+ * Renames the parameters referenced in a condition-eval or string expression. Only the root of a nested reference is
+ * renamed; e.g., 'a' in 'a.b.FOO'. Quoted strings and function names are left as is.
+ * @param {string} expression - The condition-eval or string expression.
+ * @param {object} renames - Maps the parameter names to rename to their new names.
+ * @returns {string} The expression with the parameters renamed.
+ */
+const renameParameters = (expression, renames) =>
+  expression.replace(
+    /('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(?<![\w.$])([A-Za-z_$][\w$]*)(?![\w$]|\s*\()/g,
+    (match, quoted, name) =>
+      quoted === undefined && Object.hasOwn(renames, name)
+        ? renames[name]
+        : match
+  )
+
+export {
+  evalNumber,
+  evalTruth,
+  isUndefinedParameterError,
+  referencedParameters,
+  renameParameters,
+  testParameters
+}
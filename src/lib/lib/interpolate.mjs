@@ -0,0 +1,146 @@
+import { ArgumentMissingError, CommonError } from 'standard-error-set'
+
+import { formatDate, formatDateTime } from './time-types'
+
+// matches an escaped '\{{', a '{{PARAMETER}}' reference (possibly a dotted path into an object parameter), or, failing
+// those, a malformed reference
+const referenceRe =
+  /\\\{\{|\{\{\s*([A-Za-z_$][\w$]*(?:\.[\w$]+)*)\s*\}\}|\{\{[^]*?(?:\}\}|$)/g
+
+/**
+ * Splits a template into its literal text and parameter references.
+ * @param {string} template - The template.
+ * @returns {Array<string|{parameter: string}>} The template parts.
+ * @throws {CommonError} If the template contains a malformed reference.
+ * @private
+ */
+const parseTemplate = (template) => {
+  const parts = []
+  let last = 0
+  for (const match of template.matchAll(referenceRe)) {
+    const [fragment, parameter] = match
+    parts.push(template.slice(last, match.index))
+    last = match.index + fragment.length
+    if (parameter !== undefined) {
+      parts.push({ parameter })
+    }
+    else if (fragment === '\\{{') {
+      parts.push('{{')
+    }
+    else {
+      throw new CommonError({
+        message : `Malformed parameter reference '${fragment}' in '${template}'; use '{{PARAMETER}}' or, for a literal '{{', '\\{{'.`,
+      })
+    }
+  }
+  parts.push(template.slice(last))
+
+  return parts
+}
+
+/**
+ * Lists the parameters referenced by a template.
+ * @param {*} template - The template. Non-string values have no references.
+ * @returns {Array<string>} The referenced parameters, which may be dotted paths into object parameters.
+ * @throws {CommonError} If the template contains a malformed reference.
+ */
+const templateParameters = (template) =>
+  typeof template === 'string'
+    ? parseTemplate(template)
+      .filter((part) => typeof part !== 'string')
+      .map(({ parameter }) => parameter)
+    : []
+
+/**
+ * Replaces the '{{PARAMETER}}' references in a template with the parameter values. A '\{{' is replaced with a
+ * literal '{{'. Dates are formatted as 'YYYY-MM-DD' or, if they have a time, 'YYYY-MM-DD HH:MM' and arrays are listed
+ * with ', '.
+ * @param {*} template - The template. Non-string values are returned as is.
+ * @param {object} parameters - The parameter values.
+ * @param {object} [options] - Interpolation options.
+ * @param {string} [options.missing] - Replaces references to parameters which are not defined. If not set, such
+ *   references are an error.
+ * @returns {*} The interpolated template.
+ * @throws {ArgumentMissingError} If a referenced parameter is not defined and `missing` is not set.
+ * @throws {CommonError} If the template contains a malformed reference.
+ */
+const interpolate = (template, parameters, { missing } = {}) => {
+  if (typeof template !== 'string' || !template.includes('{{')) {
+    return template
+  }
+
+  return parseTemplate(template)
+    .map((part) => {
+      if (typeof part === 'string') {
+        return part
+      }
+
+      const [root, ...path] = part.parameter.split('.')
+      const value = path.reduce((value, key) => value?.[key], parameters[root])
+      if (value === undefined && missing !== undefined) {
+        return missing
+      }
+      else if (value === undefined) {
+        throw new ArgumentMissingError({
+          argumentName : part.parameter,
+          endpointType : 'template parameter',
+          issue        : `is not defined; referenced in '${template}'`,
+          status       : 500,
+        })
+      }
+
+      return formatValue(value)
+    })
+    .join('')
+}
+
+/**
+ * Renames the parameters referenced by a template. Only the root of a path reference is renamed; e.g., 'a' in
+ * '{{a.b}}'.
+ * @param {*} template - The template. Non-string values are returned as is.
+ * @param {object} renames - Maps the parameter names to rename to their new names.
+ * @returns {*} The template with the references renamed.
+ */
+const renameTemplateParameters = (template, renames) =>
+  typeof template !== 'string'
+    ? template
+    : template.replace(referenceRe, (fragment, parameter) => {
+      if (parameter === undefined) {
+        return fragment
+      }
+      const [root, ...path] = parameter.split('.')
+
+      return Object.hasOwn(renames, root)
+        ? '{{' + [renames[root], ...path].join('.') + '}}'
+        : fragment
+    })
+
+/**
+ * Formats a parameter value for interpolation. Dates are formatted as 'YYYY-MM-DD' or, if they have a time,
+ * 'YYYY-MM-DD HH:MM' and arrays are listed with ', '.
+ * @param {*} value - The value.
+ * @returns {string} The formatted value.
+ */
+const formatValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ')
+  }
+  else if (value instanceof Date) {
+    const isDate =
+      value.getHours() === 0
+      && value.getMinutes() === 0
+      && value.getSeconds() === 0
+      && value.getMilliseconds() === 0
+
+    return isDate === true ? formatDate(value) : formatDateTime(value)
+  }
+
+  return '' + value
+}
+
+export {
+  formatValue,
+  interpolate,
+  renameTemplateParameters,
+  templateParameters
+}
@@ -0,0 +1,268 @@
+import * as fs from 'node:fs/promises'
+import { createRequire } from 'node:module'
+import * as path from 'node:path'
+
+import { BundleLoadError } from '../errors'
+import { renameParameters } from './expressions'
+import { renameTemplateParameters } from './interpolate'
+import { settersOf } from './setters'
+import { validateBundle } from './validate-bundle'
+
+/**
+ * Loads an interrogation bundle from a JSON file, replacing each `include` action with the actions of the included
+ * bundle. Includes are resolved recursively, including within repeating groups. An include is either a path relative
+ * to the including bundle file or the name of an installed package bundle (e.g., 'my-package/bundle.json'), which is
+ * resolved from the including bundle's location like a `require()`. Each bundle is validated before its includes are
+ * expanded.
+ * @param {string} file - The path to the bundle file.
+ * @param {object} [options] - Load options.
+ * @param {object} [options.types] - The custom type registry the bundle will be run with; see the `Questioner`
+ *   `types` option.
+ * @returns {Promise<Array<object>>} The bundle with all includes expanded.
+ * @throws {BundleLoadError} If any bundle cannot be read, parsed, or resolved, is invalid, or includes itself.
+ */
+const loadBundle = async (file, { types } = {}) =>
+  await loadFile({ chain : [], file : path.resolve(file), types })
+
+/**
+ * Reads, validates, and expands a single bundle file.
+ * @param {object} options - The inputs.
+ * @param {Array<string>} options.chain - The files which include this file, outermost first.
+ * @param {string} options.file - The absolute path to the bundle file.
+ * @param {{file: string, pointer: string}} [options.from] - The including file and action, if any.
+ * @param {object} [options.types] - The custom type registry.
+ * @returns {Promise<Array<object>>} The expanded bundle.
+ * @private
+ */
+const loadFile = async ({ chain, file, from, types }) => {
+  if (chain.includes(file)) {
+    throw new BundleLoadError({
+      message : `Bundle include cycle at '${from.pointer}' in '${from.file}': ${[...chain, file].join(' -> ')}`,
+      ...from,
+    })
+  }
+
+  let text
+  try {
+    text = await fs.readFile(file, { encoding : 'utf8' })
+  }
+  catch (e) {
+    throw new BundleLoadError({
+      message : `Could not read bundle '${file}'${describeFrom(from)}; ${e.message}`,
+      cause   : e,
+      file,
+      ...from,
+    })
+  }
+
+  let interactions
+  try {
+    interactions = JSON.parse(text)
+  }
+  catch (e) {
+    throw new BundleLoadError({
+      message : `Bundle '${file}'${describeFrom(from)} is not valid JSON; ${e.message}`,
+      cause   : e,
+      file,
+      from,
+    })
+  }
+
+  const issues = validateBundle(interactions, { types })
+  if (issues.length > 0) {
+    throw new BundleLoadError({ file, from, issues })
+  }
+
+  return await expandIncludes(interactions, {
+    chain   : [...chain, file],
+    file,
+    pointer : '',
+    types,
+  })
+}
+
+/**
+ * Replaces the `include` actions in a list of actions, recursing into repeating groups.
+ * @param {Array<object>} actions - The actions to expand.
+ * @param {object} options - The inputs.
+ * @param {Array<string>} options.chain - The files being loaded, outermost first.
+ * @param {string} options.file - The file defining the `actions`.
+ * @param {string} options.pointer - The JSON pointer to the `actions` in the `file`.
+ * @param {object} [options.types] - The custom type registry.
+ * @returns {Promise<Array<object>>} The expanded actions.
+ * @private
+ */
+const expandIncludes = async (actions, { chain, file, pointer, types }) => {
+  const expanded = []
+  for (const [i, action] of actions.entries()) {
+    const actionPointer = `${pointer}/${i}`
+    if (action.include !== undefined) {
+      const from = { file, pointer : actionPointer }
+      const included = await loadFile({
+        chain,
+        file : resolveInclude(action.include, from),
+        from,
+        types,
+      })
+      expanded.push(
+        ...(action.prefix === undefined
+          ? included
+          : prefixParameters(included, action.prefix))
+      )
+    }
+    else if (action.repeat !== undefined) {
+      const repeat = await expandIncludes(action.repeat, {
+        chain,
+        file,
+        pointer : actionPointer + '/repeat',
+        types,
+      })
+      expanded.push({ ...action, repeat })
+    }
+    else {
+      expanded.push(action)
+    }
+  }
+
+  return expanded
+}
+
+/**
+ * Resolves an include specification to an absolute path.
+ * @param {string} spec - The include; a relative or absolute path or a package path.
+ * @param {{file: string, pointer: string}} from - The including file and action.
+ * @returns {string} The absolute path of the included bundle.
+ * @private
+ */
+const resolveInclude = (spec, from) => {
+  if (spec.startsWith('.') || path.isAbsolute(spec)) {
+    return path.resolve(path.dirname(from.file), spec)
+  }
+
+  try {
+    return createRequire(from.file).resolve(spec)
+  }
+  catch (e) {
+    throw new BundleLoadError({
+      message : `Could not resolve include '${spec}'${describeFrom(from)}; ${e.message.split('\n')[0]}`,
+      cause   : e,
+      ...from,
+    })
+  }
+}
+
+/**
+ * Prefixes the parameters set by the top level actions of an included bundle, along with the references to those
+ * parameters. References to parameters which the included bundle does not set are left as is so the included bundle
+ * may refer to parameters set by the including bundle. The fields of repeating groups are not prefixed since they
+ * are namespaced by the group record.
+ * @param {Array<object>} actions - The included actions.
+ * @param {string} prefix - The prefix.
+ * @returns {Array<object>} The actions with the parameters renamed.
+ * @private
+ */
+const prefixParameters = (actions, prefix) => {
+  const renames = {}
+  for (const action of actions) {
+    for (const { parameter } of settersOf(action)) {
+      renames[parameter] = prefix + parameter
+    }
+  }
+
+  return actions.map((action) => renameAction(action, renames, true))
+}
+
+/**
+ * Renames the parameters set and referenced by an action.
+ * @param {object} action - The action.
+ * @param {object} renames - Maps the parameter names to their new names.
+ * @param {boolean} renameSetters - Whether to rename the parameters the action sets.
+ * @returns {object} The renamed action.
+ * @private
+ */
+const renameAction = (action, renames, renameSetters) => {
+  const rename = (name) =>
+    renameSetters === true && Object.hasOwn(renames, name)
+      ? renames[name]
+      : name
+  const renamed = { ...action }
+  for (const field of [
+    'condition',
+    'defaultSource',
+    'elseSource',
+    'optionsSource',
+    'source',
+  ]) {
+    if (action[field] !== undefined) {
+      renamed[field] = renameParameters(action[field], renames)
+    }
+  }
+  for (const field of ['default', 'prompt', 'statement']) {
+    if (action[field] !== undefined) {
+      renamed[field] = renameTemplateParameters(action[field], renames)
+    }
+  }
+  if (action.parameter !== undefined) {
+    renamed.parameter = rename(action.parameter)
+  }
+  if (Array.isArray(action.options)) {
+    renamed.options = action.options.map((option) =>
+      renameOption(option, renames))
+  }
+  if (Array.isArray(action.maps)) {
+    renamed.maps = action.maps.map((map) =>
+      renameAction(map, renames, renameSetters))
+  }
+  if (Array.isArray(action.repeat)) {
+    // within the group, the item fields shadow the parameters of the same name
+    const groupRenames = { ...renames }
+    for (const member of action.repeat) {
+      for (const { parameter: field } of settersOf(member)) {
+        delete groupRenames[field]
+      }
+    }
+    renamed.repeat = action.repeat.map((member) =>
+      renameAction(member, groupRenames, false))
+    if (action.while !== undefined) {
+      renamed.while = renameParameters(action.while, groupRenames)
+    }
+  }
+
+  return renamed
+}
+
+/**
+ * Renames the parameters referenced by an option's `condition` and templates.
+ * @param {string|number|boolean|object} option - The option.
+ * @param {object} renames - Maps the parameter names to their new names.
+ * @returns {string|number|boolean|object} The renamed option.
+ * @private
+ */
+const renameOption = (option, renames) => {
+  if (option === null || typeof option !== 'object') {
+    return renameTemplateParameters(option, renames)
+  }
+
+  const renamed = { ...option }
+  for (const field of ['description', 'label', 'value']) {
+    if (option[field] !== undefined) {
+      renamed[field] = renameTemplateParameters(option[field], renames)
+    }
+  }
+  if (option.condition !== undefined) {
+    renamed.condition = renameParameters(option.condition, renames)
+  }
+
+  return renamed
+}
+
+/**
+ * Describes where an include was found for use in messages.
+ * @param {{file: string, pointer: string}} [from] - The including file and action, if any.
+ * @returns {string} The description, which is empty for the top level bundle.
+ * @private
+ */
+const describeFrom = (from) =>
+  from === undefined ? '' : ` included at '${from.pointer}' in '${from.file}'`
+
+export { loadBundle }
@@ -0,0 +1,96 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+import {
+  commonUrlRe,
+  domainLabelRe,
+  emailRe,
+  fqDomainNameRe,
+  ipAddressRe,
+  ipV6Re,
+  uuidRe
+} from 'regex-repo'
+import { ValidatedString } from 'string-input'
+
+// from semver.org; regex-repo doesn't have a semver pattern
+const semverRe =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/
+
+/**
+ * Creates a string type function which checks the input against a pattern before applying the standard
+ * `ValidatedString` validations (e.g., `minLength`, `endsWith`).
+ * @param {object} spec - The type specification.
+ * @param {string} spec.description - The type description.
+ * @param {string} spec.hint - Example input shown when the input doesn't match.
+ * @param {string} spec.issue - Describes what's wrong when the input doesn't match.
+ * @param {Function} spec.test - Tests the trimmed input.
+ * @returns {Function} The type function, which returns the trimmed input.
+ * @private
+ */
+const namedType = ({ description, hint, issue, test }) => {
+  const type = (input, options = {}) => {
+    const value = input.trim()
+    if (!test(value)) {
+      throw new ArgumentInvalidError({
+        argumentName  : options.name || 'input',
+        argumentValue : input,
+        hint,
+        issue,
+      })
+    }
+
+    return ValidatedString(value, options)
+  }
+  type.description = description
+
+  return type
+}
+
+const Email = namedType({
+  description : 'Email',
+  hint        : "Try something like 'name@example.com'.",
+  issue       : 'is not a valid email address',
+  test        : (value) => emailRe.test(value),
+})
+
+const Hostname = namedType({
+  description : 'Hostname',
+  hint        : "Try something like 'example.com' or 'localhost'.",
+  issue       : 'is not a valid hostname',
+  test        : (value) => fqDomainNameRe.test(value) || domainLabelRe.test(value),
+})
+
+const IPv4 = namedType({
+  description : 'IPv4 address',
+  hint        : "Try something like '192.168.0.1'.",
+  issue       : 'is not a valid IPv4 address',
+  test        : (value) => ipAddressRe.test(value),
+})
+
+const IPv6 = namedType({
+  description : 'IPv6 address',
+  hint        : "Try something like '2001:db8::1'.",
+  issue       : 'is not a valid IPv6 address',
+  test        : (value) => ipV6Re.test(value),
+})
+
+const Semver = namedType({
+  description : 'Semantic version',
+  hint        : "Try something like '1.2.3' or '2.0.0-beta.1'.",
+  issue       : 'is not a valid semantic version',
+  test        : (value) => semverRe.test(value),
+})
+
+const Url = namedType({
+  description : 'URL',
+  hint        : "Try something like 'https://example.com/path'.",
+  issue       : 'is not a valid URL',
+  test        : (value) => commonUrlRe.test(value),
+})
+
+const Uuid = namedType({
+  description : 'UUID',
+  hint        : "Try something like '123e4567-e89b-12d3-a456-426614174000'.",
+  issue       : 'is not a valid UUID',
+  test        : (value) => uuidRe.test(value),
+})
+
+export { Email, Hostname, IPv4, IPv6, Semver, Url, Uuid }
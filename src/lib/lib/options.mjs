@@ -0,0 +1,127 @@
+// a parameter name or a dotted path into an object parameter; e.g., 'deploy.clouds'
+const sourcePathRe = /^[A-Za-z_$][\w$]*(?:\.[\w$]+)*$/
+
+/**
+ * Determines whether a value can be a question option: a string, number, or boolean, or an object with a non-empty
+ * string `label`.
+ * @param {*} option - The value to check.
+ * @returns {boolean} True if the value is a valid option.
+ */
+const isOption = (option) =>
+  ['string', 'number', 'boolean'].includes(typeof option)
+  || (option !== null
+    && typeof option === 'object'
+    && typeof option.label === 'string'
+    && option.label !== '')
+
+/**
+ * Determines whether an `optionsSource` is a parameter name or a dotted path into an object parameter. Sources are
+ * paths rather than expressions.
+ * @param {*} source - The options source.
+ * @returns {boolean} True if the source is a valid path.
+ */
+const isSourcePath = (source) =>
+  typeof source === 'string' && sourcePathRe.test(source)
+
+/**
+ * Normalizes a question option to an object. A plain string, number, or boolean option is both the label and the
+ * value.
+ * @param {string|number|boolean|object} option - The option as given in the interrogation bundle.
+ * @returns {{label: *, value: *, description: string, condition: string}} The normalized option. The `value`
+ *   defaults to the `label`.
+ */
+const normalizeOption = (option) =>
+  option !== null && typeof option === 'object'
+    ? { ...option, value : option.value ?? option.label }
+    : { label : option, value : option }
+
+/**
+ * Lists the values of a question's options.
+ * @param {Array<string|number|boolean|object>} options - The options as given in the interrogation bundle.
+ * @returns {Array<*>} The option values.
+ */
+const optionValues = (options) =>
+  options.map((option) => normalizeOption(option).value)
+
+/**
+ * Finds the options matching text entered in place of an option number. An option matches if its label or value is
+ * the text, ignoring case. If no option matches exactly, then the options whose label starts with the text match.
+ * @param {string} text - The text entered by the user.
+ * @param {Array<object>} options - The normalized options; see `normalizeOption()`.
+ * @returns {Array<number>} The indexes of the matching options, which is a single index when the text identifies one
+ *   option unambiguously.
+ */
+const matchOptions = (text, options) => {
+  const needle = text.trim().toLowerCase()
+  if (needle === '') {
+    return []
+  }
+
+  const exact = []
+  const prefixed = []
+  options.forEach(({ label, value }, i) => {
+    const lcLabel = ('' + label).toLowerCase()
+    if (lcLabel === needle || ('' + value).toLowerCase() === needle) {
+      exact.push(i)
+    }
+    else if (lcLabel.startsWith(needle)) {
+      prefixed.push(i)
+    }
+  })
+
+  return exact.length > 0 ? exact : prefixed
+}
+
+/**
+ * Filters option labels by search text, ignoring case. Labels containing the text come first, followed by labels
+ * containing the characters of the text in order (e.g., 'usw' matches 'US West').
+ * @param {string} filter - The search text.
+ * @param {Array<*>} labels - The option labels.
+ * @returns {Array<number>} The indexes of the matching labels, best matches first.
+ */
+const filterOptions = (filter, labels) => {
+  const needle = filter.trim().toLowerCase()
+  const contains = []
+  const fuzzy = []
+  labels.forEach((label, i) => {
+    const haystack = ('' + label).toLowerCase()
+    if (haystack.includes(needle)) {
+      contains.push(i)
+    }
+    else if (isSubsequence(needle, haystack)) {
+      fuzzy.push(i)
+    }
+  })
+
+  return [...contains, ...fuzzy]
+}
+
+/**
+ * Determines whether the characters of `needle` appear in `haystack` in order, though not necessarily together.
+ * Whitespace in the `needle` is ignored.
+ * @param {string} needle - The characters to look for.
+ * @param {string} haystack - The string to search.
+ * @returns {boolean} True if every character is found in order.
+ * @private
+ */
+const isSubsequence = (needle, haystack) => {
+  let pos = 0
+  for (const char of needle.replace(/\s+/g, '')) {
+    pos = haystack.indexOf(char, pos)
+    if (pos === -1) {
+      return false
+    }
+    pos += 1
+  }
+
+  return true
+}
+
+export {
+  filterOptions,
+  isOption,
+  isSourcePath,
+  matchOptions,
+  normalizeOption,
+  optionValues
+}
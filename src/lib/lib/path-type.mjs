@@ -0,0 +1,149 @@
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+import { ArgumentInvalidError } from 'standard-error-set'
+
+/**
+ * Expands a leading '~' to the user's home directory.
+ * @param {string} input - The path to expand.
+ * @returns {string} The expanded path.
+ * @private
+ */
+const expandHome = (input) =>
+  input === '~' || input.startsWith('~/') || input.startsWith('~' + path.sep)
+    ? os.homedir() + input.slice(1)
+    : input
+
+/**
+ * Finds the nearest existing directory containing a (possibly non-existent) path.
+ * @param {string} aPath - The absolute path.
+ * @returns {string} The nearest existing ancestor directory.
+ * @private
+ */
+const existingAncestor = (aPath) => {
+  let dir = path.dirname(aPath)
+  while (!fs.existsSync(dir)) {
+    dir = path.dirname(dir)
+  }
+
+  return dir
+}
+
+const isWritable = (aPath) => {
+  try {
+    fs.accessSync(aPath, fs.constants.W_OK)
+
+    return true
+  }
+  catch (e) {
+    return false
+  }
+}
+
+/**
+ * Parses a filesystem path. A leading '~' is expanded to the user's home directory and relative paths are resolved
+ * against the current working directory.
+ * @param {string} input - The path.
+ * @param {object} [options] - Validation options.
+ * @param {Array<string>} [options.extensions] - If defined, the path must end with one of the extensions (e.g.,
+ *   '.json'). The comparison is case insensitive and the leading '.' is optional.
+ * @param {boolean} [options.mustBeDirectory = false] - If true, the path must be an existing directory.
+ * @param {boolean} [options.mustBeWritable = false] - If true, the path must be writable or, if it doesn't exist,
+ *   creatable.
+ * @param {boolean} [options.mustExist = false] - If true, the path must exist.
+ * @param {string} [options.name] - The name of the input for error messages.
+ * @returns {string} The absolute path.
+ * @throws {ArgumentInvalidError} If the path fails any of the validations.
+ */
+const PathString = (
+  input,
+  {
+    extensions,
+    mustBeDirectory = false,
+    mustBeWritable = false,
+    mustExist = false,
+    name = 'input',
+  } = {}
+) => {
+  const invalid = (issue, hint) =>
+    new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      hint,
+      issue,
+    })
+
+  const trimmed = input.trim()
+  if (trimmed === '') {
+    throw invalid('is not a path')
+  }
+  const resolved = path.resolve(expandHome(trimmed))
+
+  if (extensions !== undefined) {
+    const normalized = extensions.map((ext) =>
+      (ext.startsWith('.') ? ext : '.' + ext).toLowerCase())
+    if (!normalized.some((ext) => resolved.toLowerCase().endsWith(ext))) {
+      throw invalid(
+        'does not have a recognized extension',
+        `Expected ${normalized.map((ext) => `'${ext}'`).join(', ')}.`
+      )
+    }
+  }
+
+  const exists = fs.existsSync(resolved)
+  if ((mustExist === true || mustBeDirectory === true) && !exists) {
+    throw invalid('does not exist')
+  }
+  else if (mustBeDirectory === true && !fs.statSync(resolved).isDirectory()) {
+    throw invalid('is not a directory')
+  }
+  else if (
+    mustBeWritable === true
+    && !isWritable(exists ? resolved : existingAncestor(resolved))
+  ) {
+    throw invalid('is not writable')
+  }
+
+  return resolved
+}
+PathString.description = 'Path'
+
+/**
+ * A `readline` completer which completes the last segment of a path.
+ * @param {string} line - The current input.
+ * @returns {Array} The `readline` completions tuple; the matching paths and the completed input.
+ */
+const completePath = (line) => {
+  if (line === '~') {
+    return [['~' + path.sep], line]
+  }
+
+  const expanded = expandHome(line)
+  const inDir = line === '' || line.endsWith('/') || line.endsWith(path.sep)
+  const dir = inDir ? expanded || '.' : path.dirname(expanded)
+  const segment = inDir ? '' : path.basename(expanded)
+
+  let entries
+  try {
+    entries = fs.readdirSync(path.resolve(dir), { withFileTypes : true })
+  }
+  catch (e) {
+    return [[], line] // nothing to complete
+  }
+
+  const lead = line.slice(0, line.length - segment.length)
+  const completions = entries
+    .filter(
+      ({ name }) =>
+        name.startsWith(segment)
+        // hidden files are only completed when asked for
+        && (!name.startsWith('.') || segment.startsWith('.'))
+    )
+    .map((entry) => lead + entry.name + (entry.isDirectory() ? path.sep : ''))
+    .sort()
+
+  return [completions, line]
+}
+
+export { completePath, PathString }
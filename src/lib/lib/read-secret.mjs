@@ -0,0 +1,57 @@
+import * as readline from 'node:readline'
+
+/**
+ * Reads a line from a TTY without echoing it. The input is put in raw mode for the duration of the read, so the
+ * terminal does not display the keys as they're typed. Backspace removes the last character and enter ends the
+ * entry.
+ * @param {object} options - The read options.
+ * @param {object} options.input - The TTY input stream.
+ * @param {Function} options.onCancel - Called with 'interrupted' when the user presses Ctrl-C and 'eof' when the
+ *   input ends or the user presses Ctrl-D. Should abort the `signal`.
+ * @param {AbortSignal} options.signal - Abandons the read when aborted.
+ * @returns {Promise<string>} The trimmed entry.
+ */
+const readSecret = ({ input, onCancel, signal }) =>
+  new Promise((resolve, reject) => {
+    signal.throwIfAborted()
+
+    let entry = ''
+    const finish = (settle) => {
+      signal.removeEventListener('abort', onAbort)
+      input.off('keypress', onKeypress)
+      input.off('end', onEnd)
+      input.setRawMode(false)
+      input.pause()
+      settle()
+    }
+    const onAbort = () => finish(() => reject(signal.reason))
+    const onEnd = () => onCancel('eof')
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl === true && (key.name === 'c' || key.name === 'd')) {
+        onCancel(key.name === 'c' ? 'interrupted' : 'eof')
+      }
+      else if (key.name === 'return' || key.name === 'enter') {
+        finish(() => resolve(entry.trim()))
+      }
+      else if (key.name === 'backspace') {
+        entry = entry.slice(0, -1)
+      }
+      else if (
+        str !== undefined
+        && key.ctrl !== true
+        && key.meta !== true
+        && !/[\n\r]/.test(str)
+      ) {
+        entry += str
+      }
+    }
+
+    signal.addEventListener('abort', onAbort, { once : true })
+    readline.emitKeypressEvents(input)
+    input.setRawMode(true)
+    input.on('keypress', onKeypress)
+    input.on('end', onEnd)
+    input.resume()
+  })
+
+export { readSecret }
@@ -0,0 +1,201 @@
+import * as readline from 'node:readline'
+
+import { filterOptions } from './options'
+
+/**
+ * Lets the user select from an options question using the keyboard. The up and down arrows (or 'k' and 'j') move the
+ * cursor, a digit jumps to that option, and enter accepts. For `multiValue` questions, space toggles the option under
+ * the cursor. The left arrow goes back to the previous question. '/' starts a search: typed characters narrow the
+ * options to those matching the search text, backspace deletes, and escape ends the search.
+ * @param {object} options - The selection options.
+ * @param {string} options.backToken - The answer which returns the user to the previous question.
+ * @param {object} options.input - The TTY input stream. The stream is put in raw mode for the duration of the
+ *   selection.
+ * @param {object} options.interaction - The question interaction; see `Questioner.next()`.
+ * @param {Function} options.onCancel - Called with 'interrupted' when the user presses Ctrl-C and 'eof' when the
+ *   input ends or the user presses Ctrl-D. Should abort the `signal`.
+ * @param {number} [options.pageSize = Infinity] - The most options to list at once. Longer lists scroll.
+ * @param {Function} options.render - Called with `{ cursor, selected }` each time the selection needs to be drawn.
+ *   `cursor` is the index of the highlighted option and `selected` is an array of the selected option indexes. When
+ *   the list scrolls or is being searched, `listed` has the indexes of the options to draw and `total` the number of
+ *   options which could be listed. While searching, `filter` is the search text.
+ * @param {AbortSignal} options.signal - Abandons the selection when aborted.
+ * @returns {Promise<string>} The selection as it would be typed; i.e., the comma separated option number(s) or the
+ *   `backToken`.
+ */
+const selectOption = ({
+  backToken,
+  input,
+  interaction,
+  onCancel,
+  pageSize = Infinity,
+  render,
+  signal,
+}) => {
+  const { default: defaultValue, multiValue, options } = interaction
+  const defaults = [defaultValue].flat()
+  const selected = options.reduce((acc, option, i) => {
+    if (defaults.includes(option)) {
+      acc.push(i)
+    }
+
+    return acc
+  }, [])
+  let cursor = selected[0] || 0
+  let filter // the search text, while searching
+  let top = 0 // the position of the first listed option among the candidates
+
+  // the indexes of the options which may be selected
+  const candidates = () =>
+    filter === undefined
+      ? options.map((option, i) => i)
+      : filterOptions(filter, options)
+
+  const moveCursor = (step) => {
+    const matches = candidates()
+    if (matches.length > 0) {
+      const pos = matches.indexOf(cursor)
+      cursor = matches[(pos + step + matches.length) % matches.length]
+    }
+  }
+
+  // handles the keys which edit the search text; returns true if the key was handled
+  const editFilter = (str, key) => {
+    if (key.name === 'escape') {
+      filter = undefined
+    }
+    else if (key.name === 'backspace') {
+      filter = filter === '' ? undefined : filter.slice(0, -1)
+    }
+    else if (
+      str?.length === 1
+      && str >= ' '
+      && key.ctrl !== true
+      && key.meta !== true
+      && !(key.name === 'space' && multiValue === true)
+    ) {
+      filter += str
+    }
+    else {
+      return false
+    }
+
+    top = 0
+    if (filter !== undefined) {
+      // the best match is highlighted
+      cursor = candidates()[0] ?? cursor
+    }
+
+    return true
+  }
+
+  const draw = () => {
+    const state = { cursor, selected : [...selected] }
+    const matches = candidates()
+    if (filter !== undefined || matches.length > pageSize) {
+      // scroll the cursor into view
+      const pos = Math.max(matches.indexOf(cursor), 0)
+      if (pos < top) {
+        top = pos
+      }
+      else if (pos >= top + pageSize) {
+        top = pos - pageSize + 1
+      }
+      state.listed = matches.slice(top, top + pageSize)
+      state.total = matches.length
+    }
+    if (filter !== undefined) {
+      state.filter = filter
+    }
+    render(state)
+  }
+
+  return new Promise((resolve, reject) => {
+    signal.throwIfAborted()
+
+    const finish = (settle) => {
+      signal.removeEventListener('abort', onAbort)
+      input.off('keypress', onKeypress)
+      input.off('end', onEnd)
+      input.setRawMode(false)
+      input.pause()
+      settle()
+    }
+    const onAbort = () => finish(() => reject(signal.reason))
+    const onEnd = () => onCancel('eof')
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl === true && (key.name === 'c' || key.name === 'd')) {
+        onCancel(key.name === 'c' ? 'interrupted' : 'eof')
+
+        return
+      }
+      if (filter !== undefined && editFilter(str, key) === true) {
+        draw()
+
+        return
+      }
+
+      switch (key.name) {
+        case 'up':
+        case 'k':
+          moveCursor(-1)
+          break
+        case 'down':
+        case 'j':
+          moveCursor(1)
+          break
+        case 'space':
+          if (multiValue === true) {
+            const selectedI = selected.indexOf(cursor)
+            if (selectedI === -1) {
+              selected.push(cursor)
+              selected.sort((a, b) => a - b)
+            }
+            else {
+              selected.splice(selectedI, 1)
+            }
+          }
+          break
+        case 'left':
+          finish(() => resolve(backToken))
+
+          return
+        case 'enter':
+        case 'return': {
+          if (filter !== undefined && !candidates().includes(cursor)) {
+            return // nothing matches the search
+          }
+          const answer =
+            multiValue === true
+              ? selected.map((i) => i + 1).join(interaction.separator || ',')
+              : String(cursor + 1)
+          finish(() => resolve(answer))
+
+          return
+        }
+        default:
+          if (str === '/') {
+            filter = ''
+            top = 0
+          }
+          else if (/^[1-9]$/.test(str) && Number(str) <= options.length) {
+            cursor = Number(str) - 1
+          }
+          else {
+            return // nothing changed
+          }
+      }
+      draw()
+    }
+
+    signal.addEventListener('abort', onAbort, { once : true })
+    readline.emitKeypressEvents(input)
+    input.setRawMode(true)
+    input.on('keypress', onKeypress)
+    input.on('end', onEnd)
+    input.resume()
+    draw()
+  })
+}
+
+export { selectOption }
@@ -0,0 +1,23 @@
+/**
+ * Lists the parameters set by an action: the `parameter` of a question or repeating group, or the parameters of a
+ * mapping's maps.
+ * @param {object} action - The action.
+ * @returns {Array<{parameter: string, pointer: string}>} The parameters set by the action, if any, along with a JSON
+ *   pointer to the setter relative to the action.
+ */
+const settersOf = (action) => {
+  if (action.prompt !== undefined || action.repeat !== undefined) {
+    return [{ parameter : action.parameter, pointer : '' }]
+  }
+  else if (action.maps !== undefined) {
+    return action.maps.map(({ parameter }, mapI) => ({
+      parameter,
+      pointer : `/maps/${mapI}`,
+    }))
+  }
+  else {
+    return []
+  }
+}
+
+export { settersOf }
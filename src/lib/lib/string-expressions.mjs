@@ -0,0 +1,355 @@
+import { CommonError } from 'standard-error-set'
+
+import { formatValue } from './interpolate'
+
+// matches the next token: a quoted string, a number, a parameter (possibly a dotted path) or function name, or an
+// operator
+const tokenRe =
+  /\s*(?:('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*(?:\.[\w$]+)*)|(==|!=|<=|>=|&&|\|\||[-+?:(),!<>]))/y
+
+const literals = { true : true, false : false }
+
+/**
+ * Converts a value to a string.
+ * @param {*} value - The value.
+ * @returns {string} The string value.
+ * @private
+ */
+const str = (value) => formatValue(value)
+
+const slugify = (value) =>
+  str(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop the accents separated out by the normalization
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+
+// the functions available to string expressions and their minimum and maximum argument counts
+const functions = {
+  lower     : { args : [1, 1], func : (value) => str(value).toLowerCase() },
+  upper     : { args : [1, 1], func : (value) => str(value).toUpperCase() },
+  slugify   : { args : [1, 1], func : slugify },
+  substring : {
+    args : [2, 3],
+    func : (value, start, end) => {
+      if (
+        !Number.isInteger(start)
+        || (end !== undefined && !Number.isInteger(end))
+      ) {
+        throw new CommonError({
+          message : `'substring()' positions must be integers; got '${start}'${end === undefined ? '' : ` and '${end}'`}.`,
+        })
+      }
+
+      return str(value).slice(start, end)
+    },
+  },
+  trim : { args : [1, 1], func : (value) => str(value).trim() },
+}
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} expression - The expression.
+ * @returns {Array<{kind: string, value: *, position: number}>} The tokens; `kind` is one of 'string', 'number', 'name',
+ *   or 'operator'.
+ * @throws {CommonError} If the expression contains an unrecognized character.
+ * @private
+ */
+const tokenize = (expression) => {
+  const tokens = []
+  tokenRe.lastIndex = 0
+  while (tokenRe.lastIndex < expression.length) {
+    const start = tokenRe.lastIndex
+    const match = tokenRe.exec(expression)
+    if (match === null) {
+      const rest = expression.slice(start).trimStart()
+      if (rest === '') {
+        break
+      }
+      throw invalidExpression(
+        expression,
+        `unexpected '${rest[0]}' at position ${expression.length - rest.length}`
+      )
+    }
+
+    const [, quoted, number, name, operator] = match
+    // the position of the token itself, after any leading whitespace
+    const position =
+      tokenRe.lastIndex - (quoted ?? number ?? name ?? operator).length
+    if (quoted !== undefined) {
+      tokens.push({
+        kind  : 'string',
+        value : quoted.slice(1, -1).replace(/\\(.)/g, '$1'),
+        position,
+      })
+    }
+    else if (number !== undefined) {
+      tokens.push({ kind : 'number', value : parseFloat(number), position })
+    }
+    else if (name !== undefined) {
+      tokens.push({ kind : 'name', value : name, position })
+    }
+    else {
+      tokens.push({ kind : 'operator', value : operator, position })
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Parses a string expression into a syntax tree. The grammar, from lowest to highest precedence, is: the conditional
+ * operator (`a ? b : c`), `||`, `&&`, equality (`==`, `!=`), comparison (`<`, `<=`, `>`, `>=`), concatenation (`+`),
+ * the unary `!` and `-` operators, and finally literals, parameters, function calls, and parenthesized expressions.
+ * @param {string} expression - The expression.
+ * @returns {object} The syntax tree.
+ * @throws {CommonError} If the expression is invalid.
+ * @private
+ */
+const parse = (expression) => {
+  const tokens = tokenize(expression)
+  let pos = 0
+
+  const peek = () => tokens[pos]
+  const isOperator = (...operators) =>
+    peek()?.kind === 'operator' && operators.includes(peek().value)
+  const unexpected = () =>
+    invalidExpression(
+      expression,
+      pos === tokens.length
+        ? 'unexpected end of expression'
+        : `unexpected '${peek().value}' at position ${peek().position}`
+    )
+  const expect = (operator) => {
+    if (!isOperator(operator)) {
+      throw unexpected()
+    }
+    pos += 1
+  }
+
+  const binary =
+    (parseOperand, ...operators) =>
+      () => {
+        let left = parseOperand()
+        while (isOperator(...operators)) {
+          const op = tokens[pos++].value
+          left = { node : 'binary', op, left, right : parseOperand() }
+        }
+
+        return left
+      }
+
+  const parsePrimary = () => {
+    const token = tokens[pos++]
+    if (token === undefined) {
+      pos -= 1
+      throw unexpected()
+    }
+    else if (token.kind === 'string' || token.kind === 'number') {
+      return { node : 'literal', value : token.value }
+    }
+    else if (token.kind === 'name') {
+      if (Object.hasOwn(literals, token.value)) {
+        return { node : 'literal', value : literals[token.value] }
+      }
+      else if (!isOperator('(')) {
+        return { node : 'parameter', name : token.value }
+      }
+
+      if (!Object.hasOwn(functions, token.value)) {
+        throw invalidExpression(
+          expression,
+          `unknown function '${token.value}()'; must be one of ${Object.keys(functions).join(', ')}`
+        )
+      }
+      expect('(')
+      const args = []
+      while (!isOperator(')')) {
+        if (args.length > 0) {
+          expect(',')
+        }
+        args.push(parseConditional())
+      }
+      expect(')')
+      const [min, max] = functions[token.value].args
+      if (args.length < min || args.length > max) {
+        throw invalidExpression(
+          expression,
+          `'${token.value}()' takes ${min === max ? min : `${min} to ${max}`} arguments; got ${args.length}`
+        )
+      }
+
+      return { node : 'call', name : token.value, args }
+    }
+    else if (token.value === '(') {
+      const inner = parseConditional()
+      expect(')')
+
+      return inner
+    }
+    else if (token.value === '!' || token.value === '-') {
+      return { node : 'unary', op : token.value, arg : parsePrimary() }
+    }
+
+    pos -= 1
+    throw unexpected()
+  }
+
+  const parseConcat = binary(parsePrimary, '+')
+  const parseComparison = binary(parseConcat, '<', '<=', '>', '>=')
+  const parseEquality = binary(parseComparison, '==', '!=')
+  const parseAnd = binary(parseEquality, '&&')
+  const parseOr = binary(parseAnd, '||')
+  const parseConditional = () => {
+    const test = parseOr()
+    if (!isOperator('?')) {
+      return test
+    }
+    pos += 1
+    const whenTrue = parseConditional()
+    expect(':')
+
+    return {
+      node      : 'conditional',
+      test,
+      whenTrue,
+      whenFalse : parseConditional(),
+    }
+  }
+
+  const tree = parseConditional()
+  if (pos < tokens.length) {
+    throw unexpected()
+  }
+
+  return tree
+}
+
+/**
+ * Evaluates a syntax tree.
+ * @param {object} tree - The syntax tree.
+ * @param {object} parameters - The parameter values.
+ * @returns {*} The result, which is converted to a string by `evalString()`.
+ * @private
+ */
+const evaluate = (tree, parameters) => {
+  const ev = (subtree) => evaluate(subtree, parameters)
+  switch (tree.node) {
+    case 'literal':
+      return tree.value
+    case 'parameter': {
+      const [root, ...path] = tree.name.split('.')
+      const value = path.reduce((value, key) => value?.[key], parameters[root])
+      if (value === undefined) {
+        throw new CommonError({
+          message : `Expression parameter '${tree.name}' is not defined.`,
+        })
+      }
+
+      return value
+    }
+    case 'call':
+      return functions[tree.name].func(...tree.args.map(ev))
+    case 'unary':
+      return tree.op === '!' ? !ev(tree.arg) : -Number(ev(tree.arg))
+    case 'conditional':
+      return ev(tree.test) ? ev(tree.whenTrue) : ev(tree.whenFalse)
+    default: // binary
+  }
+
+  if (tree.op === '&&') {
+    return ev(tree.left) && ev(tree.right)
+  }
+  else if (tree.op === '||') {
+    return ev(tree.left) || ev(tree.right)
+  }
+
+  const left = ev(tree.left)
+  const right = ev(tree.right)
+  switch (tree.op) {
+    case '+':
+      return str(left) + str(right)
+    case '==':
+      return isSame(left, right)
+    case '!=':
+      return !isSame(left, right)
+    default: {
+      // comparisons are numeric when both sides are numbers and by string otherwise
+      const [a, b] =
+        typeof left === 'number' && typeof right === 'number'
+          ? [left, right]
+          : [str(left), str(right)]
+
+      return tree.op === '<'
+        ? a < b
+        : tree.op === '<='
+          ? a <= b
+          : tree.op === '>'
+            ? a > b
+            : a >= b
+    }
+  }
+}
+
+/**
+ * Compares values of the same type directly and values of different types by their string forms; e.g., `5 == '5'`.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are the same.
+ * @private
+ */
+const isSame = (a, b) =>
+  typeof a === typeof b && !(a instanceof Date) ? a === b : str(a) === str(b)
+
+const invalidExpression = (expression, issue) =>
+  new CommonError({
+    message : `Invalid string expression '${expression}'; ${issue}.`,
+  })
+
+/**
+ * Evaluates a string expression. String expressions support quoted strings, numbers, `true` and `false`, parameters
+ * (including dotted paths into object parameters), concatenation with `+`, the `==`, `!=`, `<`, `<=`, `>`, `>=`, `&&`,
+ * `||`, and `!` operators, the conditional operator (`A ? 'x' : 'y'`), and the `lower()`, `upper()`, `slugify()`,
+ * `substring(value, start, end)`, and `trim()` functions.
+ * @param {string} expression - The expression.
+ * @param {object} parameters - The parameter values.
+ * @returns {string} The result.
+ * @throws {CommonError} If the expression is invalid or references a parameter which is not defined.
+ */
+const evalString = (expression, parameters) =>
+  str(evaluate(parse(expression), parameters))
+
+/**
+ * Lists the parameters referenced in a string expression.
+ * @param {string} expression - The expression.
+ * @returns {Array<string>} The unique referenced parameter names in order of first appearance. Nested references
+ *   (e.g., 'a.b.FOO') are returned whole.
+ * @throws {CommonError} If the expression is invalid.
+ */
+const stringExpressionParameters = (expression) => {
+  const parameters = new Set()
+  const collect = (tree) => {
+    if (tree.node === 'parameter') {
+      parameters.add(tree.name)
+    }
+    for (const subtree of [
+      tree.arg,
+      tree.left,
+      tree.right,
+      tree.test,
+      tree.whenTrue,
+      tree.whenFalse,
+      ...(tree.args || []),
+    ]) {
+      if (subtree !== undefined) {
+        collect(subtree)
+      }
+    }
+  }
+  collect(parse(expression))
+
+  return [...parameters]
+}
+
+export { evalString, stringExpressionParameters }
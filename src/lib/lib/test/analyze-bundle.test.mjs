@@ -0,0 +1,350 @@
+import { analyzeBundle } from '../analyze-bundle'
+import {
+  conditionalQuestionIB,
+  doubleQuestionIB,
+  repeatingGroupIB,
+  sourceMappingIB
+} from '../../test/test-data'
+
+const kindOf = (findings, kind) => findings.filter((f) => f.kind === kind)
+
+describe('analyzeBundle', () => {
+  test('finds nothing wrong with well ordered references', () => {
+    const findings = analyzeBundle(sourceMappingIB)
+    expect(kindOf(findings, 'undefined-reference')).toEqual([])
+    expect(kindOf(findings, 'invalid-expression')).toEqual([])
+    expect(kindOf(findings, 'unreachable-action')).toEqual([])
+  })
+
+  test.each([
+    [
+      'condition',
+      [{ prompt : 'Q', parameter : 'V', condition : 'FOO' }],
+      '/0/condition',
+    ],
+    [
+      'elseSource',
+      [{ prompt : 'Q', parameter : 'V', condition : 'false', elseSource : 'FOO' }],
+      '/0/elseSource',
+    ],
+    [
+      'map source',
+      [{ maps : [{ parameter : 'V', source : 'FOO + 1', type : 'int' }] }],
+      '/0/maps/0/source',
+    ],
+  ])('reports never defined reference in %s', (desc, interactions, pointer) =>
+    expect(kindOf(analyzeBundle(interactions), 'undefined-reference')).toEqual([
+      {
+        kind      : 'undefined-reference',
+        pointer,
+        parameter : 'FOO',
+        message   : "'FOO' is never defined by the bundle or initial parameters",
+      },
+    ]))
+
+  test('reports references to parameters defined later', () => {
+    const interactions = [
+      { statement : 'Hi', condition : 'V' },
+      { prompt : 'Q', parameter : 'V', type : 'bool' },
+    ]
+    expect(kindOf(analyzeBundle(interactions), 'undefined-reference')).toEqual([
+      {
+        kind      : 'undefined-reference',
+        pointer   : '/0/condition',
+        parameter : 'V',
+        message :
+          "'V' is referenced before it can be defined (first set at '/1')",
+      },
+    ])
+  })
+
+  describe('repeating groups', () => {
+    test("group actions and 'while' see the item values", () => {
+      const findings = analyzeBundle(repeatingGroupIB)
+      expect(kindOf(findings, 'undefined-reference')).toEqual([])
+      expect(kindOf(findings, 'invalid-expression')).toEqual([])
+    })
+
+    test('item values are not defined outside the group', () => {
+      const interactions = [
+        ...repeatingGroupIB,
+        { statement : 'Secure!', condition : 'TLS' },
+      ]
+      expect(
+        kindOf(analyzeBundle(interactions), 'undefined-reference')
+      ).toEqual([
+        {
+          kind      : 'undefined-reference',
+          pointer   : '/2/condition',
+          parameter : 'TLS',
+          message   : "'TLS' is never defined by the bundle or initial parameters",
+        },
+      ])
+    })
+
+    test('reports undefined references in group actions', () =>
+      expect(
+        analyzeBundle([
+          {
+            parameter : 'TAGS',
+            repeat    : [{ prompt : 'Tag?', parameter : 'TAG', condition : 'FOO' }],
+            max       : 2,
+          },
+        ]).map(({ pointer }) => pointer)
+      ).toEqual(['/0/repeat/0/condition']))
+  })
+
+  test('checks option conditions', () => {
+    const interactions = [
+      {
+        prompt    : 'Cloud?',
+        parameter : 'CLOUD',
+        options   : [
+          { label : 'AWS', value : 'aws', condition : 'REGION_COUNT > 1' },
+          'local',
+        ],
+      },
+      { prompt : 'Regions?', parameter : 'REGION_COUNT', type : 'int' },
+    ]
+    expect(kindOf(analyzeBundle(interactions), 'undefined-reference')).toEqual([
+      {
+        kind      : 'undefined-reference',
+        pointer   : '/0/options/0/condition',
+        parameter : 'REGION_COUNT',
+        message :
+          "'REGION_COUNT' is referenced before it can be defined (first set at '/1')",
+      },
+    ])
+  })
+
+  test('checks options sources', () => {
+    const interactions = [
+      { prompt : 'Primary?', parameter : 'PRIMARY', optionsSource : 'SERVICES' },
+      { prompt : 'Services?', parameter : 'SERVICES', options : ['a', 'b'] },
+    ]
+    expect(
+      kindOf(analyzeBundle(interactions), 'undefined-reference').map(
+        ({ pointer }) => pointer
+      )
+    ).toEqual(['/0/optionsSource'])
+    expect(
+      kindOf(analyzeBundle([...interactions].reverse()), 'undefined-reference')
+    ).toEqual([])
+  })
+
+  test('checks that options sources are paths', () => {
+    const interactions = [
+      {
+        prompt        : 'Primary?',
+        parameter     : 'PRIMARY',
+        optionsSource : 'deploy.clouds',
+      },
+      { prompt : 'Backup?', parameter : 'BACKUP', optionsSource : 'A || B' },
+    ]
+    const findings = analyzeBundle(interactions, {
+      initialParameters : { deploy : {}, A : [], B : [] },
+    })
+
+    expect(kindOf(findings, 'undefined-reference')).toEqual([])
+    expect(kindOf(findings, 'invalid-expression')).toEqual([
+      {
+        kind    : 'invalid-expression',
+        pointer : '/1/optionsSource',
+        message :
+          "'A || B' is not a parameter name or a dotted path into an object parameter",
+      },
+    ])
+  })
+
+  test('checks the parameter references in templates', () => {
+    const interactions = [
+      { statement : 'Deploying {{APP}} to {{REGION}}.' },
+      { prompt : 'App?', parameter : 'APP', default : '{{USER}}-app' },
+      { prompt : 'Path?', parameter : 'PATH', options : ['/srv/{{APP}}'] },
+      { statement : 'Bad {{APP NAME}}' },
+    ]
+    const findings = analyzeBundle(interactions, {
+      initialParameters : { USER : 'kim' },
+    })
+    expect(
+      kindOf(findings, 'undefined-reference').map(({ pointer, parameter }) => [
+        pointer,
+        parameter,
+      ])
+    ).toEqual([
+      ['/0/statement', 'APP'],
+      ['/0/statement', 'REGION'],
+    ])
+    expect(kindOf(findings, 'invalid-expression')).toEqual([
+      {
+        kind    : 'invalid-expression',
+        pointer : '/3/statement',
+        message : expect.stringMatching(/^Malformed parameter reference/),
+      },
+    ])
+  })
+
+  test('checks string map sources', () => {
+    const interactions = [
+      {
+        maps : [
+          {
+            parameter : 'BUCKET',
+            source    : "slugify(APP + '-' + ENV)",
+            type      : 'string',
+          },
+          { parameter : 'BAD', source : "lower('x'", type : 'string' },
+        ],
+      },
+      { statement : '{{BUCKET}} {{BAD}}' },
+    ]
+    const findings = analyzeBundle(interactions, {
+      initialParameters : { APP : 'web' },
+    })
+    expect(findings).toEqual([
+      expect.objectContaining({
+        kind      : 'undefined-reference',
+        pointer   : '/0/maps/0/source',
+        parameter : 'ENV',
+      }),
+      {
+        kind    : 'invalid-expression',
+        pointer : '/0/maps/1/source',
+        message : expect.stringMatching(/^Invalid string expression/),
+      },
+    ])
+  })
+
+  test('checks default sources', () => {
+    const interactions = [
+      {
+        prompt        : 'Workers?',
+        parameter     : 'WORKERS',
+        type          : 'int',
+        defaultSource : 'CPUS * 2',
+      },
+      {
+        prompt        : 'Name?',
+        parameter     : 'NAME',
+        defaultSource : "lower(USER) + '-' + WORKERS",
+      },
+    ]
+    expect(
+      kindOf(analyzeBundle(interactions), 'undefined-reference').map(
+        ({ pointer, parameter }) => [pointer, parameter]
+      )
+    ).toEqual([
+      ['/0/defaultSource', 'CPUS'],
+      ['/1/defaultSource', 'USER'],
+    ])
+  })
+
+  test('recognizes initial parameters and earlier maps in the same action', () => {
+    const interactions = [
+      {
+        maps : [
+          { parameter : 'A', source : 'FOO + 1', type : 'int' },
+          { parameter : 'B', source : 'A * 2', type : 'int' },
+        ],
+      },
+    ]
+    const findings = analyzeBundle(interactions, {
+      initialParameters : { FOO : 1 },
+    })
+    expect(kindOf(findings, 'undefined-reference')).toEqual([])
+  })
+
+  test('recognizes nested parameter references by root', () => {
+    const interactions = [{ statement : 'Hi', condition : 'env.FOO > 1' }]
+    const findings = analyzeBundle(interactions, {
+      initialParameters : { env : { FOO : 2 } },
+    })
+    expect(findings).toEqual([])
+  })
+
+  test('reports malformed expressions', () => {
+    const findings = analyzeBundle([{ statement : 'Hi', condition : 'A +* B' }])
+    expect(kindOf(findings, 'invalid-expression')).toEqual([
+      {
+        kind    : 'invalid-expression',
+        pointer : '/0/condition',
+        message : expect.stringMatching(/^Invalid expression/),
+      },
+    ])
+  })
+
+  test('reports map parameters which are set but never used', () => {
+    const findings = analyzeBundle([
+      { prompt : 'Name?', parameter : 'NAME' },
+      {
+        maps : [
+          { parameter : 'SLUG', source : 'lower(NAME)' },
+          { parameter : 'UNUSED', value : 1 },
+        ],
+      },
+      { statement : 'Creating {{SLUG}}.' },
+    ])
+
+    expect(kindOf(findings, 'unused-parameter')).toEqual([
+      {
+        kind      : 'unused-parameter',
+        pointer   : '/1/maps/1',
+        parameter : 'UNUSED',
+        message :
+          "'UNUSED' is set but never referenced by any expression or template",
+      },
+    ])
+  })
+
+  test('does not report unreferenced question parameters', () =>
+    expect(
+      kindOf(analyzeBundle(conditionalQuestionIB), 'unused-parameter')
+    ).toEqual([]))
+
+  test('reports actions with always false conditions as unreachable', () => {
+    const findings = analyzeBundle([
+      { statement : 'Hi', condition : 'false' },
+      { statement : 'Bye', condition : '1 > 2' },
+      { statement : 'Yo', condition : 'true' },
+    ])
+    expect(
+      kindOf(findings, 'unreachable-action').map((f) => f.pointer)
+    ).toEqual(['/0', '/1'])
+  })
+
+  test('reports questions whose parameter is always defined as unreachable', () => {
+    const findings = analyzeBundle(doubleQuestionIB)
+    expect(kindOf(findings, 'unreachable-action')).toEqual([
+      {
+        kind      : 'unreachable-action',
+        pointer   : '/1',
+        parameter : 'IS_CLIENT',
+        message :
+          "question is always skipped because 'IS_CLIENT' is always defined by this point",
+      },
+    ])
+  })
+
+  test.each([
+    ['the noSkipDefined option', doubleQuestionIB, { noSkipDefined : true }],
+    [
+      'initially defined parameter with action noSkipDefined',
+      [{ prompt : 'Q', parameter : 'V', noSkipDefined : true }],
+      { initialParameters : { V : 1 } },
+    ],
+  ])('respects %s', (desc, interactions, options) =>
+    expect(
+      kindOf(analyzeBundle(interactions, options), 'unreachable-action')
+    ).toEqual([]))
+
+  test('conditionally set parameters are not always defined', () => {
+    const interactions = [
+      { prompt : 'Q', parameter : 'V', condition : 'C' },
+      { prompt : 'Q', parameter : 'V' },
+    ]
+    const findings = analyzeBundle(interactions, {
+      initialParameters : { C : true },
+    })
+    expect(kindOf(findings, 'unreachable-action')).toEqual([])
+  })
+})
@@ -0,0 +1,69 @@
+/* global afterAll beforeAll describe expect test */
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+import { editorCommand, editText } from '../edit-text'
+
+describe('editorCommand', () => {
+  test.each([
+    [{ VISUAL : 'code --wait', EDITOR : 'vi' }, 'code --wait'],
+    [{ EDITOR : 'vi' }, 'vi'],
+    [{ VISUAL : ' ', EDITOR : 'vi' }, 'vi'],
+    [{}, undefined],
+  ])('%p -> %p', (env, expected) => expect(editorCommand(env)).toBe(expected))
+})
+
+describe('editText', () => {
+  let tmpDir
+  let editor
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qna-edit-text-'))
+    fs.mkdirSync(path.join(tmpDir, 'my editor'))
+    // a stand in editor which upper cases the file and exits with the status given as its first argument
+    const script = path.join(tmpDir, 'my editor', "kim's editor.cjs")
+    fs.writeFileSync(
+      script,
+      `const fs = require('node:fs')
+const [status, file] = process.argv.slice(2)
+fs.writeFileSync(file, fs.readFileSync(file, 'utf8').toUpperCase() + 'line 2\\n')
+process.exit(parseInt(status))
+`
+    )
+    editor = `"${process.execPath}" "${script}"`
+  })
+
+  afterAll(() => fs.rmSync(tmpDir, { force : true, recursive : true }))
+
+  test('returns the edited text', async () =>
+    expect(await editText({ editor : editor + ' 0', text : 'line 1\n' })).toBe(
+      'LINE 1\nline 2\n'
+    ))
+
+  test.each([
+    ['single quoted', (script) => `'${script.replaceAll("'", "'\\''")}'`],
+    ['escaped', (script) => script.replaceAll(/([ '])/g, '\\$1')],
+  ])('accepts %s paths with spaces', async (desc, quote) => {
+    const script = path.join(tmpDir, 'my editor', "kim's editor.cjs")
+
+    expect(
+      await editText({ editor : `${process.execPath} ${quote(script)} 0` })
+    ).toBe('line 2\n')
+  })
+
+  test('rejects when the editor exits with an error', () =>
+    expect(editText({ editor : editor + ' 1' })).rejects.toThrow(
+      /exited with status 1/
+    ))
+
+  test('rejects commands with an unterminated quote', () =>
+    expect(editText({ editor : '"vi' })).rejects.toThrow(
+      /^Could not start editor '"vi'; unterminated " quote/
+    ))
+
+  test('rejects when the editor cannot be started', () =>
+    expect(
+      editText({ editor : path.join(tmpDir, 'no-such-editor') })
+    ).rejects.toThrow(/^Could not start editor/))
+})
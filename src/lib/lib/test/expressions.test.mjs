@@ -0,0 +1,78 @@
+import {
+  evalNumber,
+  evalTruth,
+  isUndefinedParameterError,
+  referencedParameters,
+  renameParameters,
+  testParameters
+} from '../expressions'
+import { evalString } from '../string-expressions'
+
+describe('expressions', () => {
+  test.each([
+    ['A && B', { A : true, B : false }, false],
+    ['A || B', { A : true, B : false }, true],
+    ['A > 2', { A : 3 }, true],
+    ['D > TODAY', { D : new Date(Date.now() + 86400000) }, true],
+    ['D < NOW', { D : new Date(2000, 0, 1) }, true],
+    ['D == TODAY', { D : new Date(new Date().setHours(0, 0, 0, 0)) }, true],
+    ['TODAY > 1', { TODAY : 0 }, false],
+  ])("evalTruth('%s', %p) -> %s", (expression, parameters, expected) =>
+    expect(evalTruth(expression, parameters)).toBe(expected))
+
+  test.each([
+    ['A + B', { A : 1, B : 2 }, 3],
+    ['A * 2', { A : 1.5 }, 3],
+  ])("evalNumber('%s', %p) -> %s", (expression, parameters, expected) =>
+    expect(evalNumber(expression, parameters)).toBe(expected))
+
+  test.each([
+    ['condition-eval', () => evalNumber('NO_SUCH_PARAMETER + 1', {}), true],
+    [
+      'string expression',
+      () => evalString('lower(NO_SUCH_PARAMETER)', {}),
+      true,
+    ],
+    ['malformed expression', () => evalNumber('A +* 2', { A : 1 }), false],
+  ])(
+    'isUndefinedParameterError() recognizes %s errors',
+    (desc, evaluate, expected) => {
+      let error
+      try {
+        evaluate()
+      }
+      catch (e) {
+        error = e
+      }
+
+      expect(isUndefinedParameterError(error)).toBe(expected)
+    }
+  )
+
+  test('testParameters() sets each parameter to 1', () =>
+    expect(testParameters(['A', 'b.c.D', 'b.E'])).toEqual({
+      A : 1,
+      b : { c : { D : 1 }, E : 1 },
+    }))
+
+  test.each([
+    ['!IS_CLIENT', ['IS_CLIENT']],
+    ['A || B || A', ['A', 'B']],
+    ['A == TRUE || HIGH > B', ['A', 'B']],
+    ['a.b.FOO > 2', ['a.b.FOO']],
+    ['true', []],
+    ['DEADLINE > TODAY && START < NOW', ['DEADLINE', 'START']],
+  ])("referencedParameters('%s') -> %p", (expression, expected) =>
+    expect(referencedParameters(expression)).toEqual(expected))
+
+  test.each([
+    ['A && !B', 'P_A && !P_B'],
+    ['AB > A', 'AB > P_A'],
+    ['A.B.C > 2', 'P_A.B.C > 2'],
+    ['x.A == 1e5', 'x.A == 1e5'],
+    ["A == 'A'", "P_A == 'A'"],
+    ["'it\\'s A' + A", "'it\\'s A' + P_A"],
+    ['A(B) + lower(A)', 'A(P_B) + lower(P_A)'],
+  ])("renameParameters('%s') -> '%s'", (expression, expected) =>
+    expect(renameParameters(expression, { A : 'P_A', B : 'P_B' })).toBe(expected))
+})
@@ -0,0 +1,80 @@
+/* global describe expect test */
+import {
+  interpolate,
+  renameTemplateParameters,
+  templateParameters
+} from '../interpolate'
+
+describe('interpolate', () => {
+  const parameters = {
+    APP   : 'web',
+    PORT  : 8080,
+    TLS   : false,
+    TAGS  : ['a', 'b'],
+    DAY   : new Date(2024, 0, 15),
+    env   : { region : 'us-east' },
+    EMPTY : '',
+  }
+
+  test.each([
+    ['Deploy {{APP}}?', 'Deploy web?'],
+    ['{{ APP }}:{{PORT}}', 'web:8080'],
+    ['TLS: {{TLS}}', 'TLS: false'],
+    ['Tags: {{TAGS}}', 'Tags: a, b'],
+    ['On {{DAY}}', 'On 2024-01-15'],
+    ['Region {{env.region}}', 'Region us-east'],
+    ["'{{EMPTY}}'", "''"],
+    ['Literal \\{{APP}}', 'Literal {{APP}}'],
+    ['No references }}', 'No references }}'],
+  ])("'%s' -> '%s'", (template, expected) =>
+    expect(interpolate(template, parameters)).toBe(expected))
+
+  test.each([[undefined], [5], [true]])('returns %p as is', (value) =>
+    expect(interpolate(value, parameters)).toBe(value))
+
+  test('throws when a referenced parameter is not defined', () =>
+    expect(() => interpolate('Hi {{NAME}}', parameters)).toThrow(
+      /'NAME' is not defined; referenced in 'Hi \{\{NAME\}\}'/
+    ))
+
+  test("replaces references to undefined parameters with 'missing', if set", () =>
+    expect(
+      interpolate('Hi {{NAME}} of {{env.zone}} in {{env.region}}', parameters, {
+        missing : '',
+      })
+    ).toBe('Hi  of  in us-east'))
+
+  test('throws when a reference is malformed', () =>
+    expect(() => interpolate('Hi {{NAME', parameters)).toThrow(
+      /^Malformed parameter reference '\{\{NAME' in 'Hi \{\{NAME'/
+    ))
+})
+
+describe('templateParameters', () => {
+  test.each([
+    ['{{A}} and {{b.C}}', ['A', 'b.C']],
+    ['\\{{A}} and {{B}}', ['B']],
+    ['no references', []],
+    [42, []],
+  ])('%p -> %p', (template, expected) =>
+    expect(templateParameters(template)).toEqual(expected))
+
+  test.each([['{{}}'], ['{{A B}}'], ['{{1A}}'], ['{{A']])(
+    "rejects '%s'",
+    (template) =>
+      expect(() => templateParameters(template)).toThrow(
+        /^Malformed parameter reference/
+      )
+  )
+})
+
+describe('renameTemplateParameters', () => {
+  test.each([
+    ['{{A}} and {{ B }}', '{{P_A}} and {{P_B}}'],
+    ['{{A.x}} and {{x.A}}', '{{P_A.x}} and {{x.A}}'],
+    ['\\{{A}} and {{C}}', '\\{{A}} and {{C}}'],
+  ])("'%s' -> '%s'", (template, expected) =>
+    expect(renameTemplateParameters(template, { A : 'P_A', B : 'P_B' })).toBe(
+      expected
+    ))
+})
@@ -0,0 +1,125 @@
+/* global afterAll beforeAll describe expect test */
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+import { BundleLoadError } from '../../errors'
+import { loadBundle } from '../load-bundle'
+
+describe('loadBundle', () => {
+  let tmpDir
+  const bundles = {
+    'main.json' : [
+      { prompt : 'Name?', parameter : 'NAME' },
+      { include : './db.json', prefix : 'DB_' },
+    ],
+    'db.json' : [
+      { prompt : 'Port?', parameter : 'PORT', type : 'int', default : 5432 },
+      {
+        prompt    : 'Use TLS for {{NAME}} on {{PORT}}?',
+        parameter : 'TLS',
+        type      : 'bool',
+        condition : "PORT != 5432 && NAME != 'PORT'",
+      },
+      { maps : [{ parameter : 'SECURE', source : 'TLS', type : 'bool' }] },
+    ],
+    'group.json' : [
+      {
+        parameter : 'HOSTS',
+        repeat    : [{ include : 'qna-test-hosts/host.json' }],
+        while     : 'MORE',
+      },
+    ],
+    'node_modules/qna-test-hosts/host.json' : [
+      { prompt : 'Host?', parameter : 'HOST' },
+      { prompt : 'More?', parameter : 'MORE', type : 'bool' },
+    ],
+    'node_modules/qna-test-hosts/package.json' : { name : 'qna-test-hosts' },
+    'cycle-a.json'                             : [{ include : './cycle-b.json' }],
+    'cycle-b.json'                             : [{ statement : 'B' }, { include : './cycle-a.json' }],
+    'missing.json'                             : [{ statement : 'Hi' }, { include : './no-such.json' }],
+    'no-pkg.json'                              : [{ include : 'qna-test-no-such-package/bundle.json' }],
+    'bad.json'                                 : [{ include : './invalid.json' }],
+    'invalid.json'                             : [{ prompt : 'Q?' }],
+  }
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qna-load-bundle-'))
+    for (const [file, bundle] of Object.entries(bundles)) {
+      const bundlePath = path.join(tmpDir, file)
+      fs.mkdirSync(path.dirname(bundlePath), { recursive : true })
+      fs.writeFileSync(bundlePath, JSON.stringify(bundle))
+    }
+  })
+
+  afterAll(() => fs.rmSync(tmpDir, { force : true, recursive : true }))
+
+  test('replaces includes with the prefixed actions of the included bundle', async () =>
+    expect(await loadBundle(path.join(tmpDir, 'main.json'))).toEqual([
+      { prompt : 'Name?', parameter : 'NAME' },
+      {
+        prompt    : 'Port?',
+        parameter : 'DB_PORT',
+        type      : 'int',
+        default   : 5432,
+      },
+      {
+        prompt    : 'Use TLS for {{NAME}} on {{DB_PORT}}?',
+        parameter : 'DB_TLS',
+        type      : 'bool',
+        condition : "DB_PORT != 5432 && NAME != 'PORT'",
+      },
+      {
+        maps : [{ parameter : 'DB_SECURE', source : 'DB_TLS', type : 'bool' }],
+      },
+    ]))
+
+  test('resolves package includes within repeating groups', async () =>
+    expect(await loadBundle(path.join(tmpDir, 'group.json'))).toEqual([
+      {
+        parameter : 'HOSTS',
+        repeat    : bundles['node_modules/qna-test-hosts/host.json'],
+        while     : 'MORE',
+      },
+    ]))
+
+  test('rejects include cycles', () =>
+    expect(loadBundle(path.join(tmpDir, 'cycle-a.json'))).rejects.toThrow(
+      /^Bundle include cycle at '\/1' in '.+cycle-b\.json': .+cycle-a\.json -> .+cycle-b\.json -> .+cycle-a\.json$/
+    ))
+
+  test('reports the file and action of a missing include', async () => {
+    const error = await loadBundle(path.join(tmpDir, 'missing.json')).catch(
+      (e) => e
+    )
+    expect(error).toBeInstanceOf(BundleLoadError)
+    expect(error.message).toMatch(
+      /^Could not read bundle '.+no-such\.json' included at '\/1' in '.+missing\.json'/
+    )
+    expect(error.file).toBe(path.join(tmpDir, 'missing.json'))
+    expect(error.pointer).toBe('/1')
+  })
+
+  test('reports unresolvable packages', () =>
+    expect(loadBundle(path.join(tmpDir, 'no-pkg.json'))).rejects.toThrow(
+      /^Could not resolve include 'qna-test-no-such-package\/bundle.json' included at '\/0' in '.+no-pkg\.json'; Cannot find module/
+    ))
+
+  test('reports the issues of invalid included bundles', async () => {
+    const error = await loadBundle(path.join(tmpDir, 'bad.json')).catch(
+      (e) => e
+    )
+    expect(error).toBeInstanceOf(BundleLoadError)
+    expect(error.file).toBe(path.join(tmpDir, 'invalid.json'))
+    expect(error.from).toEqual({
+      file    : path.join(tmpDir, 'bad.json'),
+      pointer : '/0',
+    })
+    expect(error.issues).toEqual([
+      { pointer : '/0', message : "must have required property 'parameter'" },
+    ])
+    expect(error.message).toMatch(
+      /invalid\.json' included at '\/0' in '.+bad\.json' is invalid:\n- \/0: must have required property 'parameter'$/
+    )
+  })
+})
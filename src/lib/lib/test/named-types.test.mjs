@@ -0,0 +1,36 @@
+import { Email, Hostname, IPv4, IPv6, Semver, Url, Uuid } from '../named-types'
+
+describe('named types', () => {
+  test.each([
+    [Email, 'name@example.com'],
+    [Hostname, 'example.com'],
+    [Hostname, 'localhost'],
+    [IPv4, '192.168.0.1'],
+    [IPv6, '2001:db8::1'],
+    [Semver, '1.2.3'],
+    [Semver, '2.0.0-beta.1+build.5'],
+    [Url, 'https://example.com/path?q=1'],
+    [Url, 'mailto:name@example.com'],
+    [Uuid, '123e4567-e89b-12d3-a456-426614174000'],
+  ])('%p accepts %p', (type, input) =>
+    expect(type(` ${input} `, { name : 'V' })).toBe(input))
+
+  test.each([
+    [Email, 'name@example', 'is not a valid email address'],
+    [Hostname, '-bad-.com', 'is not a valid hostname'],
+    [IPv4, '256.1.1.1', 'is not a valid IPv4 address'],
+    [IPv6, '1.2.3.4', 'is not a valid IPv6 address'],
+    [Semver, '1.2', 'is not a valid semantic version'],
+    [Url, 'example.com', 'is not a valid URL'],
+    [Uuid, '123e4567', 'is not a valid UUID'],
+  ])('%p rejects %p', (type, input, issue) =>
+    expect(() => type(input, { name : 'V' })).toThrow(
+      new RegExp(
+        `^Command argument 'V' with value '${input}' ${issue}. Try something like`
+      )
+    ))
+
+  test('applies the standard string validations', () =>
+    expect(() =>
+      Email('name@example.com', { name : 'V', endsWith : '@company.com' })).toThrow(/'V'/))
+})
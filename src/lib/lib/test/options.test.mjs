@@ -0,0 +1,67 @@
+/* global describe expect test */
+import {
+  filterOptions,
+  matchOptions,
+  normalizeOption,
+  optionValues
+} from '../options'
+
+describe('normalizeOption', () => {
+  test.each([
+    ['aws', { label : 'aws', value : 'aws' }],
+    [3, { label : 3, value : 3 }],
+    [{ label : 'AWS' }, { label : 'AWS', value : 'AWS' }],
+    [
+      { label : 'AWS', value : 'aws', description : 'Amazon' },
+      { label : 'AWS', value : 'aws', description : 'Amazon' },
+    ],
+    [
+      { label : 'Off', value : false },
+      { label : 'Off', value : false },
+    ],
+  ])('%p -> %p', (option, expected) =>
+    expect(normalizeOption(option)).toEqual(expected))
+})
+
+describe('optionValues', () => {
+  test('lists the option values', () =>
+    expect(optionValues(['local', { label : 'AWS', value : 'aws' }])).toEqual([
+      'local',
+      'aws',
+    ]))
+})
+
+describe('matchOptions', () => {
+  const options = [
+    { label : 'Java', value : 'java' },
+    { label : 'JavaScript', value : 'js' },
+    { label : 'Python', value : 'py' },
+  ]
+
+  test.each([
+    ['java', [0]],
+    ['JS', [1]],
+    ['javas', [1]],
+    ['p', [2]],
+    ['ja', [0, 1]],
+    ['ruby', []],
+    [' ', []],
+  ])('%p -> %p', (text, expected) =>
+    expect(matchOptions(text, options)).toEqual(expected))
+})
+
+describe('filterOptions', () => {
+  const labels = ['US East', 'US West', 'Europe West', 'Asia Pacific']
+
+  test.each([
+    ['west', [1, 2]],
+    ['usw', [1]],
+    ['us w', [1]],
+    ['a', [0, 3]],
+    ['xyz', []],
+  ])('%p -> %p', (filter, expected) =>
+    expect(filterOptions(filter, labels)).toEqual(expected))
+
+  test('substring matches come before fuzzy matches', () =>
+    expect(filterOptions('ct', ['Cat', 'Act'])).toEqual([1, 0]))
+})
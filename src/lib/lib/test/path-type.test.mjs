@@ -0,0 +1,89 @@
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+import { completePath, PathString } from '../path-type'
+
+describe('path type', () => {
+  let tmpDir
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qna-path-type-'))
+    fs.mkdirSync(path.join(tmpDir, 'config'))
+    fs.mkdirSync(path.join(tmpDir, 'locked'), { mode : 0o555 })
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), '{}')
+    fs.writeFileSync(path.join(tmpDir, 'notes.txt'), '')
+    fs.writeFileSync(path.join(tmpDir, '.hidden'), '')
+  })
+
+  afterAll(() => fs.rmSync(tmpDir, { force : true, recursive : true }))
+
+  describe('PathString', () => {
+    test.each([
+      ['~', os.homedir()],
+      ['~/foo', path.join(os.homedir(), 'foo')],
+      ['foo/../bar', path.resolve('bar')],
+      ['/tmp/foo', '/tmp/foo'],
+    ])('resolves %p', (input, expected) =>
+      expect(PathString(input)).toBe(expected))
+
+    test.each([
+      ['config.json', { mustExist : true }],
+      ['config', { mustBeDirectory : true }],
+      ['new-file', { mustBeWritable : true }],
+      ['config.json', { extensions : ['.yaml', 'JSON'] }],
+    ])('accepts %p with %p', (input, options) =>
+      expect(PathString(path.join(tmpDir, input), options)).toBe(
+        path.join(tmpDir, input)
+      ))
+
+    test.each([
+      ['', {}, /is not a path/],
+      ['missing', { mustExist : true }, /does not exist/],
+      ['missing', { mustBeDirectory : true }, /does not exist/],
+      ['config.json', { mustBeDirectory : true }, /is not a directory/],
+      [
+        'notes.txt',
+        { extensions : ['.json', 'yaml'] },
+        /does not have a recognized extension. Expected '.json', '.yaml'./,
+      ],
+    ])('rejects %p with %p', (input, options, expected) =>
+      expect(() =>
+        PathString(input && path.join(tmpDir, input), {
+          name : 'P',
+          ...options,
+        })).toThrow(expected))
+
+    // root can write anywhere
+    const testUnwritable = process.getuid?.() === 0 ? test.skip : test
+    testUnwritable('rejects unwritable paths', () =>
+      expect(() =>
+        PathString(path.join(tmpDir, 'locked', 'new-file'), {
+          mustBeWritable : true,
+        })).toThrow(/is not writable/))
+  })
+
+  describe('completePath', () => {
+    test.each([
+      ['con', ['config.json', 'config' + path.sep]],
+      [
+        '',
+        ['config' + path.sep, 'config.json', 'locked' + path.sep, 'notes.txt'],
+      ],
+      ['.h', ['.hidden']],
+      ['x', []],
+    ])('completes %p', (segment, expected) => {
+      const line = tmpDir + path.sep + segment
+      expect(completePath(line)).toEqual([
+        expected.map((entry) => tmpDir + path.sep + entry).sort(),
+        line,
+      ])
+    })
+
+    test("completes '~' to the home directory", () =>
+      expect(completePath('~')).toEqual([['~' + path.sep], '~']))
+
+    test('completes nothing in a non-existent directory', () =>
+      expect(completePath('/no/such/dir/x')).toEqual([[], '/no/such/dir/x']))
+  })
+})
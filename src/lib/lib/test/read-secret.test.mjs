@@ -0,0 +1,74 @@
+/* global beforeEach describe expect jest test */
+import { EventEmitter } from 'node:events'
+
+import { readSecret } from '../read-secret'
+
+jest.mock('node:readline')
+
+describe('readSecret', () => {
+  let controller
+  let input
+  let onCancel
+
+  const press = (...keys) => {
+    for (const [str, key] of keys) {
+      input.emit('keypress', str, key)
+    }
+  }
+
+  beforeEach(() => {
+    controller = new AbortController()
+    input = new EventEmitter()
+    input.setRawMode = jest.fn()
+    input.pause = jest.fn()
+    input.resume = jest.fn()
+    onCancel = jest.fn((reason) => controller.abort(new Error(reason)))
+  })
+
+  test('reads the entry up to enter', async () => {
+    const reading = readSecret({ input, onCancel, signal : controller.signal })
+    press(
+      ['a', { name : 'a' }],
+      ['B', { name : 'b', shift : true }],
+      ['\u007f', { name : 'backspace' }],
+      ['1', { name : '1' }],
+      [' ', { name : 'space' }],
+      ['\r', { name : 'return' }]
+    )
+
+    await expect(reading).resolves.toBe('a1')
+    expect(input.setRawMode.mock.calls).toEqual([[true], [false]])
+    expect(input.listenerCount('keypress')).toBe(0)
+  })
+
+  test('ignores control keys', async () => {
+    const reading = readSecret({ input, onCancel, signal : controller.signal })
+    press(
+      ['\u0001', { name : 'a', ctrl : true }],
+      [undefined, { name : 'up' }],
+      ['x', { name : 'x' }],
+      ['\r', { name : 'return' }]
+    )
+
+    await expect(reading).resolves.toBe('x')
+  })
+
+  test.each([
+    ['Ctrl-C', { name : 'c', ctrl : true }, 'interrupted'],
+    ['Ctrl-D', { name : 'd', ctrl : true }, 'eof'],
+  ])('%s cancels with reason %s', async (desc, key, reason) => {
+    const reading = readSecret({ input, onCancel, signal : controller.signal })
+    press([undefined, key])
+
+    await expect(reading).rejects.toThrow(reason)
+    expect(onCancel).toHaveBeenCalledWith(reason)
+    expect(input.setRawMode).toHaveBeenLastCalledWith(false)
+  })
+
+  test('the end of input cancels with reason eof', async () => {
+    const reading = readSecret({ input, onCancel, signal : controller.signal })
+    input.emit('end')
+
+    await expect(reading).rejects.toThrow('eof')
+  })
+})
@@ -0,0 +1,209 @@
+/* global beforeEach describe expect jest test */
+import { EventEmitter } from 'node:events'
+
+import { selectOption } from '../select-option'
+
+jest.mock('node:readline')
+
+describe('selectOption', () => {
+  let input
+  let renders
+
+  // Presses each key in turn once the selection is first rendered. Keys are names like 'down' or single characters.
+  const select = ({
+    interaction,
+    keys,
+    pageSize,
+    signal = new AbortController().signal,
+  }) =>
+    selectOption({
+      backToken : '<',
+      input,
+      interaction,
+      onCancel  : jest.fn(),
+      pageSize,
+      render    : (state) => {
+        renders.push(state)
+        if (renders.length === 1) {
+          for (const key of keys) {
+            const keyInfo =
+              typeof key === 'string' && key.length === 1 && key !== ' '
+                ? { name : key }
+                : { name : key === ' ' ? 'space' : key }
+            input.emit('keypress', key, keyInfo)
+          }
+        }
+      },
+      signal,
+    })
+
+  beforeEach(() => {
+    input = new EventEmitter()
+    input.setRawMode = jest.fn()
+    input.pause = jest.fn()
+    input.resume = jest.fn()
+    renders = []
+  })
+
+  const options = ['apple', 'banana', 'cherry']
+
+  test.each([
+    ['enter selects the first option', ['return'], '1'],
+    ['down moves to the next option', ['down', 'return'], '2'],
+    ['up wraps to the last option', ['up', 'return'], '3'],
+    ["'j' and 'k' move the cursor", ['j', 'j', 'k', 'return'], '2'],
+    ['a digit jumps to that option', ['3', 'return'], '3'],
+    ['a digit beyond the options is ignored', ['9', 'return'], '1'],
+    ['left goes back', ['down', 'left'], '<'],
+  ])('%s', async (desc, keys, expected) => {
+    const answer = await select({
+      interaction : { options },
+      keys,
+    })
+    expect(answer).toBe(expected)
+  })
+
+  test('the cursor starts on the default option', async () => {
+    const answer = await select({
+      interaction : { options, default : 'banana' },
+      keys        : ['return'],
+    })
+    expect(answer).toBe('2')
+    expect(renders[0]).toEqual({ cursor : 1, selected : [1] })
+  })
+
+  test('space toggles multi-value selections', async () => {
+    const answer = await select({
+      interaction : { options, multiValue : true, default : ['banana'] },
+      keys        : [' ', 'down', ' ', 'up', 'up', ' ', 'return'],
+    })
+    expect(answer).toBe('1,3')
+    expect(renders.at(-1)).toEqual({ cursor : 0, selected : [0, 2] })
+  })
+
+  test('multi-value selections use the question separator', async () => {
+    const answer = await select({
+      interaction : { options, multiValue : true, separator : ';' },
+      keys        : [' ', 'down', ' ', 'return'],
+    })
+    expect(answer).toBe('1;2')
+  })
+
+  describe('long lists', () => {
+    const zones = [
+      'US Eastern',
+      'US Central',
+      'US Mountain',
+      'US Pacific',
+      'Europe Western',
+      'Europe Central',
+    ]
+
+    test('scroll to keep the cursor in view', async () => {
+      const answer = await select({
+        interaction : { options : zones },
+        keys        : ['down', 'down', 'down', 'up', 'up', 'up', 'return'],
+        pageSize    : 3,
+      })
+      expect(answer).toBe('1')
+      expect(renders.map(({ listed }) => listed)).toEqual([
+        [0, 1, 2],
+        [0, 1, 2],
+        [0, 1, 2],
+        [1, 2, 3],
+        [1, 2, 3],
+        [1, 2, 3],
+        [0, 1, 2],
+      ])
+      expect(renders[0]).toMatchObject({ total : 6 })
+    })
+
+    test("'/' searches the options", async () => {
+      const answer = await select({
+        interaction : { options : zones },
+        keys        : ['/', 'c', 'e', 'n', 'down', 'return'],
+        pageSize    : 3,
+      })
+      expect(answer).toBe('6')
+      expect(renders.at(-1)).toEqual({
+        cursor   : 5,
+        selected : [],
+        filter   : 'cen',
+        listed   : [1, 5],
+        total    : 2,
+      })
+    })
+
+    test('backspace and escape edit the search', async () => {
+      const answer = await select({
+        interaction : { options : zones },
+        keys        : [
+          '/',
+          'e',
+          'u',
+          'backspace',
+          'backspace',
+          'escape',
+          'j',
+          'return',
+        ],
+      })
+      expect(answer).toBe('2')
+      expect(renders.map(({ filter }) => filter)).toEqual([
+        undefined,
+        '',
+        'e',
+        'eu',
+        'e',
+        '',
+        undefined,
+        undefined,
+      ])
+    })
+
+    test('enter is ignored when nothing matches the search', async () => {
+      const answer = await select({
+        interaction : { options : zones },
+        keys        : ['/', 'x', 'return', 'backspace', 'return'],
+      })
+      expect(answer).toBe('1')
+      expect(renders[2]).toMatchObject({ listed : [], total : 0 })
+    })
+
+    test('space toggles multi-value selections while searching', async () => {
+      const answer = await select({
+        interaction : { options : zones, multiValue : true },
+        keys        : ['/', 'e', 'u', ' ', 'down', ' ', 'return'],
+      })
+      expect(answer).toBe('5,6')
+    })
+  })
+
+  test('restores the input when done', async () => {
+    await select({ interaction : { options }, keys : ['return'] })
+    expect(input.setRawMode.mock.calls).toEqual([[true], [false]])
+    expect(input.listenerCount('keypress')).toBe(0)
+    expect(input.listenerCount('end')).toBe(0)
+  })
+
+  test.each([
+    ['c', 'interrupted'],
+    ['d', 'eof'],
+  ])('Ctrl-%s cancels with reason %s', async (key, reason) => {
+    const controller = new AbortController()
+    const onCancel = jest.fn((reason) => controller.abort(new Error(reason)))
+    const selection = selectOption({
+      backToken   : '<',
+      input,
+      interaction : { options },
+      onCancel,
+      render      : () => undefined,
+      signal      : controller.signal,
+    })
+    input.emit('keypress', undefined, { ctrl : true, name : key })
+
+    await expect(selection).rejects.toThrow(reason)
+    expect(onCancel).toHaveBeenCalledWith(reason)
+    expect(input.setRawMode).toHaveBeenLastCalledWith(false)
+  })
+})
@@ -0,0 +1,37 @@
+/* global describe expect test */
+import { settersOf } from '../setters'
+
+describe('settersOf', () => {
+  test.each([
+    [
+      'a question',
+      { prompt : 'Q?', parameter : 'Q' },
+      [{ parameter : 'Q', pointer : '' }],
+    ],
+    [
+      'a repeating group',
+      {
+        parameter : 'ITEMS',
+        repeat    : [{ prompt : 'Q?', parameter : 'Q' }],
+        max       : 2,
+      },
+      [{ parameter : 'ITEMS', pointer : '' }],
+    ],
+    [
+      'a mapping',
+      {
+        maps : [
+          { parameter : 'A', value : 1 },
+          { parameter : 'B', source : 'A' },
+        ],
+      },
+      [
+        { parameter : 'A', pointer : '/maps/0' },
+        { parameter : 'B', pointer : '/maps/1' },
+      ],
+    ],
+    ['a statement', { statement : 'Hi' }, []],
+    ['a review', { review : 'all' }, []],
+  ])('lists the parameters set by %s', (desc, action, expected) =>
+    expect(settersOf(action)).toEqual(expected))
+})
@@ -0,0 +1,67 @@
+/* global describe expect test */
+import { evalString, stringExpressionParameters } from '../string-expressions'
+
+describe('evalString', () => {
+  const parameters = {
+    APP    : 'Web App',
+    ENV    : 'prod',
+    PORT   : 8080,
+    TLS    : false,
+    EMPTY  : '',
+    TAGS   : ['a', 'b'],
+    DAY    : new Date(2024, 0, 15),
+    db     : { name : 'Users' },
+    ACCENT : 'Café Crème',
+  }
+
+  test.each([
+    ["'bucket-' + ENV", 'bucket-prod'],
+    ['"x" + PORT', 'x8080'],
+    ["ENV == 'prod' ? 'live' : 'test'", 'live'],
+    ["ENV != 'prod' ? 'test' : TLS ? 'secure' : 'plain'", 'plain'],
+    ["PORT == '8080'", 'true'],
+    ['PORT > 1024 && !TLS', 'true'],
+    ["EMPTY || 'default'", 'default'],
+    ['lower(APP)', 'web app'],
+    ['upper(db.name)', 'USERS'],
+    ['slugify(APP)', 'web-app'],
+    ["slugify(ACCENT + ' #2')", 'cafe-creme-2'],
+    ['substring(APP, 0, 3)', 'Web'],
+    ['substring(APP, -3)', 'App'],
+    ["trim('  x  ')", 'x'],
+    [
+      "slugify(ENV + '-' + APP) + '-' + substring(db.name, 0, 1)",
+      'prod-web-app-U',
+    ],
+    ["'it\\'s'", "it's"],
+    ["'tags: ' + TAGS", 'tags: a, b'],
+    ["'on ' + DAY", 'on 2024-01-15'],
+    ["(ENV + '-' + PORT)", 'prod-8080'],
+  ])('%s -> %p', (expression, expected) =>
+    expect(evalString(expression, parameters)).toBe(expected))
+
+  test.each([
+    ["'a' +", /unexpected end of expression/],
+    ["'a' 'b'", /unexpected 'b' at position 4/],
+    ['PORT # 1', /unexpected '#' at position 5/],
+    ['foo(APP)', /unknown function 'foo\(\)'/],
+    ['lower(APP, ENV)', /'lower\(\)' takes 1 arguments; got 2/],
+    ['substring(APP)', /'substring\(\)' takes 2 to 3 arguments; got 1/],
+    ["substring(APP, 'x')", /'substring\(\)' positions must be integers/],
+    ['NAME + 1', /Expression parameter 'NAME' is not defined/],
+  ])('%s throws %p', (expression, expected) =>
+    expect(() => evalString(expression, parameters)).toThrow(expected))
+})
+
+describe('stringExpressionParameters', () => {
+  test.each([
+    ["ENV == 'prod' ? lower(APP) : db.name + APP", ['ENV', 'APP', 'db.name']],
+    ['\'ENV\' + "APP"', []],
+  ])('%s -> %p', (expression, expected) =>
+    expect(stringExpressionParameters(expression)).toEqual(expected))
+
+  test('throws on invalid expressions', () =>
+    expect(() => stringExpressionParameters('lower(')).toThrow(
+      /^Invalid string expression 'lower\('/
+    ))
+})
@@ -0,0 +1,121 @@
+import {
+  DateString,
+  DateTimeString,
+  Duration,
+  formatDate,
+  formatDateTime,
+  formatDuration
+} from '../time-types'
+
+describe('time types', () => {
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const daysFromToday = (days) => {
+    const date = new Date(today)
+    date.setDate(date.getDate() + days)
+
+    return date
+  }
+
+  describe('DateString', () => {
+    test.each([
+      ['2024-03-05', new Date(2024, 2, 5)],
+      ['3/5/2024', new Date(2024, 2, 5)],
+      ['5 Mar 2024', new Date(2024, 2, 5)],
+      ['today', today],
+      ['Tomorrow', daysFromToday(1)],
+      ['yesterday', daysFromToday(-1)],
+      [new Date(2024, 2, 5), new Date(2024, 2, 5)],
+    ])('parses %p', (input, expected) =>
+      expect(DateString(input, { name : 'D' })).toEqual(expected))
+
+    test('rejects unrecognized dates', () =>
+      expect(() => DateString('someday', { name : 'D' })).toThrow(
+        /'D' with value 'someday' is not recognized/
+      ))
+
+    test.each([
+      ['min', 'yesterday', { min : 'today' }],
+      ['max', 'tomorrow', { max : 'today' }],
+      ['max', '2024-03-05', { max : '2024-03-04' }],
+    ])('enforces %s', (constraint, input, options) =>
+      expect(() => DateString(input, { name : 'D', ...options })).toThrow(
+        new RegExp(`constraint '${constraint}'.+out of range`)
+      ))
+  })
+
+  describe('DateTimeString', () => {
+    test.each([
+      ['2024-03-05 13:30', new Date(2024, 2, 5, 13, 30)],
+      ['2024-03-05T13:30:00Z', new Date(Date.UTC(2024, 2, 5, 13, 30))],
+      ['5 Mar 2024 13:30', new Date(2024, 2, 5, 13, 30)],
+      ['5 Mar 2024 13:30:15', new Date(2024, 2, 5, 13, 30, 15)],
+      ['5 Mar 2024 1:30 PM', new Date(2024, 2, 5, 13, 30)],
+    ])('parses %p', (input, expected) =>
+      expect(DateTimeString(input, { name : 'D' })).toEqual(expected))
+
+    test('rejects invalid date-times', () =>
+      expect(() => DateTimeString('0 Mar 2024 13:30', { name : 'D' })).toThrow(
+        /'D' with value '0 Mar 2024 13:30' is not a valid date-time/
+      ))
+
+    test("parses 'now'", () => {
+      const before = Date.now()
+      const now = DateTimeString('now', { name : 'D' })
+      // 'now' is parsed to the second
+      expect(now.getTime()).toBeGreaterThanOrEqual(before - 1000)
+      expect(now.getTime()).toBeLessThanOrEqual(Date.now())
+    })
+
+    test('enforces min', () =>
+      expect(() =>
+        DateTimeString('2024-03-05 13:30', { name : 'D', min : 'now' })).toThrow(/out of range/))
+  })
+
+  describe('Duration', () => {
+    test.each([
+      ['1h 30m', 5400000],
+      ['1h30m', 5400000],
+      ['90 minutes', 5400000],
+      ['1 hour, 5 mins', 3900000],
+      ['1.5h', 5400000],
+      ['2d', 172800000],
+      ['1 week', 604800000],
+      ['250ms', 250],
+      ['1:30', 5400000],
+      ['0:00:45', 45000],
+      ['PT1H30M', 5400000],
+      ['P1DT12H', 129600000],
+      [5000, 5000],
+    ])('parses %p', (input, expected) =>
+      expect(Duration(input, { name : 'D' })).toBe(expected))
+
+    test.each(['abc', '10', '1h junk', '5 parsecs', 'P', 'PT', ''])(
+      'rejects %p',
+      (input) =>
+        expect(() => Duration(input, { name : 'D' })).toThrow(
+          /'D' with value '.*' is not a recognized duration/
+        )
+    )
+
+    test.each([
+      ['2h', { max : '1h' }, /less than or equal to '1h'/],
+      ['30s', { min : 60000 }, /greater than or equal to '1m'/],
+    ])('enforces the range for %p', (input, options, expected) =>
+      expect(() => Duration(input, { name : 'D', ...options })).toThrow(expected))
+  })
+
+  test.each([
+    [formatDate, new Date(2024, 0, 2, 3, 4), '2024-01-02'],
+    [formatDateTime, new Date(2024, 0, 2, 3, 4), '2024-01-02 03:04'],
+    [
+      formatDateTime,
+      new Date(2024, 0, 2, 3, 4, 5, 6),
+      '2024-01-02 03:04:05.006',
+    ],
+    [formatDuration, 5400000, '1h 30m'],
+    [formatDuration, 0, '0s'],
+    [formatDuration, -90061001, '-1d 1h 1m 1s 1ms'],
+  ])('%p formats %p as %p', (format, value, expected) =>
+    expect(format(value)).toBe(expected))
+})
@@ -1,6 +1,32 @@
-import { translateType } from '../translate-type'
+import { ArgumentInvalidError } from 'standard-error-set'
+import { BooleanString, Integer, Numeric, ValidatedString } from 'string-input'
+
+import { Email, Hostname, IPv4, IPv6, Semver, Url, Uuid } from '../named-types'
+import { PathString } from '../path-type'
+import { DateString, DateTimeString, Duration } from '../time-types'
+import { prepareTypes, translateType } from '../translate-type'
 
 describe('translateType', () => {
+  test.each([
+    [undefined, ValidatedString],
+    ['string', ValidatedString],
+    ['int', Integer],
+    ['numeric', Numeric],
+    ['bool', BooleanString],
+    ['date', DateString],
+    ['DateTime', DateTimeString],
+    ['duration', Duration],
+    ['path', PathString],
+    ['email', Email],
+    ['hostname', Hostname],
+    ['ipv4', IPv4],
+    ['ipv6', IPv6],
+    ['semver', Semver],
+    ['url', Url],
+    ['uuid', Uuid],
+  ])('translates %p', (type, expected) =>
+    expect(translateType(type)).toBe(expected))
+
   test('throws error for invalid type type', () =>
     expect(() => translateType({})).toThrow(
       /^Invalid type designation type 'object'\./
@@ -10,4 +36,65 @@ describe('translateType', () => {
     expect(() => translateType('foobar')).toThrow(
       /^Invalid parameter type 'foobar'\./
     ))
+
+  describe('with custom types', () => {
+    const port = (input) => parseInt(input)
+    const types = { awsRegion : ValidatedString, port }
+
+    test('translates registered names', () => {
+      expect(translateType('port', { types })).toBe(port)
+      expect(translateType('awsRegion', { types })).toBe(ValidatedString)
+    })
+
+    test('custom names are case sensitive', () =>
+      expect(() => translateType('Port', { types })).toThrow(
+        /^Invalid parameter type 'Port'\./
+      ))
+
+    test('built-in types are still recognized', () =>
+      expect(translateType('int', { types })).toBe(Integer))
+  })
+})
+
+describe('prepareTypes', () => {
+  test('passes through undefined', () =>
+    expect(prepareTypes(undefined)).toBe(undefined))
+
+  test('custom type errors become invalid argument errors', () => {
+    const { port } = prepareTypes({
+      port : (input) => {
+        if (!/^\d+$/.test(input)) {
+          throw new Error('Not a port.')
+        }
+
+        return parseInt(input)
+      },
+    })
+
+    expect(port('80')).toBe(80)
+    expect(() => port('http')).toThrow(ArgumentInvalidError)
+    expect(() => port('http')).toThrow('Not a port.')
+    expect(port.description).toBe('port')
+  })
+
+  test('invalid argument errors are passed through', () => {
+    const error = new ArgumentInvalidError({ message : 'Bad.' })
+    const { bad } = prepareTypes({
+      bad : () => {
+        throw error
+      },
+    })
+
+    expect(() => bad('x')).toThrow(error)
+  })
+
+  test('rejects non-function types', () =>
+    expect(() => prepareTypes({ port : 'int' })).toThrow(
+      /'types' with value 'port' is not a type function/
+    ))
+
+  test('rejects built-in type names', () =>
+    expect(() => prepareTypes({ Email : ValidatedString })).toThrow(
+      /'types' with value 'Email' is the name of a built-in type/
+    ))
 })
@@ -0,0 +1,331 @@
+import { validateBundle } from '../validate-bundle'
+import * as testData from '../../test/test-data'
+
+describe('validateBundle', () => {
+  test.each(
+    Object.keys(testData).filter((key) => Array.isArray(testData[key]))
+  )('accepts %s test data', (dataKey) =>
+    expect(validateBundle(testData[dataKey])).toEqual([]))
+
+  test.each([
+    ['is not an array', {}, [{ pointer : '', message : 'must be array' }]],
+    [
+      'is an empty array',
+      [],
+      [{ pointer : '', message : 'must NOT have fewer than 1 items' }],
+    ],
+    [
+      'action has no type',
+      [{ foo : 'bar' }],
+      [
+        {
+          pointer : '/0',
+          message :
+            "must define exactly one of 'prompt', 'maps', 'statement', 'review', 'repeat', or 'include'",
+        },
+      ],
+    ],
+    [
+      'action has multiple types',
+      [{ prompt : 'Q', parameter : 'V', statement : 'S' }],
+      [
+        {
+          pointer : '/0',
+          message :
+            "must define exactly one of 'prompt', 'maps', 'statement', 'review', 'repeat', or 'include'",
+        },
+      ],
+    ],
+    [
+      'question lacks parameter',
+      [{ prompt : 'Q' }],
+      [{ pointer : '/0', message : "must have required property 'parameter'" }],
+    ],
+    [
+      'question has bad type',
+      [{ prompt : 'Q', parameter : 'V', type : 'foo' }],
+      [
+        {
+          pointer : '/0/type',
+          message : expect.stringMatching(/^Invalid parameter type 'foo'/),
+        },
+      ],
+    ],
+    [
+      'question has bad options',
+      [{ prompt : 'Q', parameter : 'V', options : 'foo' }],
+      [{ pointer : '/0/options', message : 'must be array' }],
+    ],
+    [
+      'question default is not an option',
+      [{ prompt : 'Q', parameter : 'V', options : ['a', 'b'], default : 'c' }],
+      [
+        {
+          pointer : '/0/default',
+          message : "default 'c' is not any of the specified options",
+        },
+      ],
+    ],
+    [
+      'question has both elseValue and elseSource',
+      [{ prompt : 'Q', parameter : 'V', elseValue : 1, elseSource : 'A' }],
+      [
+        {
+          pointer : '/0',
+          message : "may not define both 'elseValue' and 'elseSource'",
+        },
+      ],
+    ],
+    [
+      'map lacks source and value',
+      [{ maps : [{ parameter : 'V' }] }],
+      [
+        {
+          pointer : '/0/maps/0',
+          message : "must define one of 'source' or 'value'",
+        },
+      ],
+    ],
+    [
+      'map has both source and value',
+      [{ maps : [{ parameter : 'V', source : 'A', value : 1, type : 'int' }] }],
+      [
+        {
+          pointer : '/0/maps/0',
+          message : "may not define both 'source' and 'value'",
+        },
+      ],
+    ],
+    [
+      'untyped source map has a malformed string expression',
+      [{ maps : [{ parameter : 'V', source : "'A' +" }] }],
+      [
+        {
+          pointer : '/0/maps/0/source',
+          message :
+            "Invalid string expression ''A' +'; unexpected end of expression.",
+        },
+      ],
+    ],
+    [
+      'numeric map has a malformed source',
+      [{ maps : [{ parameter : 'V', source : 'A +* 2', type : 'int' }] }],
+      [
+        {
+          pointer : '/0/maps/0/source',
+          message : expect.stringMatching(/^Invalid expression/),
+        },
+      ],
+    ],
+    [
+      'boolean question has a malformed defaultSource',
+      [{ prompt : 'Q', parameter : 'V', type : 'bool', defaultSource : 'A &&' }],
+      [
+        {
+          pointer : '/0/defaultSource',
+          message : expect.stringMatching(/^Invalid expression/),
+        },
+      ],
+    ],
+    [
+      'source map has a malformed string expression',
+      [{ maps : [{ parameter : 'V', source : "lower('A'", type : 'string' }] }],
+      [
+        {
+          pointer : '/0/maps/0/source',
+          message :
+            "Invalid string expression 'lower('A''; unexpected end of expression.",
+        },
+      ],
+    ],
+    [
+      'question confirms a non-secret answer',
+      [{ prompt : 'Q', parameter : 'V', confirm : true }],
+      [
+        {
+          pointer : '/0',
+          message : 'must have property secret when property confirm is present',
+        },
+      ],
+    ],
+    [
+      'option object lacks a label',
+      [{ prompt : 'Q', parameter : 'V', options : [{ value : 'a' }] }],
+      [
+        {
+          pointer : '/0/options/0',
+          message :
+            "must be a string, number, boolean, or an object with a 'label' and optional 'value', 'description', and 'condition'",
+        },
+      ],
+    ],
+    [
+      'question has both options and optionsSource',
+      [{ prompt : 'Q', parameter : 'V', options : ['a'], optionsSource : 'A' }],
+      [
+        {
+          pointer : '/0',
+          message : "may not define both 'options' and 'optionsSource'",
+        },
+      ],
+    ],
+    [
+      'optionsSource is an expression rather than a path',
+      [{ prompt : 'Q', parameter : 'V', optionsSource : 'A[0]' }],
+      [
+        {
+          pointer : '/0/optionsSource',
+          message :
+            "must be a parameter name or a dotted path into an object parameter; e.g., 'deploy.clouds'",
+        },
+      ],
+    ],
+    [
+      'default is an option label rather than value',
+      [
+        {
+          prompt    : 'Q',
+          parameter : 'V',
+          options   : [{ label : 'Amazon Web Services', value : 'aws' }],
+          default   : 'Amazon Web Services',
+        },
+      ],
+      [
+        {
+          pointer : '/0/default',
+          message :
+            "default 'Amazon Web Services' is not any of the specified options",
+        },
+      ],
+    ],
+    [
+      'review has invalid type',
+      [{ review : 'blah' }],
+      [
+        {
+          pointer : '/0/review',
+          message : 'must be equal to one of the allowed values',
+        },
+      ],
+    ],
+    [
+      "group defines neither 'while' nor 'max'",
+      [{ parameter : 'TAGS', repeat : [{ prompt : 'Tag?', parameter : 'TAG' }] }],
+      [{ pointer : '/0', message : "must define one of 'while' or 'max'" }],
+    ],
+    [
+      'group contains a review',
+      [{ parameter : 'TAGS', repeat : [{ review : 'all' }], max : 2 }],
+      [
+        {
+          pointer : '/0/repeat/0',
+          message :
+            "may not be a 'review' or 'repeat'; groups may not contain reviews or other groups",
+        },
+      ],
+    ],
+    [
+      'group action has bad type',
+      [
+        {
+          parameter : 'TAGS',
+          repeat    : [{ prompt : 'Tag?', parameter : 'TAG', type : 'foo' }],
+          max       : 2,
+        },
+      ],
+      [
+        {
+          pointer : '/0/repeat/0/type',
+          message : expect.stringMatching(/^Invalid parameter type 'foo'/),
+        },
+      ],
+    ],
+    [
+      "group 'max' is less than its 'min'",
+      [
+        {
+          parameter : 'TAGS',
+          repeat    : [{ prompt : 'Tag?', parameter : 'TAG' }],
+          min       : 3,
+          max       : 2,
+        },
+      ],
+      [
+        {
+          pointer : '/0/max',
+          message : "'max' (2) may not be less than 'min' (3)",
+        },
+      ],
+    ],
+    [
+      'has a malformed template',
+      [
+        {
+          prompt    : 'Region?',
+          parameter : 'R',
+          options   : ['a', { label : 'b {{', value : 'b' }],
+        },
+      ],
+      [
+        {
+          pointer : '/0/options/1/label',
+          message : expect.stringMatching(
+            /^Malformed parameter reference '\{\{' in 'b \{\{'/
+          ),
+        },
+      ],
+    ],
+    [
+      "defines both 'default' and 'defaultSource'",
+      [{ prompt : 'Q', parameter : 'V', default : 'a', defaultSource : 'A' }],
+      [
+        {
+          pointer : '/0',
+          message : "may not define both 'default' and 'defaultSource'",
+        },
+      ],
+    ],
+    [
+      "has a malformed string 'defaultSource'",
+      [{ prompt : 'Q', parameter : 'V', defaultSource : "'a' +" }],
+      [
+        {
+          pointer : '/0/defaultSource',
+          message :
+            "Invalid string expression ''a' +'; unexpected end of expression.",
+        },
+      ],
+    ],
+  ])('reports bundle that %s', (desc, interactions, expected) =>
+    expect(validateBundle(interactions)).toEqual(expected))
+
+  test('reports every problem at once', () => {
+    const interactions = [
+      { prompt : 'Q' },
+      { statement : 'S' },
+      { maps : [{ parameter : 'V' }] },
+      { review : 'blah' },
+    ]
+    expect(validateBundle(interactions).map(({ pointer }) => pointer)).toEqual([
+      '/0',
+      '/2/maps/0',
+      '/3/review',
+    ])
+  })
+
+  test('accepts untyped maps with a string expression source', () =>
+    expect(
+      validateBundle([
+        { prompt : 'App?', parameter : 'APP' },
+        { maps : [{ parameter : 'BUCKET', source : "slugify(APP) + '-data'" }] },
+      ])
+    ).toEqual([]))
+
+  test('accepts registered custom types', () => {
+    const types = { port : (input) => parseInt(input) }
+    const interactions = [{ prompt : 'Port?', parameter : 'PORT', type : 'port' }]
+
+    expect(validateBundle(interactions)).toHaveLength(1)
+    expect(validateBundle(interactions, { types })).toEqual([])
+  })
+})
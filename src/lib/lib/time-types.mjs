@@ -0,0 +1,295 @@
+import {
+  ArgumentInvalidError,
+  ArgumentOutOfRangeError
+} from 'standard-error-set'
+import { DateTime, Day } from 'string-input'
+
+const relativeDays = { yesterday : -1, today : 0, tomorrow : 1 }
+
+// in milliseconds
+const unitSizes = {
+  w  : 7 * 24 * 60 * 60 * 1000,
+  d  : 24 * 60 * 60 * 1000,
+  h  : 60 * 60 * 1000,
+  m  : 60 * 1000,
+  s  : 1000,
+  ms : 1,
+}
+// maps each recognized unit spelling to its 'unitSizes' key
+const unitAliases = {
+  w            : 'w',
+  wk           : 'w',
+  wks          : 'w',
+  week         : 'w',
+  weeks        : 'w',
+  d            : 'd',
+  day          : 'd',
+  days         : 'd',
+  h            : 'h',
+  hr           : 'h',
+  hrs          : 'h',
+  hour         : 'h',
+  hours        : 'h',
+  m            : 'm',
+  min          : 'm',
+  mins         : 'm',
+  minute       : 'm',
+  minutes      : 'm',
+  s            : 's',
+  sec          : 's',
+  secs         : 's',
+  second       : 's',
+  seconds      : 's',
+  ms           : 'ms',
+  millisecond  : 'ms',
+  milliseconds : 'ms',
+}
+
+const isoDurationRe =
+  /^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+const clockDurationRe = /^(\d+):([0-5]\d)(?::([0-5]\d(?:\.\d+)?))?$/
+const unitDurationRe = /(\d+(?:\.\d+)?)\s*([a-z]+)[\s,]*/giy
+
+const pad = (n, length = 2) => ('' + n).padStart(length, '0')
+
+/**
+ * Formats a date as 'YYYY-MM-DD' in local time.
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+
+/**
+ * Formats a date-time as 'YYYY-MM-DD HH:MM' in local time, adding the seconds and milliseconds if set.
+ * @param {Date} date - The date-time to format.
+ * @returns {string} The formatted date-time.
+ */
+const formatDateTime = (date) => {
+  let time = `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  if (date.getSeconds() > 0 || date.getMilliseconds() > 0) {
+    time += ':' + pad(date.getSeconds())
+    if (date.getMilliseconds() > 0) {
+      time += '.' + pad(date.getMilliseconds(), 3)
+    }
+  }
+
+  return formatDate(date) + ' ' + time
+}
+
+/**
+ * Formats a duration as a list of units; e.g., '1h 30m'.
+ * @param {number} duration - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+const formatDuration = (duration) => {
+  if (duration === 0) {
+    return '0s'
+  }
+
+  const parts = []
+  let remaining = Math.abs(duration)
+  for (const [unit, size] of Object.entries(unitSizes)) {
+    const count = Math.floor(remaining / size)
+    if (count > 0) {
+      parts.push(count + unit)
+      remaining -= count * size
+    }
+  }
+
+  return (duration < 0 ? '-' : '') + parts.join(' ')
+}
+
+/**
+ * Resolves the relative date terms 'today', 'tomorrow', 'yesterday', and 'now' and `Date` values to input strings.
+ * Other values are returned as is.
+ * @param {*} value - The value to resolve.
+ * @param {Function} format - Formats the resolved `Date`.
+ * @returns {*} The resolved value.
+ * @private
+ */
+const resolveDateInput = (value, format) => {
+  if (value instanceof Date) {
+    return format(value)
+  }
+
+  const term =
+    typeof value === 'string' ? value.trim().toLowerCase() : undefined
+  if (term === 'now') {
+    return format(new Date())
+  }
+  else if (Object.hasOwn(relativeDays, term)) {
+    const date = new Date()
+    date.setHours(0, 0, 0, 0)
+    date.setDate(date.getDate() + relativeDays[term])
+
+    return format(date)
+  }
+
+  return value
+}
+
+/**
+ * Creates a date type function from a 'string-input' type function.
+ * @param {Function} typeFunc - The 'string-input' type function.
+ * @param {Function} format - Formats `Date` and relative inputs for the `typeFunc`.
+ * @param {string} description - The type description.
+ * @returns {Function} The type function, which returns a `Date`.
+ * @private
+ */
+const dateType = (typeFunc, format, description) => {
+  const type = (input, { max, min, ...options } = {}) => {
+    const parse = (input) =>
+      typeFunc(resolveDateInput(input, format), {
+        ...options,
+        max : resolveDateInput(max, format),
+        min : resolveDateInput(min, format),
+      }).getDate()
+
+    let date = parse(input)
+    if (isNaN(date.getTime()) && typeof input === 'string') {
+      // 'string-input' reads date-times like '15 Jan 2024 13:30' as RFC 2822 date-times, which then come out invalid
+      // without the seconds
+      date = parse(input.replace(/(\d:\d\d)(?![:\d])/, '$1:00'))
+    }
+    if (isNaN(date.getTime())) {
+      throw new ArgumentInvalidError({
+        argumentName  : options.name ?? 'input',
+        argumentValue : input,
+        issue         : `is not a valid ${description.toLowerCase()}`,
+      })
+    }
+
+    return date
+  }
+  type.description = description
+
+  return type
+}
+
+/**
+ * Parses a date; e.g., '2024-01-15', '1/15/2024', '15 Jan 2024', or 'today'. Dates are local midnight.
+ * @param {string} input - The input to parse.
+ * @param {object} [options] - The 'string-input' `Day` options, including `min` and `max`, which may also be
+ *   relative terms like 'today'.
+ * @returns {Date} The date.
+ */
+const DateString = dateType(Day, formatDate, 'Date')
+
+/**
+ * Parses a date-time; e.g., '2024-01-15 13:30', '2024-01-15T13:30:00Z', or 'now'. Date-times without an explicit
+ * timezone are local.
+ * @param {string} input - The input to parse.
+ * @param {object} [options] - The 'string-input' `DateTime` options, including `min` and `max`, which may also be
+ *   relative terms like 'now'.
+ * @returns {Date} The date-time.
+ * @throws {ArgumentInvalidError} If the input is not a valid date-time.
+ */
+const DateTimeString = dateType(
+  DateTime,
+  (date) => date.toISOString(),
+  'Date-time'
+)
+
+/**
+ * Parses a duration string into milliseconds.
+ * @param {*} input - The duration; e.g., '1h 30m', '90 minutes', '1:30' (hours and minutes), or 'PT1H30M'. Numbers
+ *   are taken as milliseconds.
+ * @returns {number|undefined} The duration in milliseconds or `undefined` if the input isn't recognized.
+ * @private
+ */
+const parseDuration = (input) => {
+  if (typeof input === 'number') {
+    return input
+  }
+  else if (typeof input !== 'string') {
+    return undefined
+  }
+
+  input = input.trim()
+  const iso = input.match(isoDurationRe)
+  if (iso !== null && input.length > 1 && !/T$/i.test(input)) {
+    const [, w = 0, d = 0, h = 0, m = 0, s = 0] = iso
+
+    return Math.round(
+      w * unitSizes.w
+        + d * unitSizes.d
+        + h * unitSizes.h
+        + m * unitSizes.m
+        + s * unitSizes.s
+    )
+  }
+
+  const clock = input.match(clockDurationRe)
+  if (clock !== null) {
+    const [, h, m, s = 0] = clock
+
+    return Math.round(h * unitSizes.h + m * unitSizes.m + s * unitSizes.s)
+  }
+
+  let duration = 0
+  let matched = 0
+  unitDurationRe.lastIndex = 0
+  let match
+  while ((match = unitDurationRe.exec(input)) !== null) {
+    const unit = unitAliases[match[2].toLowerCase()]
+    if (unit === undefined) {
+      return undefined
+    }
+    duration += match[1] * unitSizes[unit]
+    matched = unitDurationRe.lastIndex
+  }
+
+  return matched === input.length && matched > 0
+    ? Math.round(duration)
+    : undefined
+}
+
+/**
+ * Parses a duration; e.g., '1h 30m', '90 minutes', '1:30' (hours and minutes), or 'PT1H30M' (ISO 8601).
+ * @param {string} input - The input to parse.
+ * @param {object} [options] - Validation options.
+ * @param {number|string} [options.max] - The maximum duration, in milliseconds or as a duration string.
+ * @param {number|string} [options.min] - The minimum duration, in milliseconds or as a duration string.
+ * @param {string} [options.name] - The name of the input for error messages.
+ * @returns {number} The duration in milliseconds.
+ * @throws {ArgumentInvalidError} If the input is not a recognized duration.
+ * @throws {ArgumentOutOfRangeError} If the duration is outside the `min` and `max`.
+ */
+const Duration = (input, { max, min, name = 'input' } = {}) => {
+  const duration = parseDuration(input)
+  if (duration === undefined) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      issue         : 'is not a recognized duration',
+      hint          : "Try something like '1h 30m', '90 minutes', or '1:30'.",
+    })
+  }
+
+  const maxDuration = max === undefined ? undefined : parseDuration(max)
+  const minDuration = min === undefined ? undefined : parseDuration(min)
+  if (
+    (maxDuration !== undefined && duration > maxDuration)
+    || (minDuration !== undefined && duration < minDuration)
+  ) {
+    throw new ArgumentOutOfRangeError({
+      argumentName  : name,
+      argumentValue : input,
+      max           : maxDuration === undefined ? undefined : formatDuration(maxDuration),
+      min           : minDuration === undefined ? undefined : formatDuration(minDuration),
+    })
+  }
+
+  return duration
+}
+Duration.description = 'Duration'
+
+export {
+  DateString,
+  DateTimeString,
+  Duration,
+  formatDate,
+  formatDateTime,
+  formatDuration
+}
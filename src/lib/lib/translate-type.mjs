@@ -1,9 +1,30 @@
-import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
+import {
+  ArgumentInvalidError,
+  ArgumentTypeError,
+  rethrowIf
+} from 'standard-error-set'
 import { BooleanString, Integer, Numeric, ValidatedString } from 'string-input'
 
-const translateType = (type, errOptions) => {
+import { Email, Hostname, IPv4, IPv6, Semver, Url, Uuid } from './named-types'
+import { PathString } from './path-type'
+import { DateString, DateTimeString, Duration } from './time-types'
+
+/**
+ * Translates a type designation into the type function used to parse and validate answers.
+ * @param {string|Function} [type] - The type function or the name of a built-in or registered type. Built-in names are
+ *   case insensitive. An `undefined` type is a string.
+ * @param {object} [options] - Translation options.
+ * @param {object} [options.errOptions] - Options, such as `message` and `status`, for the error thrown if the type is
+ *   invalid.
+ * @param {object} [options.types] - A registry mapping custom type names to type functions; see `prepareTypes()`.
+ * @returns {Function} The type function.
+ * @throws {ArgumentTypeError} If the type is neither a string nor a function.
+ * @throws {ArgumentInvalidError} If the type name is not recognized.
+ */
+const translateType = (type, { errOptions, types } = {}) => {
   const errorHint =
-    "Must be either a type function or 'string', 'int', 'numeric', or 'bool'."
+    "Must be either a type function or 'string', 'int', 'numeric', 'bool', 'date', 'datetime', 'duration', 'path', "
+    + "'email', 'hostname', 'ipv4', 'ipv6', 'semver', 'url', 'uuid', or a registered custom type."
 
   const typeType = typeof type
   if (typeType === 'function') {
@@ -18,8 +39,12 @@ const translateType = (type, errOptions) => {
     })
   }
 
-  type = type?.toLowerCase()
-  switch (type) {
+  // custom names are exact while built-in names are case insensitive
+  if (type !== undefined && types !== undefined && Object.hasOwn(types, type)) {
+    return types[type]
+  }
+
+  switch (type?.toLowerCase()) {
     case undefined:
     case 'string':
       return ValidatedString
@@ -32,6 +57,28 @@ const translateType = (type, errOptions) => {
     case 'bool':
     case 'boolean':
       return BooleanString
+    case 'date':
+      return DateString
+    case 'datetime':
+      return DateTimeString
+    case 'duration':
+      return Duration
+    case 'path':
+      return PathString
+    case 'email':
+      return Email
+    case 'hostname':
+      return Hostname
+    case 'ipv4':
+      return IPv4
+    case 'ipv6':
+      return IPv6
+    case 'semver':
+      return Semver
+    case 'url':
+      return Url
+    case 'uuid':
+      return Uuid
     default:
       throw new ArgumentInvalidError({
         message : `Invalid parameter type '${type}'.`,
@@ -42,4 +89,62 @@ const translateType = (type, errOptions) => {
   }
 }
 
-export { translateType }
+/**
+ * Verifies and prepares a custom type registry. Errors thrown by a custom type function are treated like invalid input
+ * so the question is re-asked with the error message as the issue, just as with the built-in types.
+ * @param {object} [types] - The registry mapping custom type names to type functions. Each function is called with
+ *   the user's input and the question fields (with `name` set to the parameter) and returns the parsed value or throws
+ *   if the input is invalid.
+ * @returns {object|undefined} The prepared registry.
+ * @throws {ArgumentInvalidError} If a type name is the name of a built-in type or the type is not a function.
+ */
+const prepareTypes = (types) => {
+  if (types === undefined) {
+    return undefined
+  }
+
+  const invalid = (name, issue) =>
+    new ArgumentInvalidError({
+      argumentName  : 'types',
+      argumentValue : name,
+      issue,
+      status        : 500,
+    })
+
+  const prepared = {}
+  for (const [name, typeFunc] of Object.entries(types)) {
+    if (typeof typeFunc !== 'function') {
+      throw invalid(name, 'is not a type function')
+    }
+    let builtIn = true
+    try {
+      translateType(name)
+    }
+    catch (e) {
+      builtIn = false
+    }
+    if (builtIn === true) {
+      throw invalid(name, 'is the name of a built-in type')
+    }
+
+    const custom = (input, options) => {
+      try {
+        return typeFunc(input, options)
+      }
+      catch (e) {
+        rethrowIf(e, { instanceOf : ArgumentInvalidError })
+        throw new ArgumentInvalidError({
+          message : e.message,
+          cause   : e,
+          status  : 400,
+        })
+      }
+    }
+    custom.description = typeFunc.description || name
+    prepared[name] = custom
+  }
+
+  return prepared
+}
+
+export { prepareTypes, translateType }
@@ -0,0 +1,287 @@
+import Ajv from 'ajv'
+import { BooleanString, Integer, Numeric } from 'string-input'
+
+import schema from '../interrogation-bundle.schema.json'
+import {
+  evalNumber,
+  evalTruth,
+  referencedParameters,
+  testParameters
+} from './expressions'
+import { templateParameters } from './interpolate'
+import { optionValues } from './options'
+import { stringExpressionParameters } from './string-expressions'
+import { translateType } from './translate-type'
+
+const { definitions } = schema
+// Ajv's messages for the compound keywords are technically correct but unhelpful, so we replace them with messages in
+// terms of the bundle format.
+const compoundMessages = [
+  {
+    parentSchema : definitions.action,
+    keyword      : 'oneOf',
+    message :
+      "must define exactly one of 'prompt', 'maps', 'statement', 'review', 'repeat', or 'include'",
+  },
+  {
+    parentSchema : definitions.group,
+    keyword      : 'anyOf',
+    message      : "must define one of 'while' or 'max'",
+  },
+  {
+    parentSchema : definitions.groupAction,
+    keyword      : 'not',
+    message :
+      "may not be a 'review' or 'repeat'; groups may not contain reviews or other groups",
+  },
+  {
+    parentSchema : definitions.option,
+    keyword      : 'oneOf',
+    message :
+      "must be a string, number, boolean, or an object with a 'label' and optional 'value', 'description', and 'condition'",
+  },
+  {
+    parentSchema : definitions.question.allOf[1],
+    keyword      : 'not',
+    message      : "may not define both 'options' and 'optionsSource'",
+  },
+  {
+    parentSchema : definitions.question.properties.optionsSource,
+    keyword      : 'pattern',
+    message :
+      "must be a parameter name or a dotted path into an object parameter; e.g., 'deploy.clouds'",
+  },
+  {
+    parentSchema : definitions.question.allOf[2],
+    keyword      : 'not',
+    message      : "may not define both 'default' and 'defaultSource'",
+  },
+  {
+    parentSchema : definitions.question,
+    keyword      : 'not',
+    message      : "may not define both 'elseValue' and 'elseSource'",
+  },
+  {
+    parentSchema : definitions.map,
+    keyword      : 'anyOf',
+    message      : "must define one of 'source' or 'value'",
+  },
+  {
+    parentSchema : definitions.map,
+    keyword      : 'not',
+    message      : "may not define both 'source' and 'value'",
+  },
+]
+
+let validateSchema // compiled lazily
+
+/**
+ * Validates an interrogation bundle against the [interrogation bundle schema](../interrogation-bundle.schema.json)
+ * and then performs semantic checks which the schema cannot express (like recognized types, option defaults, and
+ * well formed map `source` and question `defaultSource` expressions).
+ * Unlike the `Questioner` constructor, all problems are collected and returned rather than throwing on the first.
+ * @param {Array<object>} interactions - The interrogation bundle to validate.
+ * @param {object} [options] - Validation options.
+ * @param {object} [options.types] - The custom type registry the bundle will be run with; see the `Questioner`
+ *   `types` option.
+ * @returns {Array<{pointer: string, message: string}>} A list of issues, each with a JSON pointer to the offending
+ *   element. The list is empty if the bundle is valid.
+ */
+const validateBundle = (interactions, { types } = {}) => {
+  if (validateSchema === undefined) {
+    // 'verbose' gives us the 'parentSchema' so we can identify the compound keyword errors
+    const ajv = new Ajv({
+      allErrors       : true,
+      allowUnionTypes : true,
+      verbose         : true,
+    })
+    validateSchema = ajv.compile(schema)
+  }
+
+  const issues = []
+  if (validateSchema(interactions) !== true) {
+    for (const {
+      instancePath,
+      keyword,
+      message,
+      parentSchema,
+    } of validateSchema.errors) {
+      if (keyword === 'if') {
+        continue // the failed 'then' is reported on its own
+      }
+      const compound = compoundMessages.find(
+        (c) => c.parentSchema === parentSchema && c.keyword === keyword
+      )
+      if (compound !== undefined) {
+        issues.push({ pointer : instancePath, message : compound.message })
+      }
+      else if (
+        !compoundMessages.some((c) =>
+          c.parentSchema[c.keyword]?.includes?.(parentSchema))
+      ) {
+        issues.push({ pointer : instancePath, message })
+      }
+      // else it's a sub-error of a compound keyword which we've already summarized
+    }
+  }
+
+  if (Array.isArray(interactions)) {
+    interactions.forEach((action, i) =>
+      checkAction({ action, issues, pointer : '/' + i, types }))
+  }
+
+  return issues
+}
+
+const checkAction = ({ action, issues, pointer, types }) => {
+  if (action === null || typeof action !== 'object') {
+    return // reported by the schema
+  }
+
+  checkTemplates({ action, issues, pointer })
+  if (action.prompt !== undefined) {
+    const typeFunc = checkType({ issues, pointer, type : action.type, types })
+    if (typeof action.defaultSource === 'string') {
+      checkSource({
+        issues,
+        pointer : pointer + '/defaultSource',
+        source  : action.defaultSource,
+        typeFunc,
+      })
+    }
+    checkOptionsDefault({ action, issues, pointer })
+  }
+  else if (Array.isArray(action.maps)) {
+    action.maps.forEach((map, mapI) => {
+      if (map !== null && typeof map === 'object') {
+        checkMapType({
+          issues,
+          map,
+          pointer : `${pointer}/maps/${mapI}`,
+          types,
+        })
+      }
+    })
+  }
+  else if (Array.isArray(action.repeat)) {
+    const { max, min = 0 } = action
+    if (Number.isInteger(max) && Number.isInteger(min) && max < min) {
+      issues.push({
+        pointer : pointer + '/max',
+        message : `'max' (${max}) may not be less than 'min' (${min})`,
+      })
+    }
+    action.repeat.forEach((member, memberI) =>
+      checkAction({
+        action  : member,
+        issues,
+        pointer : `${pointer}/repeat/${memberI}`,
+        types,
+      }))
+  }
+}
+
+const checkMapType = ({ issues, map, pointer, types }) => {
+  const typeFunc = checkType({ issues, pointer, type : map.type, types })
+  if (typeof map.source === 'string') {
+    checkSource({
+      issues,
+      pointer : pointer + '/source',
+      source  : map.source,
+      typeFunc,
+    })
+  }
+}
+
+const checkSource = ({ issues, pointer, source, typeFunc }) => {
+  if (typeFunc === undefined) {
+    return // the type is invalid, so we can't tell what kind of expression the source is
+  }
+  try {
+    if (
+      typeFunc === BooleanString
+      || typeFunc === Integer
+      || typeFunc === Numeric
+    ) {
+      // condition-eval can only tell us the expression is malformed by evaluating it
+      const evaluate = typeFunc === BooleanString ? evalTruth : evalNumber
+      evaluate(source, testParameters(referencedParameters(source)))
+    }
+    else {
+      stringExpressionParameters(source)
+    }
+  }
+  catch (e) {
+    issues.push({ pointer, message : e.message })
+  }
+}
+
+const checkOptionsDefault = ({ action, issues, pointer }) => {
+  const { default: defaultValue, options } = action
+  if (
+    Array.isArray(options)
+    && defaultValue !== undefined
+    && action.allowOther !== true
+    // templated values can't be compared until they're interpolated
+    && ![defaultValue, ...optionValues(options)].some(isTemplate)
+    && !optionValues(options).includes(defaultValue)
+  ) {
+    issues.push({
+      pointer : pointer + '/default',
+      message : `default '${defaultValue}' is not any of the specified options`,
+    })
+  }
+}
+
+const checkTemplates = ({ action, issues, pointer }) => {
+  const templates = [
+    [pointer + '/prompt', action.prompt],
+    [pointer + '/statement', action.statement],
+    [pointer + '/default', action.default],
+  ]
+  if (Array.isArray(action.options)) {
+    action.options.forEach((option, optionI) => {
+      const optionPointer = `${pointer}/options/${optionI}`
+      if (option !== null && typeof option === 'object') {
+        for (const field of ['label', 'value', 'description']) {
+          templates.push([`${optionPointer}/${field}`, option[field]])
+        }
+      }
+      else {
+        templates.push([optionPointer, option])
+      }
+    })
+  }
+
+  for (const [templatePointer, template] of templates) {
+    try {
+      templateParameters(template)
+    }
+    catch (e) {
+      issues.push({ pointer : templatePointer, message : e.message })
+    }
+  }
+}
+
+const isTemplate = (value) => {
+  try {
+    return templateParameters(value).length > 0
+  }
+  catch (e) {
+    return false // reported by 'checkTemplates()'
+  }
+}
+
+const checkType = ({ issues, pointer, type, types }) => {
+  if (typeof type !== 'string' && typeof type !== 'function') {
+    return type === undefined ? translateType(type) : undefined // bad non-string types are reported by the schema
+  }
+  try {
+    return translateType(type, { types })
+  }
+  catch (e) {
+    issues.push({ pointer : pointer + '/type', message : e.message })
+  }
+}
+
+export { validateBundle }
@@ -7,78 +7,236 @@
  *
  * We're not strictly enforcing parameter types in-so-far as action defined parameters `value`, `source`, `elseValue`
  * and `elseSource` are essentially "trusted" to be of the proper type, though we do  but we should check and coerce
- * string results (from the values). Also, why not have `evalString` as an option from condition eval? E.g., `'' ||
- * 'Larry'` is a valid expression. (If we do this, it might make sense to separate out the 'safe expression' testing
- * to be distinct based on the type of item; e.g., '+' and '||' are valid with strings, but '%' is just nonsensical.)
+ * string results (from the values). Map sources and `defaultSource` expressions for non-boolean, non-numeric types
+ * are evaluated with our own `evalString()` (see './lib/string-expressions'), since condition-eval only deals in
+ * numbers and booleans; `elseSource` could be handled the same way.
  */
+import { createHash } from 'node:crypto'
 import * as readline from 'node:readline'
 
-import columns from 'cli-columns'
 import { getPrinter } from 'magic-print'
 import {
   ArgumentInvalidError,
   ArgumentMissingError,
-  ArgumentTypeError,
+  CommonError,
+  OperationNotPermittedError,
   rethrowIf
 } from 'standard-error-set'
 import { BooleanString, Integer, Numeric } from 'string-input'
 
-import { Evaluator } from '@liquid-labs/condition-eval'
-
+import {
+  BundleLoadError,
+  QuestioningCancelledError,
+  UnresolvedParametersError
+} from './errors'
+import interrogationBundleSchema from './interrogation-bundle.schema.json'
+import { analyzeBundle } from './lib/analyze-bundle'
+import { editorCommand, editText } from './lib/edit-text'
+import {
+  evalNumber,
+  evalTruth,
+  isUndefinedParameterError,
+  referencedParameters
+} from './lib/expressions'
 import { ibClone } from './lib/ib-clone'
-import { translateType } from './lib/translate-type'
+import { interpolate, templateParameters } from './lib/interpolate'
+import { loadBundle } from './lib/load-bundle'
+import {
+  filterOptions,
+  isOption,
+  matchOptions,
+  normalizeOption
+} from './lib/options'
+import { readSecret } from './lib/read-secret'
+import { completePath, PathString } from './lib/path-type'
+import { selectOption } from './lib/select-option'
+import { settersOf } from './lib/setters'
+import { evalString } from './lib/string-expressions'
+import { DateString, DateTimeString } from './lib/time-types'
+import { prepareTypes, translateType } from './lib/translate-type'
+import { validateBundle } from './lib/validate-bundle'
+import { defaultRenderer } from './renderers'
 
 // disposition constants
 const ANSWERED = 'answered'
 const CONDITION_SKIPPED = 'condition-skipped'
 const DEFINED_SKIPPED = 'define-skipped'
 
+// returned by '#askQuestion()' when the user asks to go back to the previous question
+const BACK = Symbol('back')
+// displayed in place of secret values and used to redact them from the results
+const SECRET_MASK = '********'
+// the label of the extra choice on 'allowOther' options questions
+const OTHER_LABEL = 'Other…'
+// ends a multi-line answer entered at the terminal
+const MULTILINE_END = '.'
+// entered in answer to a paginated options question to list the next page of options
+const NEXT_PAGE = '>'
+
 const Questioner = class {
+  #autosave
+  #fingerprint
+  #backToken
+  #cancel // AbortController for the current 'question()' call
+  #failedMember // in non-interactive mode, the group member whose problem is being reported, if any
+  #groupStart // the number of results preceding the group in progress, if any
+  #history = []
   #initialParameters
   #input
   #output
   #interactions = []
+  #lines // the readline interface and line iterator shared by the reads of the current 'question()' call
   #noSkipDefined
+  #nonInteractive
+  #pageSize
+  #pending // the interaction awaiting the user's attention
+  #pendingReturned = false // whether '#pending' has been returned by 'next()'
+  #position = 0
+  #renderer
   #results = []
+  #separate = false // whether the terminal output should separate the pending interaction from the previous output
+  #steps // the '#runSteps()' generator
+  #tty
+  #types
 
   /**
    * Creates a `Questioner`.
    * @param {object} options - Constructor options.
+   * @param {Function} [options.autosave = undefined] - A function called with a [snapshot](#snapshot) of the interview
+   *   state each time an action is completed. If the function returns a promise, the interview waits for it to
+   *   resolve before continuing.
+   * @param {string} [options.backToken = '<'] - Entering this token in answer to a question returns the user to the
+   *   previously asked question.
    * @param {object} [options.input = process.stdin] - The object passed to `readline` as input.
    * @param {object} options.interactions - The interrogation spec.
    * @param {object} [options.initialParameters = {}] - Key/value object defining initial parameter values.
    * @param {boolean} [options.noSkipDefined = false] - By default, questions related to defined parameters are
    *   skipped. If this option is true, then defined questions are asked.
+   * @param {boolean} [options.nonInteractive = false] - If true, questions are answered from the initial parameters
+   *   or question defaults without reading any input and reviews are accepted as is. If any parameter cannot be
+   *   resolved, an `UnresolvedParametersError` listing every problem is thrown once the interview is complete.
    * @param {object} [options.output = magic-print] - Object providing `write` function for output. If not defined,
    *   then [magic-print](https://github.com/liquid-labs/magic-print) is is used.
+   * @param {number} [options.pageSize = 10] - Options questions with more options than this list them a page at a
+   *   time.
    * @param {object} [options.printOptions = undefined] - Options to pass to the 'magic-print' `getPrinter`. Ignored if
    *   `output` is provided.
+   * @param {object} [options.renderer = defaultRenderer] - Formats the interactions for the terminal. Any methods
+   *   not defined are taken from the `defaultRenderer`. See `plainTextRenderer` for a renderer without markup.
+   * @param {object} [options.snapshot = undefined] - A [snapshot](#snapshot) of a previous, incomplete interview using
+   *   the same `interactions`. The interview resumes with the first unanswered action.
+   * @param {boolean} [options.tty = undefined] - If true, options questions are answered by selecting options with
+   *   the arrow keys (and toggling them with space for `multiValue` questions) rather than entering the option
+   *   numbers. The `input` must support `setRawMode()`. By default, TTY mode is used when the `input` and standard
+   *   output are both TTYs and no `output` is provided.
+   * @param {object} [options.types = undefined] - A registry mapping custom type names to type functions, allowing
+   *   bundles to use names like `"type": "port"` in addition to the built-in types. Each type function is called with
+   *   the user's input and the question fields (with the parameter as the `name`) and returns the parsed value. If the
+   *   input is invalid, the function throws and the question is re-asked with the error message as the issue.
    */
   constructor({
+    autosave,
+    backToken = '<',
     input = process.stdin,
     interactions,
     initialParameters = {},
     noSkipDefined = false,
+    nonInteractive = false,
     output,
+    pageSize = 10,
     printOptions,
+    renderer,
+    snapshot,
+    tty,
+    types,
   } = {}) {
+    this.#autosave = autosave
+    this.#backToken = backToken
     this.#input = input
+    this.#tty =
+      tty
+      ?? (input.isTTY === true
+        && output === undefined
+        && process.stdout.isTTY === true)
     if (output === undefined) {
       const print = getPrinter(printOptions)
       output = { write : print }
     }
     this.#output = output
+    this.#pageSize = pageSize
+    this.#renderer = Object.assign({}, defaultRenderer, renderer)
+    this.#types = prepareTypes(types)
     this.#interactions = ibClone(interactions)
     this.#initialParameters = initialParameters
     this.#noSkipDefined = noSkipDefined
+    this.#nonInteractive = nonInteractive
 
     this.#verifyInteractions()
+    this.#fingerprint = interactionsFingerprint(interactions)
 
     let index = 0
     for (const action of this.#interactions) {
-      action._index = index
+      // map and group results are tracked back to the top level action
+      for (const member of withGroupActions(action)) {
+        member._index = index
+        member.maps?.forEach((map) => (map._index = index))
+      }
+      // but non-interactive issues point at the action itself
+      action._pointer = '/' + index
+      action.repeat?.forEach(
+        (member, i) => (member._pointer = `/${index}/repeat/${i}`)
+      )
       index += 1
     }
+
+    if (snapshot !== undefined) {
+      this.#restoreSnapshot(snapshot)
+    }
+  }
+
+  /**
+   * Statically analyzes the parameter references in an interrogation bundle's `condition`, map `source`, and
+   * `elseSource` expressions without running the bundle.
+   * @param {Array<object>} interactions - The interrogation bundle to analyze.
+   * @param {object} [options] - Analysis options.
+   * @param {object} [options.initialParameters = {}] - The initial parameters the bundle will be run with.
+   * @param {boolean} [options.noSkipDefined = false] - Analyze as if the `Questioner` `noSkipDefined` option is set.
+   * @returns {Array<{kind: string, pointer: string, message: string, parameter: string}>} A list of findings. See
+   *   the [User's guide](https://github.com/liquid-labs/question-and-answer/README.md#analyzing-bundles) for the
+   *   finding kinds.
+   */
+  static analyzeBundle(interactions, options) {
+    return analyzeBundle(interactions, options)
+  }
+
+  /**
+   * Validates an interrogation bundle against the published [interrogation bundle
+   * schema](./interrogation-bundle.schema.json) along with semantic checks (recognized types, option defaults, etc.).
+   * Whereas the constructor throws on the first problem, this collects and returns every problem found.
+   * @param {Array<object>} interactions - The interrogation bundle to validate.
+   * @param {object} [options] - Validation options.
+   * @param {object} [options.types] - The custom type registry the bundle will be run with; see the `types`
+   *   constructor option.
+   * @returns {Array<{pointer: string, message: string}>} A list of issues, each with a JSON pointer to the offending
+   *   element of the bundle. An empty list indicates a valid bundle.
+   */
+  static validateBundle(interactions, options) {
+    return validateBundle(interactions, options)
+  }
+
+  /**
+   * Loads an interrogation bundle from a JSON file, validating it and replacing each `include` action with the
+   * actions of the included bundle. The resulting bundle may be passed as the `interactions` constructor option.
+   * @param {string} file - The path to the bundle file.
+   * @param {object} [options] - Load options.
+   * @param {object} [options.types] - The custom type registry the bundle will be run with; see the `types`
+   *   constructor option.
+   * @returns {Promise<Array<object>>} The bundle with all includes expanded.
+   * @throws {BundleLoadError} If any bundle cannot be read or resolved, is invalid, or includes itself. See the
+   *   [User's guide](https://github.com/liquid-labs/question-and-answer/README.md#including-bundles).
+   */
+  static loadBundle(file, options) {
+    return loadBundle(file, options)
   }
 
   /**
@@ -108,381 +266,1105 @@ const Questioner = class {
     this.#results.push(result)
   }
 
-  async #askQuestion(q) {
-    // to avoid the 'MaxListenersExceededWarning', we have to create the rl inside the loop because everytime we do
-    // our loop it ends up adding listeners for whatever reason.
-    const rl = readline.createInterface({
-      input    : this.#input,
-      output   : this.#output,
-      terminal : false, // TODO: why is terminal false?
-    })
+  /**
+   * Cancels the current `question()` call. Any pending read is abandoned.
+   * @param {string} reason - The cancellation reason; see `QuestioningCancelledError`.
+   * @param {*} [cause] - The underlying cause, if any.
+   * @private
+   */
+  #abort(reason, cause) {
+    this.#cancel.abort(
+      new QuestioningCancelledError({ cause, reason, results : this.results })
+    )
+  }
 
-    try {
-      const type = translateType(q.type)
-      // the previous answer, if any, becomes the new default
-      let defaultValue
-      if (q.options === undefined) {
-        defaultValue = Object.hasOwn(q, 'rawAnswer') ? q.rawAnswer : q.default
-      }
-      else if (Object.hasOwn(q, 'rawAnswer')) {
-        // the raw answer has already been validated on the previous go around, so we can trust it
-        const selectionI = parseInt(q.rawAnswer)
-        defaultValue = q.options[selectionI - 1]
-      }
-      else {
-        defaultValue = q.default
-      }
-      if (typeof defaultValue === 'string') {
-        const type = translateType(q.type)
-        // TODO: this won't work with multivalue actions and multivalue defaults...
-        // default values should have already been validated
-        ;[defaultValue] = verifyAnswerForm({ ...q, input : defaultValue, type })
-      }
-
-      let prompt = q.prompt
-      let hint = ''
-      if (q.options === undefined) {
-        if (prompt.match(/\[[^]+\] *$/m)) {
-          // do we already have a hint?
-          hint = prompt.replace(/.+(\[[^]+\]) *$/, '$1') + ' '
-          prompt = prompt.replace(/(.+?)\s*\[[^]+\] *$/, '$1') // we're going to add the hint back in a bit
-        }
-        else if (defaultValue !== undefined) {
-          if (type === BooleanString) {
-            hint = '[' + (defaultValue === true ? 'Y/n|-' : 'y/N|-') + '] '
+  /**
+   * Creates a readline interface for reading an answer. The caller is responsible for closing the interface.
+   * @param {object} [options] - Interface options.
+   * @param {Function} [options.completer] - A `readline` completer which provides tab completion. Only used in TTY
+   *   mode.
+   * @returns {object} The readline interface.
+   * @private
+   */
+  #createInterface({ completer } = {}) {
+    const rl = readline.createInterface(
+      completer === undefined
+        ? {
+            input    : this.#input,
+            output   : this.#output,
+            // the output is usually a magic-print printer rather than a stream, so readline can't manage the
+            // terminal; TTY mode selections are handled by 'selectOption()' instead
+            terminal : false,
           }
-          else {
-            hint = `[${defaultValue}|-] `
+        : {
+            // completion requires readline to manage the terminal, so we write directly to it
+            completer,
+            historySize : 0,
+            input       : this.#input,
+            output      : process.stdout,
+            terminal    : true,
           }
-        }
-        else if (type === BooleanString) {
-          hint = '[y/n] '
+    )
+    // when reading from a terminal, readline captures Ctrl-C itself and the process never sees the SIGINT
+    rl.on?.('SIGINT', () => this.#abort('interrupted'))
+
+    return rl
+  }
+
+  /**
+   * Closes the line interface shared by the reads of the current `question()` call, if any, so that other readers
+   * (the option selector, the secret reader, the editor, or a completing interface) have the input to themselves. The
+   * next line read creates a new interface.
+   * @private
+   */
+  #releaseInput() {
+    this.#lines?.rl.close()
+    this.#lines = undefined
+  }
+
+  /**
+   * Reads a line of input or, for multi-line answers, lines up to a line containing only `MULTILINE_END`. Lines are
+   * read through an interface shared by the reads of the current `question()` call so that lines which arrive
+   * together (e.g., piped input) aren't lost between reads.
+   * @param {object} [options] - Read options. Other options are passed to `#createInterface()`.
+   * @param {boolean} [options.multiline = false] - If true, lines are read until the `MULTILINE_END` line. A first
+   *   line which is empty, '-', or the back token ends the answer immediately so the usual shortcuts still work.
+   * @returns {Promise<string>} The trimmed line or lines.
+   * @throws {QuestioningCancelledError} If the input ends or questioning is cancelled before the answer is read.
+   * @private
+   */
+  async #readLine({ multiline = false, ...options } = {}) {
+    const { signal } = this.#cancel
+    signal.throwIfAborted()
+    // a completing interface manages the terminal, so it can't be shared with plain reads
+    const shared = options.completer === undefined
+    if (shared !== true) {
+      this.#releaseInput()
+    }
+    // an interface on an input which has already ended never closes, so the read would never settle
+    if (
+      (shared !== true || this.#lines === undefined)
+      && (this.#input.readableEnded === true || this.#input.destroyed === true)
+    ) {
+      throw new QuestioningCancelledError({
+        reason  : 'eof',
+        results : this.results,
+      })
+    }
+
+    const rl = shared === true ? undefined : this.#createInterface(options)
+    if (shared === true && this.#lines === undefined) {
+      const sharedRl = this.#createInterface()
+      this.#lines = { iterator : sharedRl[Symbol.asyncIterator](), rl : sharedRl }
+    }
+    const lines =
+      shared === true ? this.#lines.iterator : rl[Symbol.asyncIterator]()
+    let onAbort
+    const cancelled = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason)
+      signal.addEventListener('abort', onAbort, { once : true })
+    })
+    try {
+      const answer = []
+      while (true) {
+        const { done, value } = await Promise.race([lines.next(), cancelled])
+        if (done === true) {
+          throw new QuestioningCancelledError({
+            reason  : 'eof',
+            results : this.results,
+          })
         }
 
-        // the '\n' puts the input cursor below the prompt for consistency
-        prompt += '\n' + hint
-      }
-      else {
-        // the question has defined options
-        prompt += '\n'
-        if (defaultValue !== undefined) {
-          prompt += '[' + defaultValue + ']\n'
+        const line = value.trim()
+        if (
+          multiline !== true
+          || (answer.length === 0 && ['', '-', this.#backToken].includes(line))
+        ) {
+          return line
         }
-        prompt += '\n'
-        const cliOptions = q.options.map((o, i) => i + 1 + ') ' + o)
-        prompt += columns(cliOptions, { width : this.#output.width }) + '\n'
+        else if (line === MULTILINE_END) {
+          return answer.join('\n').trim()
+        }
+        answer.push(value)
       }
+    }
+    finally {
+      signal.removeEventListener('abort', onAbort)
+      rl?.close()
+    }
+  }
 
-      if (q.multiValue === true) {
-        const sepDesc = q.separator === undefined ? 'comma' : `"${q.separator}'`
-        prompt += `\nEnter one or more ${sepDesc} separated ${q.options ? 'selections' : 'values'}.\n`
-      }
+  /**
+   * Reads an answer by opening the question default (or previous answer) in the user's editor. If the editor cannot
+   * be run, the problem is reported and the answer is read from the terminal instead.
+   * @param {object} interaction - The question interaction.
+   * @param {string} editor - The editor command.
+   * @param {object} context - The renderer context.
+   * @returns {Promise<string>} The answer.
+   * @private
+   */
+  async #editAnswer(interaction, editor, context) {
+    this.#cancel.signal.throwIfAborted()
+    this.#releaseInput() // the editor shares the terminal
+    const { default: defaultValue } = interaction
+    try {
+      // an empty file is an empty answer, which accepts the default, if any
+      return await editText({
+        editor,
+        text : defaultValue === undefined ? '' : '' + defaultValue,
+      })
+    }
+    catch (e) {
+      rethrowIf(e, { instanceOfNot : CommonError })
+      const fallback = { ...interaction, editor : false, multiline : true }
+      this.#renderer.issue({ ...fallback, issue : e.message }, context)
+      this.#renderer.question(fallback, context)
 
-      this.#write({ options : q.outputOptions, text : '\n' + prompt })
-      // rl.setPrompt(formatTerminalText(prompt))
-      // rl.prompt()
+      return await this.#readLine({ multiline : true })
+    }
+  }
 
-      const it = rl[Symbol.asyncIterator]()
-      let answer = (await it.next()).value.trim() || ''
-      if (answer === '-') {
-        answer = undefined
-        delete q.rawAnswer
-      }
-      else {
-        q.rawAnswer = answer.toString()
-      }
+  /**
+   * Accepts an answer for the pending question or review and advances the interview. The answer is validated just as
+   * an answer typed at the terminal is. If the answer is rejected, the question or review remains pending and is
+   * returned by `next()` with the `issue` set.
+   * @param {string} input - For questions, the answer as it would be typed (e.g., 'yes', an option number, or a
+   *   separated list for multi-value questions), the back token, or '-' to clear the default. For reviews, 'y', 'n',
+   *   or the numbers of the items to change.
+   * @returns {Promise<{accepted: boolean, issue: string}>} Whether the answer was accepted and, if not, why.
+   * @throws {OperationNotPermittedError} If there is no pending question or review.
+   */
+  async answer(input) {
+    if (!awaitsAnswer(this.#pending)) {
+      throw new OperationNotPermittedError({
+        message : 'There is no pending question or review to answer.',
+      })
+    }
 
-      const reAskQuestion = async (issue) => {
-        const message = `<warn>${issue}<rst>\n`
-        this.#write({ options : q.outputOptions, text : message })
-        rl.close() // we'll create a new one
-        await this.#askQuestion(q)
-      }
+    const interaction = await this.#advance(
+      input === undefined ? '' : input.toString().trim()
+    )
+    const issue = interaction?.issue
 
-      const values = []
-      const multiErrorMessage = (leadIn) =>
-        `${leadIn} Please enter a number between 1 and ${q.options.length}.`
+    return issue === undefined ? { accepted : true } : { accepted : false, issue }
+  }
 
-      if (answer === '') {
-        if (defaultValue !== undefined) {
-          if (q.multiValue === true && Array.isArray(defaultValue) === true) {
-            values.push(...defaultValue)
-          }
-          else {
-            values.push(defaultValue)
-          }
+  /**
+   * Validates an answer and, if valid, records the result.
+   * @param {object} q - The question action.
+   * @param {string} answer - The (trimmed) answer.
+   * @param {*} defaultValue - The question default, used if the answer is empty.
+   * @param {Array<object>} [options] - The normalized options offered to the user; see `#questionOptions()`.
+   * @param {string} [other] - The free-form value(s) entered for the 'Other…' choice of an `allowOther` question.
+   * @returns {string|undefined} The issue with the answer, if any.
+   * @private
+   */
+  #acceptAnswer(q, answer, defaultValue, options, other) {
+    if (answer === '-') {
+      answer = undefined
+      delete q.rawAnswer
+    }
+    else if (answer !== '') {
+      // an empty answer accepts the default, which remains the default should the question be asked again; when
+      // 'Other…' is chosen, the entered value is the better default
+      q.rawAnswer = (other ?? answer).toString()
+    }
+
+    const type = translateType(q.type, { types : this.#types })
+    const values = []
+    const allowOther = q.allowOther === true
+    const multiErrorMessage = (leadIn) =>
+      `${leadIn} Please enter a number between 1 and ${options.length + (allowOther ? 1 : 0)}`
+      + (allowOther ? ' or another value.' : '.')
+
+    const otherValues = []
+    if (other !== undefined) {
+      for (const anOther of q.multiValue === true
+        ? splitAnswer(q, other)
+        : [other]) {
+        const [value, issue] = verifyAnswerForm({ ...q, type, input : anOther })
+        if (issue !== undefined) {
+          delete q.rawAnswer
+
+          return issue
         }
-        else {
-          // there is no answer and no default value
-          const message =
-            q.multiValue === true
-              ? multiErrorMessage('No default defined.')
-              : 'No default defined. Please provide a valid answer.'
+        otherValues.push(value)
+      }
+    }
 
-          return await reAskQuestion(message)
+    if (answer === '') {
+      if (defaultValue !== undefined) {
+        if (q.multiValue === true && Array.isArray(defaultValue) === true) {
+          values.push(...defaultValue)
+        }
+        else {
+          values.push(defaultValue)
         }
       }
       else {
-        // if the user defines a separator, it may contain RE special characters we need to escape
-        const separator =
-          q.separator?.replaceAll(
-            /(\.|\+|\*|\?|\^|\$|\||\(|\)|\{|\}|\[|\]|\\)/g,
-            '\\$1'
-          ) || ','
-        // TODO: make this conditional on multi-value answers
-        const splitAnswers =
-          q.multiValue === true
-            ? answer.split(new RegExp(`\\s*${separator}\\s*`))
-            : [answer]
-
-        for (const anAnswer of splitAnswers) {
-          if (q.options === undefined) {
-            const [value, issue] = verifyAnswerForm({
-              ...q,
-              type,
-              input : anAnswer,
-            })
-            if (issue === undefined) {
-              values.push(value)
-            }
-            else {
-              delete q.rawAnswer
+        // there is no answer and no default value; only options questions have selections to describe
+        return q.multiValue === true && options !== undefined
+          ? multiErrorMessage('No default defined.')
+          : 'No default defined. Please provide a valid answer.'
+      }
+    }
+    else {
+      const splitAnswers =
+        q.multiValue === true ? splitAnswer(q, answer) : [answer]
+
+      for (const anAnswer of splitAnswers) {
+        const isNumber = /^\d+$/.test(anAnswer)
+        const matches =
+          options === undefined || isNumber === true
+            ? []
+            : matchOptions(anAnswer, options)
+        if (matches.length === 1) {
+          // the option was given by its text or a unique prefix
+          values.push(options[matches[0]].value)
+        }
+        else if (
+          options === undefined
+          || (allowOther === true && isNumber === false)
+        ) {
+          // a free-form answer or, for 'allowOther' questions, a value entered in place of a selection
+          const [value, issue] = verifyAnswerForm({
+            ...q,
+            type,
+            input : anAnswer,
+          })
+          if (issue !== undefined) {
+            delete q.rawAnswer
 
-              return await reAskQuestion(issue)
-            }
+            return issue
           }
-          else {
-            // it's an options question
-            const [selectionI, issue] = verifyAnswerForm({
-              type     : Integer,
-              input    : anAnswer,
-              required : true,
-              max      : q.options.length,
-              min      : q.required === true ? 1 : 0,
-              message  : multiErrorMessage('Invalid selection.'),
-            })
-            if (issue !== undefined) {
-              delete q.rawAnswer
+          values.push(value)
+        }
+        else if (matches.length > 1) {
+          delete q.rawAnswer
 
-              return await reAskQuestion(issue)
-            } // else continue
-            const value = q.options[selectionI - 1]
-            values.push(value)
+          return multiErrorMessage(
+            `Ambiguous selection; '${anAnswer}' matches more than one option.`
+          )
+        }
+        else {
+          // it's an options question
+          const [selectionI, issue] = verifyAnswerForm({
+            type     : Integer,
+            input    : anAnswer,
+            required : true,
+            max      : options.length + (allowOther ? 1 : 0),
+            min      : q.required === true ? 1 : 0,
+            message  : multiErrorMessage('Invalid selection.'),
+          })
+          if (issue !== undefined) {
+            delete q.rawAnswer
+
+            return issue
+          } // else continue
+          if (selectionI === options.length + 1) {
+            // the 'Other…' choice
+            values.push(...otherValues)
+          }
+          else {
+            values.push(options[selectionI - 1]?.value)
           }
         }
       }
+    }
+
+    // if we get here, then the answers are good
+    q.disposition = ANSWERED
+    const value = q.multiValue === true ? values : values[0]
+    this.#addResult({ action : q, value })
+  }
+
+  /**
+   * Runs the interview steps until the next interaction, passing in the answer, if any.
+   * @param {string} [input] - The answer to the pending interaction.
+   * @returns {Promise<object|undefined>} The new pending interaction, if any.
+   * @private
+   */
+  async #advance(input) {
+    this.#steps = this.#steps || this.#runSteps()
+    try {
+      const { done, value } = await this.#steps.next(input)
+      this.#pending = done === true ? undefined : value
+      this.#pendingReturned = false
 
-      // if we get here, then the answers are good
-      q.disposition = ANSWERED
-      const value = q.multiValue === true ? values : values[0]
-      this.#addResult({ action : q, value })
+      return this.#pending
     }
-    finally {
-      // try for rl
-      rl.close()
+    catch (e) {
+      // the steps can't continue, but a subsequent call may start again from the current position
+      this.#steps = undefined
+      this.#pending = undefined
+      throw e
     }
   }
 
-  async #processActions() {
-    let first = true
-    let previousAction
-    for (const action of this.#interactions) {
-      // check condition skip
-      if (
-        action.condition !== undefined
-        && this.#evalTruth(action.condition) === false
-      ) {
-        action.disposition = CONDITION_SKIPPED
-        const type = translateType(action.type)
-        if (action.elseValue !== undefined) {
-          const { elseValue } = action
-          const value =
-            typeof elseValue === 'string'
-              ? verifyAnswerForm({ ...action, input : elseValue, type })
-              : elseValue
-          this.#addResult({ action, value })
-        }
-        else if (action.elseSource !== undefined) {
-          const type = translateType(action.type)
-          const evalResult =
-            type === BooleanString
-              ? this.#evalTruth(action.elseSource)
-              : this.#evalNumber(action.elseSource)
-          const [value] = verifyAnswerForm({
-            ...action,
-            input        : evalResult.toString(),
-            type,
-            _throw       : true,
-            // these are for the ArgumentInvalidError, if thrown
-            endpointType : "action 'elseSource' for",
-            status       : 500,
+  /**
+   * Asks a question, yielding the question interaction until an acceptable answer is received.
+   * @param {object} q - The question action.
+   * @yields {object} The question interaction.
+   * @returns {symbol|undefined} `BACK` if the user asked to go back to the previous question.
+   * @private
+   */
+  * #askQuestion(q) {
+    let issue
+    let filter // the search text narrowing the listed options, if any
+    let page = 0
+    while (true) {
+      const parameters = this.#evalParams()
+      const options = isOptionsQuestion(q)
+        ? this.#questionOptions(q)
+        : undefined
+      const defaultValue = getQuestionDefault(q, {
+        initialDefault : this.#initialDefault(q, parameters),
+        options,
+        types          : this.#types,
+      })
+      const interaction = questionInteraction(q, {
+        defaultValue,
+        issue,
+        options,
+        prompt : interpolate(q.prompt, parameters, { missing : '' }),
+      })
+      if (options !== undefined) {
+        Object.assign(
+          interaction,
+          listOptions(interaction.options, {
+            filter,
+            page,
+            pageSize : this.#pageSize,
           })
-          this.#addResult({ action, value })
-        }
-        else {
-          this.#addResult({ action })
-        }
-        continue
+        )
       }
-
-      const definedSkip =
-        this.#noSkipDefined !== true // global scope no skip
-        && action.noSkipDefined !== true // action scope no skip
-        && this.has(action.parameter) === true
-
-      if (definedSkip === true) {
-        // is already defined?
-        action.disposition = DEFINED_SKIPPED
-        // this is necessary because maybe we're getting the definition as part of the parameter inputs, which could
-        // just be a string
-        const type = translateType(action.type)
-        const input = this.get(action.parameter)
-        // we attempt to check initial parameters in verifyInteractions(), but something like a value set by a previous // mapping
-        const [value] = verifyAnswerForm({
-          ...action,
-          input        : input.toString(),
-          type,
-          _throw       : true,
-          // options for the error, if thrown
-          endpointType : 'parameter settings',
-          hint         : 'Check your initial parameters.',
-          status       : 500,
-        })
-        /*
-        let value
-        if (typeof input === 'string') {
-          ([value] = verifyAnswerForm({
-            ...action,
-            input,
-            type,
-            _throw: true,
-            // options for the error, if thrown
-            endpointType: 'parameter settings',
-            hint: 'Check your initial parameters.',
-            status: 500,
-          }))
+      const answer = yield interaction
+      if (answer === this.#backToken) {
+        if (this.#history.length > 0) {
+          return BACK
         }
-        else {
-          value = input
-        }
-        */
-        this.#addResult({ action, value })
+        issue = 'There is no previous question.'
+      }
+      else if (answer === NEXT_PAGE && interaction.pageCount !== undefined) {
+        page = interaction.page % interaction.pageCount
+        issue = undefined
+      }
+      else if (isSearch(q, answer, options)) {
+        filter = answer
+        page = 0
+        issue = undefined
       }
       else {
-        // We want to put a newline between items, but if the previous was a question, we already have a newline from
-        // the <return>
-        if (first === false && previousAction.prompt === undefined) {
-          this.#output.write('\n')
-        }
-        if (action.prompt !== undefined) {
-          // it's a question
-          await this.#askQuestion(action)
-        }
-        else if (action.maps !== undefined) {
-          // it's a mapping
-          this.#processMapping(action)
-        }
-        else if (action.statement !== undefined) {
-          // it's a statement
-          this.#write({ options : action.outputOptions, text : action.statement })
-        }
-        else {
-          // if (action.review !== undefined) {; interactions validated, so this must be
-          // it's a review
-          const [result, included] = await this.#processReview(action)
-          if (result === true) {
-            // successful reviews can set a value
-            this.#addResult({ action, value : result })
+        let other
+        if (
+          q.allowOther === true
+          && options !== undefined
+          && (q.multiValue === true ? splitAnswer(q, answer) : [answer]).includes(
+            '' + (options.length + 1)
+          )
+        ) {
+          // the user chose 'Other…', so we ask for the value
+          other = yield {
+            ...questionInteraction(q),
+            prompt :
+              q.multiValue === true
+                ? 'Enter the other values.'
+                : 'Enter the other value.',
+            enteringOther : true,
           }
-          else if (result === false) {
-            const toNix = included.reduce((acc, i) => {
-              acc[i.parameter] = true
-
-              return acc
-            }, {})
-            this.#results = this.#results.filter((r) => !(r.parameter in toNix))
+        }
 
-            // TODO: shouldn't this only re-process the included actions?
-            return await this.#processActions()
+        const { disposition, rawAnswer } = q
+        const hadRawAnswer = Object.hasOwn(q, 'rawAnswer')
+        issue =
+          other === '' || other === this.#backToken
+            ? 'No other value was entered.'
+            : this.#acceptAnswer(q, answer, defaultValue, options, other)
+        if (
+          issue === undefined
+          && q.secret === true
+          && q.confirm === true
+          && answer !== ''
+          && answer !== '-'
+        ) {
+          const confirmation = yield {
+            ...questionInteraction(q),
+            prompt     : 'Re-enter to confirm.',
+            confirming : true,
           }
+          if (confirmation !== answer) {
+            // withdraw the unconfirmed answer
+            this.#results.pop()
+            q.disposition = disposition
+            if (hadRawAnswer === true) {
+              q.rawAnswer = rawAnswer
+            }
+            else {
+              delete q.rawAnswer
+            }
+            issue = 'The entries did not match. Please try again.'
+          }
+        }
+        if (issue === undefined) {
+          return
         }
-      } // else not defined skip
-      first = false
-      previousAction = action
-    } // for (... this.#interactions)
+      }
+    }
   }
 
-  #evalNumber(condition) {
-    const evaluator = new Evaluator({ parameters : this.#evalParams() })
+  /**
+   * Answers a question without user input, from the current parameter value (e.g., when `noSkipDefined` is set) or
+   * the question default.
+   * @param {object} q - The question to resolve.
+   * @throws {ArgumentMissingError} If there is no value to resolve the question with.
+   * @throws {ArgumentInvalidError} If the value is invalid.
+   * @private
+   */
+  #resolveQuestion(q) {
+    const { parameter } = q
+    const input = this.has(parameter)
+      ? this.get(parameter)
+      : this.#initialDefault(q, this.#evalParams())
+    if (input === undefined) {
+      throw new ArgumentMissingError({
+        argumentName : parameter,
+        endpointType : 'non-interactive parameter',
+        issue        : 'has no initial value or default',
+      })
+    }
 
-    return evaluator.evalNumber(condition)
-  }
+    const type = translateType(q.type, { types : this.#types })
+    const options = isOptionsQuestion(q) ? this.#questionOptions(q) : undefined
+    const inputs =
+      q.multiValue !== true
+        ? [input]
+        : Array.isArray(input)
+          ? input
+          : splitAnswer(q, input.toString())
+    const values = inputs.map((anInput) => {
+      if (options === undefined) {
+        const [value] = verifyAnswerForm({
+          ...q,
+          type,
+          input  : anInput.toString(),
+          _throw : true,
+        })
 
-  #evalTruth(condition) {
-    const evaluator = new Evaluator({ parameters : this.#evalParams() })
+        return value
+      }
 
-    return evaluator.evalTruth(condition)
-  }
+      const option = options.find(
+        ({ value }) => value.toString() === anInput.toString()
+      )
+      if (option === undefined && q.allowOther === true) {
+        const [value] = verifyAnswerForm({
+          ...q,
+          type,
+          input  : anInput.toString(),
+          _throw : true,
+        })
 
-  #evalParams() {
-    return Object.assign({}, this.#initialParameters, this.values)
-  }
+        return value
+      }
+      else if (option === undefined) {
+        throw new ArgumentInvalidError({
+          argumentName  : parameter,
+          argumentValue : anInput,
+          endpointType  : 'non-interactive parameter',
+          issue         : 'is not any of the specified options',
+        })
+      }
 
-  get(parameter) {
-    const val = this.getResult(parameter)?.value
-    if (val === undefined) {
-      // val may be 'false', which is fine
-      return this.#initialParameters[parameter]
-    }
+      return option.value
+    })
 
-    return val
+    q.disposition = ANSWERED
+    this.#addResult({
+      action : q,
+      value  : q.multiValue === true ? values : values[0],
+    })
   }
 
-  getResult(parameter) {
-    return this.#results.find((r) => r.parameter === parameter)
-  }
+  /**
+   * Processes the actions in order, yielding each interaction requiring the user's attention.
+   * @yields {object} The pending interaction.
+   * @throws {UnresolvedParametersError} In non-interactive mode, if any parameters cannot be resolved.
+   * @private
+   */
+  async * #runSteps() {
+    let previousAction
+    // in non-interactive mode, we collect the problems and report them all at the end
+    const issues = []
+    const unresolved = new Set()
+    while (this.#position < this.#interactions.length) {
+      this.#cancel?.signal.throwIfAborted()
+      const action = this.#interactions[this.#position]
+
+      // We want to put a newline between items, but if the previous was a question, we already have a newline from
+      // the <return>
+      this.#separate =
+        previousAction !== undefined && previousAction.prompt === undefined
+      const resultCount = this.#results.length
+      if (this.#nonInteractive === true && dependsOn(action, unresolved)) {
+        // the action can't be evaluated, but the root problem has already been reported
+        settersOf(action).forEach(({ parameter }) => unresolved.add(parameter))
+        this.#position += 1
+        continue
+      }
 
-  #getResultByIndex(index) {
-    return this.#results.find((r) => r._index === index)
-  }
+      let disposition
+      try {
+        disposition = yield * this.#processAction(action)
+      }
+      catch (e) {
+        if (this.#nonInteractive !== true) {
+          throw e
+        }
+        // ArgumentMissingError is a sub-type of ArgumentInvalidError
+        rethrowIf(e, { instanceOfNot : ArgumentInvalidError })
+        const source = this.#failedMember || action
+        this.#failedMember = undefined
+        issues.push({
+          kind      : e instanceof ArgumentMissingError ? 'missing' : 'invalid',
+          parameter : source.parameter,
+          pointer   : source._pointer,
+          message   : e.message,
+        })
+        settersOf(action).forEach(({ parameter }) => unresolved.add(parameter))
+        this.#position += 1
+        continue
+      }
 
-  has(parameter) {
-    const has =
-      this.#results.some((r) => r.parameter === parameter)
-      || parameter in this.#initialParameters
+      if (disposition === BACK) {
+        this.#goBack()
+      }
+      else {
+        // the position is only advanced once the action is complete so an interrupted interview resumes with the
+        // action in progress
+        this.#position += 1
+        if (disposition === ANSWERED) {
+          this.#history.push({ position : action._index, resultCount })
+        }
+        else if (action.review !== undefined) {
+          // reviewed answers can be changed as part of the review, but the user cannot go back to them
+          this.#history = []
+        }
 
-    return has
-  }
+        if (disposition !== CONDITION_SKIPPED) {
+          previousAction = action
+        }
+      }
 
-  get interactions() {
-    const clone = ibClone(this.#interactions)
-    // remove internal bits
-    for (const action of clone) {
-      delete action._index
-    }
+      await this.#autosave?.(this.snapshot)
+    } // while (... this.#interactions)
 
-    return clone
+    if (issues.length > 0) {
+      throw new UnresolvedParametersError({ issues })
+    }
   }
 
-  #processMapping(mapping) {
-    if (mapping.condition === undefined || this.#evalTruth(mapping.condition)) {
+  /**
+   * Processes a single action; skipping it, asking it, mapping it, etc. as appropriate.
+   * @param {object} action - The action to process.
+   * @yields {object} The interactions requiring the user's attention.
+   * @returns {string|symbol|undefined} The action disposition for skipped and answered actions, `BACK` if the user
+   *   asked to go back from a question, and otherwise `undefined`.
+   * @private
+   */
+  * #processAction(action) {
+    delete action.disposition // clear any disposition from a previous pass
+    // check condition skip
+    if (
+      action.condition !== undefined
+      && this.#evalTruth(action.condition) === false
+    ) {
+      action.disposition = CONDITION_SKIPPED
+      const type = translateType(action.type, { types : this.#types })
+      if (action.elseValue !== undefined) {
+        const { elseValue } = action
+        const value =
+          typeof elseValue === 'string'
+            ? verifyAnswerForm({ ...action, input : elseValue, type })
+            : elseValue
+        this.#addResult({ action, value })
+      }
+      else if (action.elseSource !== undefined) {
+        const type = translateType(action.type, { types : this.#types })
+        const evalResult =
+          type === BooleanString
+            ? this.#evalTruth(action.elseSource)
+            : this.#evalNumber(action.elseSource)
+        const [value] = verifyAnswerForm({
+          ...action,
+          input        : evalResult.toString(),
+          type,
+          _throw       : true,
+          // these are for the ArgumentInvalidError, if thrown
+          endpointType : "action 'elseSource' for",
+          status       : 500,
+        })
+        this.#addResult({ action, value })
+      }
+      else {
+        this.#addResult({ action })
+      }
+
+      return CONDITION_SKIPPED
+    }
+
+    const definedSkip =
+      this.#noSkipDefined !== true // global scope no skip
+      && action.noSkipDefined !== true // action scope no skip
+      && this.has(action.parameter) === true
+
+    if (definedSkip === true && action.repeat !== undefined) {
+      action.disposition = DEFINED_SKIPPED
+      const value = this.get(action.parameter)
+      if (!Array.isArray(value)) {
+        throw new ArgumentInvalidError({
+          argumentName  : action.parameter,
+          argumentValue : value,
+          endpointType  : 'parameter settings',
+          issue         : 'must be an array of records to set a repeating group',
+          hint          : 'Check your initial parameters.',
+          status        : 500,
+        })
+      }
+      this.#addResult({ action, value })
+
+      return DEFINED_SKIPPED
+    }
+    else if (definedSkip === true) {
+      // is already defined?
+      action.disposition = DEFINED_SKIPPED
+      // this is necessary because maybe we're getting the definition as part of the parameter inputs, which could
+      // just be a string
+      const type = translateType(action.type, { types : this.#types })
+      const input = this.get(action.parameter)
+      // we attempt to check initial parameters in verifyInteractions(), but something like a value set by a previous // mapping
+      const [value] = verifyAnswerForm({
+        ...action,
+        input        : input.toString(),
+        type,
+        _throw       : true,
+        // options for the error, if thrown
+        endpointType : 'parameter settings',
+        hint         : 'Check your initial parameters.',
+        status       : 500,
+      })
+      /*
+      let value
+      if (typeof input === 'string') {
+        ([value] = verifyAnswerForm({
+          ...action,
+          input,
+          type,
+          _throw: true,
+          // options for the error, if thrown
+          endpointType: 'parameter settings',
+          hint: 'Check your initial parameters.',
+          status: 500,
+        }))
+      }
+      else {
+        value = input
+      }
+      */
+      this.#addResult({ action, value })
+
+      return DEFINED_SKIPPED
+    }
+    else {
+      if (action.prompt !== undefined) {
+        // it's a question
+        if (this.#nonInteractive === true) {
+          this.#resolveQuestion(action)
+        }
+        else if ((yield * this.#askQuestion(action)) === BACK) {
+          return BACK
+        }
+      }
+      else if (action.repeat !== undefined) {
+        // it's a repeating group
+        if ((yield * this.#processGroup(action)) === BACK) {
+          return BACK
+        }
+      }
+      else if (action.maps !== undefined) {
+        // it's a mapping
+        this.#processMapping(action)
+      }
+      else if (action.statement !== undefined) {
+        // it's a statement
+        yield {
+          kind : 'statement',
+          text : interpolate(action.statement, this.#evalParams(), {
+            missing : '',
+          }),
+          outputOptions : action.outputOptions,
+        }
+      }
+      else {
+        // if (action.review !== undefined) {; interactions validated, so this must be
+        // it's a review; which returns once the user has verified the values
+        if (this.#nonInteractive !== true) {
+          yield * this.#processReview(action)
+        }
+        // successful reviews can set a value
+        this.#addResult({ action, value : true })
+      }
+
+      return action.disposition
+    } // else not defined skip
+  }
+
+  /**
+   * Collects the items of a repeating group by processing the group's actions once per item. While an item is being
+   * collected, its values are set like any other parameter so the group's actions can refer to them. Once the group
+   * is complete, the item values are removed and the group parameter is set to an array with a record of each item's
+   * values. The user can go back to questions in earlier items; going back from the group's first question leaves
+   * the group.
+   * @param {object} group - The group action.
+   * @yields {object} The interactions of the group's actions.
+   * @returns {symbol|undefined} `BACK` if the user asked to go back from the group's first question.
+   * @private
+   */
+  * #processGroup(group) {
+    const { repeat: actions } = group
+    const start = this.#results.length
+    const historyStart = this.#history.length
+    // each item is the item's results and the state of the actions needed to go back to the item
+    const items = []
+    let position = 0
+    clearActionState(actions)
+    this.#groupStart = start
+    try {
+      let more = this.#repeatGroup(group, items)
+      while (more === true) {
+        if (position === actions.length) {
+          items.push({
+            results : this.#results.splice(start),
+            state   : actions.map(({ disposition, rawAnswer }) => ({
+              disposition,
+              rawAnswer,
+            })),
+          })
+          clearActionState(actions)
+          position = 0
+          more = this.#repeatGroup(group, items)
+          continue
+        }
+
+        const resultCount = this.#results.length
+        const disposition = yield * this.#processAction(actions[position])
+        if (disposition === BACK) {
+          if (this.#history.length === historyStart) {
+            return BACK
+          }
+
+          const previous = this.#history.pop()
+          while (items.length > previous.item) {
+            // restore the previous item so the user can change it
+            const { results, state } = items.pop()
+            this.#results.splice(start)
+            this.#results.push(...results)
+            clearActionState(actions)
+            state.forEach(({ disposition, rawAnswer }, i) => {
+              if (disposition !== undefined) {
+                actions[i].disposition = disposition
+              }
+              if (rawAnswer !== undefined) {
+                actions[i].rawAnswer = rawAnswer
+              }
+            })
+          }
+          this.#results.splice(previous.resultCount)
+          position = previous.groupPosition
+        }
+        else {
+          if (disposition === ANSWERED) {
+            this.#history.push({
+              position      : group._index,
+              resultCount,
+              item          : items.length,
+              groupPosition : position,
+            })
+          }
+          position += 1
+        }
+      }
+    }
+    catch (e) {
+      this.#results.splice(start)
+      // so the issue is reported against the member rather than the group
+      this.#failedMember = actions[position]
+      throw e
+    }
+    finally {
+      this.#history.splice(historyStart)
+      this.#groupStart = undefined
+    }
+
+    group.disposition = ANSWERED
+    this.#addResult({
+      action : group,
+      value  : items.map(({ results }) => itemRecord(results)),
+    })
+  }
+
+  /**
+   * Determines whether a repeating group should collect another item. Groups collect at least `min` and at most `max`
+   * items. In between, another item is collected while the `while` condition, evaluated with the previous item's
+   * values, is true. In non-interactive mode, groups collect just `min` items.
+   * @param {object} group - The group action.
+   * @param {Array<object>} items - The items collected so far.
+   * @returns {boolean} True if another item should be collected.
+   * @private
+   */
+  #repeatGroup(group, items) {
+    const { max = Infinity, min = 0 } = group
+    if (items.length >= max) {
+      return false
+    }
+    else if (items.length < min) {
+      return true
+    }
+    else if (this.#nonInteractive === true) {
+      return false
+    }
+    else if (group.while === undefined) {
+      return true
+    }
+
+    return evalTruth(group.while, {
+      ...this.#evalParams(),
+      ...itemRecord(items.at(-1)?.results || []),
+    })
+  }
+
+  #evalNumber(condition) {
+    return evalNumber(condition, this.#evalParams())
+  }
+
+  /**
+   * Evaluates a map `source` or question `defaultSource` expression. Boolean and numeric expressions are evaluated by
+   * condition-eval and expressions for other types are string expressions.
+   * @param {string} expression - The expression.
+   * @param {Function} type - The parameter type function.
+   * @param {object} parameters - The parameter values.
+   * @returns {boolean|number|string} The result.
+   * @private
+   */
+  #evalSource(expression, type, parameters) {
+    if (type === BooleanString) {
+      return evalTruth(expression, parameters)
+    }
+    else if (type === Integer || type === Numeric) {
+      return evalNumber(expression, parameters)
+    }
+
+    return evalString(expression, parameters)
+  }
+
+  /**
+   * Determines a question's default before the question is answered. If the question has a `defaultSource`, this is
+   * the result of the expression as a string, which is then validated like a literal `default`. Otherwise, it's the
+   * `default` with any parameter references interpolated.
+   * @param {object} q - The question action.
+   * @param {object} parameters - The parameter values.
+   * @returns {*} The initial default, if any. There is no default if the `default` or `defaultSource` refers to a
+   *   parameter which isn't set; e.g., because its question was skipped.
+   * @private
+   */
+  #initialDefault(q, parameters) {
+    try {
+      if (q.defaultSource === undefined) {
+        return interpolate(q.default, parameters)
+      }
+
+      const type = translateType(q.type, { types : this.#types })
+
+      return '' + this.#evalSource(q.defaultSource, type, parameters)
+    }
+    catch (e) {
+      // the expressions and templates are verified by the constructor, so anything else is unexpected
+      if (
+        !(e instanceof ArgumentMissingError)
+        && !isUndefinedParameterError(e)
+      ) {
+        throw e
+      }
+
+      return undefined
+    }
+  }
+
+  #evalTruth(condition) {
+    return evalTruth(condition, this.#evalParams())
+  }
+
+  /**
+   * Normalizes a question's options, dropping any whose `condition` is currently false. If the question has an
+   * `optionsSource`, the options are taken from the source parameter. Otherwise, any parameter references in the option
+   * labels, values, and descriptions are interpolated.
+   * @param {object} q - The options question action.
+   * @returns {Array<{label: *, value: *, description: string}>} The options to offer.
+   * @throws {ArgumentInvalidError} If the `optionsSource` does not resolve to a non-empty array of options.
+   * @private
+   */
+  #questionOptions(q) {
+    let { options } = q
+    if (q.optionsSource !== undefined) {
+      const [root, ...path] = q.optionsSource.split('.')
+      options = path.reduce((value, key) => value?.[key], this.get(root))
+      const sourceIssue = (issue) =>
+        new ArgumentInvalidError({
+          argumentName  : q.optionsSource,
+          argumentValue : options,
+          endpointType  : 'options source',
+          issue,
+          status        : 500,
+        })
+      if (!Array.isArray(options) || options.length === 0) {
+        throw sourceIssue(
+          `must be a non-empty array to provide the options for '${q.parameter}'`
+        )
+      }
+
+      const invalidI = options.findIndex((option) => !isOption(option))
+      if (invalidI !== -1) {
+        throw sourceIssue(
+          `item ${invalidI + 1} must be a string, number, boolean, or an object with a 'label' to provide the options for '${q.parameter}'`
+        )
+      }
+    }
+
+    const parameters = this.#evalParams()
+    const normalized = options
+      .map(normalizeOption)
+      .filter(
+        ({ condition }) =>
+          condition === undefined || evalTruth(condition, parameters) === true
+      )
+
+    // source options are data rather than part of the bundle, so they aren't templates
+    return q.optionsSource !== undefined
+      ? normalized
+      : normalized.map((option) => ({
+        ...option,
+        label       : interpolate(option.label, parameters, { missing : '' }),
+        value       : interpolate(option.value, parameters, { missing : '' }),
+        description : interpolate(option.description, parameters, {
+          missing : '',
+        }),
+      }))
+  }
+
+  /**
+   * Returns to the previously asked question. Any results resolved since the previous question was asked are
+   * discarded so that conditions, defined parameter skips, and maps are re-evaluated as the user moves forward again.
+   * The previous answer is retained as the default.
+   * @private
+   */
+  #goBack() {
+    const previous = this.#history.pop()
+    this.#results.splice(previous.resultCount)
+    this.#position = previous.position
+  }
+
+  #evalParams() {
+    return Object.assign({}, this.#initialParameters, this.values)
+  }
+
+  get(parameter) {
+    const val = this.getResult(parameter)?.value
+    if (val === undefined) {
+      // val may be 'false', which is fine
+      return this.#initialParameters[parameter]
+    }
+
+    return val
+  }
+
+  getResult(parameter) {
+    return this.#results.find((r) => r.parameter === parameter)
+  }
+
+  has(parameter) {
+    const has =
+      this.#results.some((r) => r.parameter === parameter)
+      || parameter in this.#initialParameters
+
+    return has
+  }
+
+  get interactions() {
+    const clone = ibClone(this.#interactions)
+    // remove internal bits
+    for (const action of clone) {
+      for (const member of withGroupActions(action)) {
+        delete member._index
+        delete member._pointer
+        member.maps?.forEach((map) => delete map._index)
+      }
+    }
+
+    return clone
+  }
+
+  /**
+   * Returns the interaction currently requiring the user's attention, advancing the interview as necessary. Skipped
+   * actions and maps are processed along the way. A pending question or review is returned until it is answered with
+   * `answer()`. A statement is returned once; the following call moves past it. The interaction is one of:
+   * - `{ kind : 'question', parameter, prompt, type, default, multiValue, options, separator, outputOptions, secret,
+   *   confirming, issue }`; the `default` of a `secret` question is masked and `confirming` is set when a secret
+   *   answer is being re-entered for confirmation
+   * - `{ kind : 'statement', text, outputOptions }`
+   * - `{ kind : 'review', reviewType, items, issue }` where each item is `{ parameter, prompt, type, value, derived }`;
+   *   `derived` items are map values, which cannot be changed directly. Changing a repeating group collects its items
+   *   again.
+   *
+   * The `issue`, if present, explains why the last answer was rejected.
+   * @returns {Promise<object|undefined>} The pending interaction or `undefined` if the interview is complete.
+   */
+  async next() {
+    if (
+      !awaitsAnswer(this.#pending)
+      && (this.#pending === undefined || this.#pendingReturned === true)
+    ) {
+      await this.#advance()
+    }
+    this.#pendingReturned = true
+
+    return ibClone(this.#pending)
+  }
+
+  #processMapping(mapping) {
+    if (mapping.condition === undefined || this.#evalTruth(mapping.condition)) {
       mapping.maps.forEach((map) => {
-        const type = translateType(map.type)
+        const type = translateType(map.type, { types : this.#types })
 
         // having both source and value is not allowed and verified when the IB is loaded
         if (map.source !== undefined) {
+          const result = this.#evalSource(map.source, type, this.#evalParams())
           let value
 
-          // type validated in verifyInteractions
-          if (type === BooleanString) {
-            value = this.#evalTruth(map.source)
+          if ([BooleanString, Integer, Numeric].includes(type)) {
+            value = type(result.toString())
           }
           else {
-            // it's numeric
-            value = this.#evalNumber(map.source)
+            // it's the result of a string expression, which is validated like a literal value
+            ;[value] = verifyAnswerForm({
+              ...map,
+              input        : result,
+              type,
+              _throw       : true,
+              // options for the ArgumentInvalidError, if thrown
+              endpointType : 'mapping to parameter',
+              status       : 500,
+            })
           }
 
-          value = type(value.toString())
           this.#addResult({ action : map, value })
         } // we are guaranteed to have either source or value by 'verifyInteractions()'
         else {
@@ -502,7 +1384,13 @@ const Questioner = class {
     }
   }
 
-  async #processReview(reviewAction) {
+  /**
+   * Determines which question and map values a review covers; everything since the last review which was not skipped.
+   * @param {object} reviewAction - The review action.
+   * @returns {Array<object>} The included question and map (entry) actions, in order.
+   * @private
+   */
+  #getReviewItems(reviewAction) {
     const reviewType = reviewAction.review
     const included = []
     for (const action of this.#interactions) {
@@ -513,14 +1401,15 @@ const Questioner = class {
         included.splice(0, included.length) // truncate
         continue
       }
-      const result = this.#getResultByIndex(action._index)
       const include =
         action.statement === undefined
-        && (reviewType === 'all' || action.prompt !== undefined)
-        && !result?.disposition.endsWith('skipped')
+        && (reviewType === 'all'
+          || action.prompt !== undefined
+          || action.repeat !== undefined)
+        && action.disposition?.endsWith('skipped') !== true
 
       if (include === true) {
-        if (action.prompt !== undefined) {
+        if (action.prompt !== undefined || action.repeat !== undefined) {
           included.push(action)
         }
         else if (action.maps !== undefined) {
@@ -528,67 +1417,324 @@ const Questioner = class {
         }
       }
     }
-    if (included.length === 0) {
-      return [true, []]
+
+    return included
+  }
+
+  /**
+   * Performs a review, yielding the review interaction until the user verifies the values.
+   * @param {object} reviewAction - The review action.
+   * @yields {object} The review interaction and any questions the user chooses to change.
+   * @private
+   */
+  * #processReview(reviewAction) {
+    let issue
+    while (true) {
+      const included = this.#getReviewItems(reviewAction)
+      if (included.length === 0) {
+        return
+      }
+
+      const response = yield {
+        kind       : 'review',
+        reviewType : reviewAction.review,
+        items      : included.map((action) => {
+          let value = this.get(action.parameter)
+          if (action.secret === true) {
+            value = SECRET_MASK
+          }
+          else if (action.repeat !== undefined) {
+            value = maskItemSecrets(action, value)
+          }
+          const item = {
+            parameter : action.parameter,
+            value,
+            type      : action.type,
+            derived   : isDerived(action),
+          }
+          if (action.prompt !== undefined) {
+            item.prompt = interpolate(action.prompt, this.#evalParams(), {
+              missing : '',
+            })
+          }
+
+          return item
+        }),
+        ...(issue === undefined ? {} : { issue }),
+      }
+
+      let toChange
+      ;[toChange, issue] = parseReviewResponse(response, included)
+      if (issue !== undefined) {
+        continue
+      }
+      else if (toChange.length === 0) {
+        return
+      }
+
+      yield * this.#changeReviewed(toChange, reviewAction)
     }
+  }
 
-    let reviewText = ''
-    for (const action of included) {
-      if (reviewText.length > 0) {
-        reviewText += '\n'
+  /**
+   * Re-asks the selected questions (or collects the selected repeating groups again) and then re-runs any subsequent
+   * action (up to the review) whose condition, `elseSource`, or map sources depend on a changed value.
+   * @param {Array<object>} toChange - The questions and groups to change.
+   * @param {object} reviewAction - The review from which the change was initiated.
+   * @yields {object} The questions to re-ask.
+   * @private
+   */
+  * #changeReviewed(toChange, reviewAction) {
+    const changed = new Set()
+    const start = Math.min(...toChange.map(({ _index }) => _index))
+    for (const action of this.#interactions.slice(start, reviewAction._index)) {
+      const rerun =
+        toChange.includes(action)
+        || (action.statement === undefined
+          && action.review === undefined
+          && dependsOn(action, changed))
+      if (rerun !== true) {
+        continue
       }
 
-      if (action.prompt !== undefined) {
-        reviewText += action.prompt + '\n'
+      const previousResults = this.#results.filter(
+        (r) => r._index === action._index
+      )
+      const previousDisposition = action.disposition
+      this.#results = this.#results.filter((r) => r._index !== action._index)
+      if ((yield * this.#processAction(action)) === BACK) {
+        // there's nothing to go back to from a review change, so we just keep the current value
+        this.#results.push(...previousResults)
+        action.disposition = previousDisposition
+      }
+      else {
+        settersOf(action).forEach(({ parameter }) => changed.add(parameter))
       }
-      reviewText += `[<bold>${action.parameter}<rst>]: <em>${this.get(action.parameter)}<rst>\n`
     }
 
-    const sOrNot = included.length > 1 ? 's' : ''
-    const header = `<h2>Review ${included.length} ${reviewType === 'all' ? 'value' : 'answer'}${sOrNot}:<rst>`
+    // keep the results in bundle order
+    this.#results.sort((a, b) => a._index - b._index)
+  }
 
-    this.#write({
-      options : { hangingIndent : 2 },
-      text    : header + '\n' + reviewText,
-    })
+  /**
+   * Runs the interview.
+   * @param {object} [options] - Questioning options.
+   * @param {AbortSignal} [options.signal = undefined] - A signal which cancels questioning when aborted.
+   * @throws {QuestioningCancelledError} If questioning is cancelled by the `signal`, SIGINT, or the end of input. The
+   *   error carries the results collected so far.
+   */
+  async question({ signal } = {}) {
+    this.#cancel = new AbortController()
+    const onAbort = () => this.#abort('aborted', signal.reason)
+    const onSigint = () => this.#abort('interrupted')
+    signal?.addEventListener('abort', onAbort)
+    process.on('SIGINT', onSigint)
+    try {
+      if (signal?.aborted === true) {
+        onAbort()
+      }
 
-    while (true) {
-      const rl = readline.createInterface({
-        input    : this.#input,
-        output   : this.#output,
-        terminal : false,
-      })
-      try {
-        this.#output.write('\n<bold>Verified?<rst> [y/n] ')
-
-        const it = rl[Symbol.asyncIterator]()
-        const answer = (await it.next()).value.trim()
-        const [value, issue] = verifyAnswerForm({
-          type    : BooleanString,
-          input   : answer,
-          message : 'Please answer yes or no (y/n).',
-          hint    : undefined,
-        })
-        if (issue === undefined) {
-          return [value, included]
+      let interaction = await this.next()
+      while (interaction !== undefined) {
+        const context = {
+          width : this.#output.width,
+          write : (chunk) => this.#write(chunk),
+        }
+        if (interaction.issue !== undefined) {
+          this.#renderer.issue(interaction, context)
+        }
+        else if (this.#separate === true) {
+          this.#output.write('\n')
+        }
+        this.#separate = false // only separate the first display of an interaction
+
+        if (interaction.kind === 'statement') {
+          this.#renderer.statement(interaction, context)
+        }
+        else if (this.#tty === true && interaction.options !== undefined) {
+          await this.answer(await this.#selectOption(interaction, context))
         }
         else {
-          this.#output.write(`<warn>${issue}<rst>` + '\n')
+          const editor =
+            interaction.editor === true && this.#input.isTTY === true
+              ? editorCommand()
+              : undefined
+          if (interaction.editor === true && editor === undefined) {
+            // without an editor, we fall back to reading the lines from the terminal
+            interaction = { ...interaction, editor : false, multiline : true }
+          }
+
+          this.#renderer[interaction.kind](interaction, context)
+          let input
+          if (editor !== undefined) {
+            input = await this.#editAnswer(interaction, editor, context)
+          }
+          else if (
+            interaction.secret === true
+            && this.#input.isTTY === true
+          ) {
+            input = await this.#readSecret()
+          }
+          else {
+            input = await this.#readLine({
+              completer :
+                this.#tty === true && isPathType(interaction.type, this.#types)
+                  ? completePath
+                  : undefined,
+              multiline : interaction.multiline === true,
+            })
+          }
+
+          await this.answer(input)
         }
+
+        interaction = await this.next()
       }
-      finally {
-        rl.close()
-      }
     }
+    finally {
+      this.#releaseInput()
+      signal?.removeEventListener('abort', onAbort)
+      process.off('SIGINT', onSigint)
+    }
+  }
+
+  /**
+   * Reads a secret answer without echoing it.
+   * @returns {Promise<string>} The trimmed answer.
+   * @private
+   */
+  async #readSecret() {
+    this.#releaseInput()
+    const input = await readSecret({
+      input    : this.#input,
+      onCancel : (reason) => this.#abort(reason),
+      signal   : this.#cancel.signal,
+    })
+    this.#output.write('\n') // the user's enter isn't echoed either
+
+    return input
   }
 
-  async question() {
-    // TODO: this is a holdover from earlier implementation, move process logic here
-    await this.#processActions()
+  /**
+   * Lets the user select an option (or options) with the keyboard, redrawing the selection as it changes.
+   * @param {object} interaction - The options question interaction.
+   * @param {object} context - The renderer context.
+   * @returns {Promise<string>} The selection as it would be typed.
+   * @private
+   */
+  #selectOption(interaction, context) {
+    this.#releaseInput()
+    let lines = 0 // the number of lines in the current rendering
+
+    return selectOption({
+      backToken : this.#backToken,
+      input     : this.#input,
+      interaction,
+      onCancel  : (reason) => this.#abort(reason),
+      pageSize  : this.#pageSize,
+      render    : (state) => {
+        if (lines > 0) {
+          // move up to the start of the previous rendering and clear everything below (ANSI CUU and ED)
+          this.#output.write(`\u001b[${lines}A\u001b[0J`)
+        }
+        lines = 0
+        this.#renderer.selection(interaction, {
+          ...context,
+          ...state,
+          write : (chunk) => {
+            lines += countLines(chunk.text, context.width)
+            context.write(chunk)
+          },
+        })
+      },
+      signal : this.#cancel.signal,
+    })
+  }
+
+  /**
+   * Returns the results of the interview so far. Each result is a copy of the parameter setting action with the final
+   * `value`.
+   * @param {object} [options] - Result options.
+   * @param {boolean} [options.revealSecrets = false] - If true, the `secret` question values are included as is.
+   *   Otherwise, they are redacted.
+   * @returns {Array<object>} The results, in the order they were set.
+   */
+  getResults({ revealSecrets = false } = {}) {
+    const results = structuredClone(this.#results)
+    if (revealSecrets !== true) {
+      for (const result of results) {
+        if (result.secret === true) {
+          result.value = SECRET_MASK
+          delete result.rawAnswer
+        }
+        else if (result.repeat !== undefined && Array.isArray(result.value)) {
+          result.value = maskItemSecrets(result, result.value)
+        }
+      }
+    }
+
+    return results
   }
 
   get results() {
-    return structuredClone(this.#results)
+    return this.getResults()
+  }
+
+  /**
+   * A snapshot of the interview state which may be used to resume an incomplete interview by passing it to the
+   * constructor as the `snapshot` option. The snapshot is a plain object and can be serialized as JSON. It includes a
+   * fingerprint of the interactions so that it can't be used to resume an interview with different interactions.
+   * @returns {object} The interview state.
+   */
+  get snapshot() {
+    // the items of a group in progress are collected again when the interview is resumed
+    return structuredClone({
+      fingerprint : this.#fingerprint,
+      position    : this.#position,
+      history     : this.#history.filter(({ item }) => item === undefined),
+      results     : this.#results.slice(0, this.#groupStart),
+      // the per-action state
+      actions     : this.#interactions.map(({ disposition, rawAnswer }) => ({
+        disposition,
+        rawAnswer,
+      })),
+    })
+  }
+
+  #restoreSnapshot(snapshot) {
+    const { actions, fingerprint, history, position, results } = snapshot
+    if (
+      fingerprint !== this.#fingerprint
+      || !Array.isArray(actions)
+      || actions.length !== this.#interactions.length
+      || !Number.isInteger(position)
+      || !Array.isArray(history)
+      || !Array.isArray(results)
+    ) {
+      throw new ArgumentInvalidError({
+        endpointType : 'function',
+        argumentName : 'snapshot',
+        issue        : 'is malformed or does not match the interactions',
+        status       : 500,
+      })
+    }
+
+    this.#position = position
+    this.#history = structuredClone(history)
+    this.#results = structuredClone(results)
+    for (const result of this.#results) {
+      // dates are strings in snapshots which have been saved as JSON
+      result.value = reviveDates(result, this.#types)
+    }
+    actions.forEach(({ disposition, rawAnswer }, i) => {
+      const action = this.#interactions[i]
+      if (disposition !== undefined) {
+        action.disposition = disposition
+      }
+      if (rawAnswer !== undefined) {
+        action.rawAnswer = rawAnswer
+      }
+    })
   }
 
   get values() {
@@ -613,129 +1759,122 @@ const Questioner = class {
       })
     }
 
-    const verifyMapping = (i, { maps }) => {
-      for (const { parameter, source, type, value } of maps) {
-        if (parameter === undefined) {
-          throw new ArgumentInvalidError({
-            endpointType : 'configuration',
-            argumentName : 'interactions',
-            issue        : `'mapping' action ${i + 1} fails to specify a 'parameter'`,
-            status       : 500,
-          })
-        }
-        if (source === undefined && value === undefined) {
+    // bundles built in code may use type functions and RegExp validations, which the schema can't express
+    const [bundleIssue] = validateBundle(this.#interactions, {
+      types : this.#types,
+    }).filter(
+      ({ pointer }) => !isCodeValue(valueAt(this.#interactions, pointer))
+    )
+    if (bundleIssue !== undefined) {
+      const { message, pointer } = bundleIssue
+      throw new ArgumentInvalidError({
+        endpointType : 'configuration',
+        argumentName : 'interactions',
+        issue        : `is invalid${pointer === '' ? '' : ` at '${pointer}'`}; ${message.replace(/\.$/, '')}`,
+        status       : 500,
+      })
+    }
+
+    // the parameters which may be referenced by the templates of the action being verified
+    const defined = new Set(Object.keys(this.#initialParameters))
+    const verifyTemplates = (action, n) => {
+      const kind = action.prompt === undefined ? 'statement' : 'question'
+      const templates = [
+        ['prompt', action.prompt],
+        ['statement', action.statement],
+        ['default', action.default],
+      ]
+      if (Array.isArray(action.options)) {
+        action.options.forEach((option, optionI) => {
+          const { description, label, value } = normalizeOption(option)
+          const field = `option ${optionI + 1}`
+          templates.push([field, label], [field, value], [field, description])
+        })
+      }
+
+      for (const [field, template] of templates) {
+        // the template syntax has been checked by 'validateBundle()'
+        const undefinedParameter = templateParameters(template).find(
+          (parameter) => !defined.has(parameter.split('.')[0])
+        )
+        if (undefinedParameter !== undefined) {
           throw new ArgumentInvalidError({
             endpointType : 'configuration',
             argumentName : 'interactions',
-            issue        : `mapping action ${i + 1} for '${parameter}' must specify one of 'source' or 'value'`,
+            issue        : `${kind} ${n} '${field}' references '${undefinedParameter}', which is not set by the initial parameters or a preceding action`,
             status       : 500,
           })
         }
-        if (source !== undefined) {
-          const typeFunc = translateType(type)
-          // recall maps only support boolean and numeric types
-          if (![BooleanString, Integer, Numeric].includes(typeFunc)) {
-            throw new ArgumentTypeError({
-              endpointType : 'interactions',
-              argumentName : `interactions' action ${i + 1} for '${parameter}`,
-              receivedType : typeFunc,
-              argumentType : "bool', 'int', or 'numeric",
-              status       : 500,
-            })
-          }
-        }
       }
     }
 
-    this.#interactions.forEach((action, i) => {
-      const actionTypes = ['prompt', 'maps', 'statement', 'review']
-      const typeCount = actionTypes.reduce(
-        (count, type) => (action[type] === undefined ? count : count + 1),
-        0
-      )
-
-      if (typeCount === 0) {
+    // 'n' is the action number used in messages; e.g., '3' or, for the actions of a repeating group, '3.1'
+    const verifyAction = (action, n) => {
+      if (action.include !== undefined) {
         throw new ArgumentInvalidError({
           endpointType : 'configuration',
           argumentName : 'interactions',
-          issue        : `action ${i + 1} defines neither 'prompt', 'maps', 'statement', nor 'review'; cannot determine type`,
+          issue        : `action ${n} is an 'include'; load the bundle with 'Questioner.loadBundle()' to resolve includes`,
           status       : 500,
         })
       }
-      else if (typeCount > 1) {
-        throw new ArgumentInvalidError({
-          endpointType : 'configuration',
-          argumentName : 'interactions',
-          issue        : `action ${i + 1} defines multiple action types; must define on of 'prompt', 'maps', 'statement', nor 'review'`,
+
+      verifyTemplates(action, n)
+
+      if (action.prompt !== undefined && this.has(action.parameter)) {
+        // then check the type
+        verifyAnswerForm({
+          ...action,
+          input        : this.get(action.parameter).toString(),
+          type         : translateType(action.type, { types : this.#types }),
+          _throw       : true,
+          // options for the error, if thrown
+          endpointType : 'parameter settings',
+          hint         : 'Check your initial parameters.',
           status       : 500,
         })
       }
-      else if (action.prompt !== undefined) {
-        // TODO: replace with some kind of JSON schema verification
-        const type = translateType(action.type, {
-          message : `Invalid parameter type '${action.type}' in interrogation bundle question ${i + 1}.`,
-          status  : 500,
-        })
+      else if (action.repeat !== undefined) {
+        verifyGroup(action, n)
+      }
 
-        if (action.parameter === undefined) {
-          throw new ArgumentInvalidError({
-            endpointType : 'configuration',
-            argumentName : 'interactions',
-            issue        : `question ${i + 1} does not define a 'parameter'`,
-            status       : 500,
-          })
-        }
-        else if (this.has(action.parameter)) {
-          // then check the type
-          const value = this.get(action.parameter)
-          verifyAnswerForm({
-            ...action,
-            input        : value.toString(),
-            type,
-            _throw       : true,
-            // options for the error, if thrown
-            endpointType : 'parameter settings',
-            hint         : 'Check your initial parameters.',
-            status       : 500,
-          })
-        }
+      if (action.prompt !== undefined) {
+        defined.add(action.parameter)
       }
-      else if (action.maps !== undefined) {
-        verifyMapping(i, action)
+      for (const { parameter } of action.maps || []) {
+        defined.add(parameter)
       }
-      else if (action.review !== undefined) {
-        if (!['all', 'questions'].includes(action.review)) {
+    } // verifyAction
+
+    const verifyGroup = (group, n) => {
+      const { min = 0, parameter, repeat } = group
+      const outerDefined = new Set(defined)
+      if (min === 0 && group.while !== undefined) {
+        // 'while' is checked before the first item, when only the parameters defined before the group are set
+        const itemFields = repeat.flatMap((member) =>
+          settersOf(member).map(({ parameter }) => parameter))
+        const itemReference = referencedParameters(group.while).find(
+          (reference) =>
+            itemFields.includes(reference.split('.')[0])
+            && !outerDefined.has(reference.split('.')[0])
+        )
+        if (itemReference !== undefined) {
           throw new ArgumentInvalidError({
             endpointType : 'configuration',
             argumentName : 'interactions',
-            issue        : `invalid review type '${action.review}' for action ${i + 1}; must be 'all' or 'questions'`,
+            issue        : `repeating group ${n} 'while' references '${itemReference}', which is not set before the first item; set 'min' to at least 1 or set '${itemReference}' before the group`,
             status       : 500,
           })
         }
       }
+      repeat.forEach((member, i) => verifyAction(member, `${n}.${i + 1}`))
+      // the item values are only defined within the group
+      defined.clear()
+      outerDefined.forEach((outer) => defined.add(outer))
+      defined.add(parameter)
+    }
 
-      if (action.options !== undefined) {
-        const { default: defaultValue, options } = action
-        if (!Array.isArray(options)) {
-          throw new ArgumentTypeError({
-            argumentName : "interactions' 'options",
-            issue        : "'options' must be an array",
-            status       : 500,
-          })
-        }
-        else if (
-          defaultValue !== undefined
-          && options.indexOf(defaultValue) === -1
-        ) {
-          throw new ArgumentInvalidError({
-            argumentName  : "interactions' 'default",
-            argumentValue : defaultValue,
-            issue         : 'is not any of the specified options',
-            status        : 500,
-          })
-        }
-      }
-    }) // foreach interaction
+    this.#interactions.forEach((action, i) => verifyAction(action, i + 1))
   }
 
   #write({ options, text }) {
@@ -748,6 +1887,476 @@ const Questioner = class {
   }
 }
 
+/**
+ * Parses the response to a review. The user may verify the values ('y'), reject them all ('n'), or enter the numbers
+ * of the items to change.
+ * @param {string} answer - The user's (trimmed) answer.
+ * @param {Array<object>} included - The reviewed items, as displayed.
+ * @returns {Array} A tuple of the questions to change and an issue message. The issue is defined if the response is
+ *   invalid.
+ * @private
+ */
+const parseReviewResponse = (answer, included) => {
+  const invalidMessage = `Please answer yes or no (y/n) or enter item numbers (1-${included.length}).`
+  // BooleanString would treat numbers as true/false, so we check for item numbers first
+  if (!answer.match(/^\d[\d\s,]*$/)) {
+    const [verified] = verifyAnswerForm({ type : BooleanString, input : answer })
+    if (verified === true) {
+      return [[]]
+    }
+    else if (verified === false) {
+      return [included.filter((action) => !isDerived(action))]
+    }
+    else {
+      return [undefined, invalidMessage]
+    }
+  }
+
+  const toChange = []
+  for (const selection of answer.split(/[\s,]+/).filter((s) => s !== '')) {
+    const [itemI, issue] = verifyAnswerForm({
+      type     : Integer,
+      input    : selection,
+      required : true,
+      min      : 1,
+      max      : included.length,
+      message  : invalidMessage,
+    })
+    if (issue !== undefined) {
+      return [undefined, issue]
+    }
+
+    const action = included[itemI - 1]
+    if (isDerived(action)) {
+      return [
+        undefined,
+        `Item ${itemI} ('${action.parameter}') is derived from other values and cannot be changed directly.`,
+      ]
+    }
+    else if (!toChange.includes(action)) {
+      toChange.push(action)
+    }
+  }
+
+  return [toChange]
+}
+
+/**
+ * Generates a fingerprint of the interactions, which identifies the interactions a snapshot was taken with. Functions
+ * (like inline types) are identified by name.
+ * @param {Array<object>} interactions - The interactions as passed to the constructor.
+ * @returns {string} A hex encoded SHA-256 digest of the interactions.
+ * @private
+ */
+const interactionsFingerprint = (interactions) =>
+  createHash('sha256')
+    .update(
+      JSON.stringify(interactions, (key, value) =>
+        typeof value === 'function' ? `function ${value.name}` : value)
+    )
+    .digest('hex')
+
+/**
+ * Resolves a JSON pointer, like those of `validateBundle()` issues, against a value.
+ * @param {*} value - The value.
+ * @param {string} pointer - The JSON pointer.
+ * @returns {*} The value at the pointer, if any.
+ * @private
+ */
+const valueAt = (value, pointer) =>
+  pointer
+    .split('/')
+    .slice(1)
+    .reduce((parent, key) => parent?.[key], value)
+
+/**
+ * Determines whether a bundle value is one which can only be given in code; i.e., a type function or RegExp.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value is a function or RegExp.
+ * @private
+ */
+const isCodeValue = (value) =>
+  typeof value === 'function'
+  // cloned RegExps may come from another realm
+  || Object.prototype.toString.call(value) === '[object RegExp]'
+
+/**
+ * Determines whether a reviewed action's value is derived from other values (i.e., it's a map), in which case it
+ * can't be changed directly. Questions are re-asked and repeating groups are collected again.
+ * @param {object} action - The reviewed action.
+ * @returns {boolean} True if the value is derived.
+ * @private
+ */
+const isDerived = (action) =>
+  action.prompt === undefined && action.repeat === undefined
+
+/**
+ * Determines whether an interaction awaits an answer.
+ * @param {object|undefined} interaction - The interaction.
+ * @returns {boolean} True if the interaction is a question or review.
+ * @private
+ */
+const awaitsAnswer = (interaction) =>
+  interaction?.kind === 'question' || interaction?.kind === 'review'
+
+/**
+ * Determines the default for a question. The previous answer, if any, becomes the new default. Otherwise, the initial
+ * default is used.
+ * @param {object} q - The question action.
+ * @param {object} context - The question context.
+ * @param {*} [context.initialDefault] - The default before the question is answered; see `#initialDefault()`.
+ * @param {Array<object>} [context.options] - The normalized options offered to the user.
+ * @param {object} [context.types] - The custom type registry.
+ * @returns {*} The default value, if any. For options questions, this is the option value.
+ * @private
+ */
+const getQuestionDefault = (q, context) => {
+  const { initialDefault, options, types } = context
+  let defaultValue
+  if (options === undefined) {
+    defaultValue = Object.hasOwn(q, 'rawAnswer') ? q.rawAnswer : initialDefault
+  }
+  else if (Object.hasOwn(q, 'rawAnswer')) {
+    // the raw answer has already been validated on the previous go around, so we can trust it
+    if (/^\d+$/.test(q.rawAnswer)) {
+      defaultValue = options[parseInt(q.rawAnswer) - 1]?.value
+    }
+    else {
+      // the option may have been given by its text
+      const matches = matchOptions(q.rawAnswer, options)
+      defaultValue =
+        matches.length === 1 ? options[matches[0]].value : undefined
+    }
+    if (defaultValue === undefined && q.allowOther === true) {
+      defaultValue = q.rawAnswer // an 'Other…' value
+    }
+  }
+  else {
+    defaultValue = initialDefault
+  }
+  if (typeof defaultValue === 'string') {
+    const type = translateType(q.type, { types })
+    // TODO: this won't work with multivalue actions and multivalue defaults...
+    // default values should have already been validated
+    ;[defaultValue] = verifyAnswerForm({ ...q, input : defaultValue, type })
+  }
+
+  return defaultValue
+}
+
+/**
+ * Creates the interaction data for a question. The `options` are given by their labels, as is the `default` for
+ * options questions, and if any option has a description, the `descriptions` lists them in the same order. For
+ * `allowOther` questions, the 'Other…' choice is added to the end of the `options`.
+ * @param {object} q - The question action.
+ * @param {object} [context] - The question context.
+ * @param {*} [context.defaultValue] - The question default.
+ * @param {string} [context.issue] - The issue with the previous answer, if any.
+ * @param {Array<object>} [context.options] - The normalized options offered to the user.
+ * @param {string} [context.prompt] - The interpolated prompt. Defaults to the question `prompt`.
+ * @returns {object} The question interaction.
+ * @private
+ */
+const questionInteraction = (q, context = {}) => {
+  const { issue, options } = context
+  let { defaultValue } = context
+  if (options !== undefined && defaultValue !== undefined) {
+    const label = (value) =>
+      options.find((option) => option.value === value)?.label ?? value
+    defaultValue = Array.isArray(defaultValue)
+      ? defaultValue.map(label)
+      : label(defaultValue)
+  }
+
+  const interaction = {
+    kind       : 'question',
+    parameter  : q.parameter,
+    prompt     : context.prompt ?? q.prompt,
+    type       : q.type,
+    default    : defaultValue,
+    multiValue : q.multiValue === true,
+  }
+  for (const field of [
+    'editor',
+    'multiline',
+    'outputOptions',
+    'secret',
+    'separator',
+  ]) {
+    if (q[field] !== undefined) {
+      interaction[field] = q[field]
+    }
+  }
+  if (options !== undefined) {
+    interaction.options = options.map(({ label }) => label)
+    if (options.some(({ description }) => description !== undefined)) {
+      interaction.descriptions = options.map(({ description }) => description)
+    }
+    if (q.allowOther === true) {
+      interaction.allowOther = true
+      interaction.options.push(OTHER_LABEL)
+      interaction.descriptions?.push(undefined)
+    }
+  }
+  if (q.secret === true && defaultValue !== undefined) {
+    interaction.default = SECRET_MASK
+  }
+  if (issue !== undefined) {
+    interaction.issue = issue
+  }
+
+  return interaction
+}
+
+/**
+ * Determines whether an answer to an options question is search text rather than a selection. Text which matches a
+ * single option selects it, but text which fuzzily matches any number of options lists those options so the user can
+ * pick from them. `multiValue` and `allowOther` questions treat unmatched text as a selection (which is rejected) or
+ * other value, respectively.
+ * @param {object} q - The question action.
+ * @param {string} answer - The answer.
+ * @param {Array<object>} [options] - The normalized options offered to the user.
+ * @returns {boolean} True if the answer is search text.
+ * @private
+ */
+const isSearch = (q, answer, options) =>
+  options !== undefined
+  && q.multiValue !== true
+  && q.allowOther !== true
+  && !['', '-'].includes(answer)
+  && !/^\d+$/.test(answer)
+  && matchOptions(answer, options).length !== 1
+  && filterOptions(
+    answer,
+    options.map(({ label }) => label)
+  ).length > 0
+
+/**
+ * Determines which options to list for an options question. Options are listed a page at a time when there are more
+ * than fit on one page, and only those matching the `filter`, if any, are listed.
+ * @param {Array<*>} labels - The option labels.
+ * @param {object} context - The listing context.
+ * @param {string} [context.filter] - The search text, if any.
+ * @param {number} context.page - The zero based page number, which wraps around to the first page.
+ * @param {number} context.pageSize - The number of options per page.
+ * @returns {object} The listing fields for the question interaction, if any: `listed` (the indexes of the options to
+ *   list), `page` and `pageCount` (for paginated listings), and `filter`.
+ * @private
+ */
+const listOptions = (labels, { filter, page, pageSize }) => {
+  const candidates =
+    filter === undefined
+      ? labels.map((label, i) => i)
+      : filterOptions(filter, labels)
+  const pageCount = Math.ceil(candidates.length / pageSize)
+  const listing = {}
+  if (pageCount > 1) {
+    page = page % pageCount
+    listing.page = page + 1
+    listing.pageCount = pageCount
+  }
+  else {
+    page = 0
+  }
+  if (filter !== undefined) {
+    listing.filter = filter
+  }
+  if (listing.page !== undefined || filter !== undefined) {
+    listing.listed = candidates.slice(page * pageSize, (page + 1) * pageSize)
+  }
+
+  return listing
+}
+
+/**
+ * Determines whether a question is answered by selecting from options, either given or from an `optionsSource`.
+ * @param {object} q - The question action.
+ * @returns {boolean} True if the question is an options question.
+ * @private
+ */
+const isOptionsQuestion = (q) =>
+  q.options !== undefined || q.optionsSource !== undefined
+
+/**
+ * Determines whether a question type is the 'path' type.
+ * @param {string|Function} [type] - The question type.
+ * @param {object} [types] - The custom type registry.
+ * @returns {boolean} True if the type is 'path'.
+ * @private
+ */
+const isPathType = (type, types) => {
+  try {
+    return translateType(type, { types }) === PathString
+  }
+  catch (e) {
+    return false // invalid types are caught when the questioner is created
+  }
+}
+
+/**
+ * Converts the string values of a 'date' or 'datetime' result back to `Date` objects. For repeating groups, the
+ * item record values are converted according to the group action settings.
+ * @param {object} result - The result.
+ * @param {object} [types] - The custom type registry.
+ * @returns {*} The result value with any dates revived.
+ * @private
+ */
+const reviveDates = (result, types) => {
+  const { repeat, type, value } = result
+  if (repeat !== undefined) {
+    const settings = repeat.flatMap((action) => action.maps || [action])
+
+    return Array.isArray(value)
+      ? value.map((record) =>
+        settings.reduce(
+          (acc, setting) => {
+            if (Object.hasOwn(acc, setting.parameter)) {
+              acc[setting.parameter] = reviveDates(
+                { type : setting.type, value : acc[setting.parameter] },
+                types
+              )
+            }
+
+            return acc
+          },
+          { ...record }
+        ))
+      : value
+  }
+
+  let typeFunc
+  try {
+    typeFunc = translateType(type, { types })
+  }
+  catch (e) {
+    return value // unrecognized types are left as is
+  }
+  if (typeFunc !== DateString && typeFunc !== DateTimeString) {
+    return value
+  }
+
+  const revive = (v) => (typeof v === 'string' ? new Date(v) : v)
+
+  return Array.isArray(value) ? value.map(revive) : revive(value)
+}
+
+/**
+ * Splits a multi-value answer on the question separator.
+ * @param {object} q - The question.
+ * @param {string} answer - The answer to split.
+ * @returns {Array<string>} The individual answers.
+ * @private
+ */
+const splitAnswer = (q, answer) => {
+  // if the user defines a separator, it may contain RE special characters we need to escape
+  const separator =
+    q.separator?.replaceAll(
+      /(\.|\+|\*|\?|\^|\$|\||\(|\)|\{|\}|\[|\]|\\)/g,
+      '\\$1'
+    ) || ','
+
+  return answer.split(new RegExp(`\\s*${separator}\\s*`))
+}
+
+/**
+ * Counts the terminal lines taken up by rendered text, allowing for lines wrapped at the output width.
+ * @param {string} text - The text, which may include magic-print markup.
+ * @param {number} [width] - The output width, if known.
+ * @returns {number} The number of complete lines.
+ * @private
+ */
+const countLines = (text, width) => {
+  const lines = text.replaceAll(/<[a-z0-9]+>/g, '').split('\n')
+  lines.pop() // only count complete lines
+
+  return lines.reduce(
+    (count, line) =>
+      count + (width > 0 ? Math.max(1, Math.ceil(line.length / width)) : 1),
+    0
+  )
+}
+
+/**
+ * Determines whether any of an action's expressions reference any of the given parameters.
+ * @param {object} action - The action.
+ * @param {Set<string>} parameters - The parameters to check for.
+ * @returns {boolean} True if the action depends on any of the parameters.
+ * @private
+ */
+const dependsOn = (action, parameters) =>
+  [
+    action.condition,
+    action.elseSource,
+    action.optionsSource,
+    action.while,
+    ...(action.options?.map((option) => option?.condition) || []),
+    ...(action.maps?.map(({ source }) => source) || []),
+  ].some(
+    (expression) =>
+      expression !== undefined
+      && referencedParameters(expression).some((parameter) =>
+        parameters.has(parameter.split('.')[0]))
+  ) || action.repeat?.some((member) => dependsOn(member, parameters)) === true
+
+/**
+ * Lists an action along with the actions of a repeating group.
+ * @param {object} action - The action.
+ * @returns {Array<object>} The action followed by its group actions, if any.
+ * @private
+ */
+const withGroupActions = (action) => [action, ...(action.repeat || [])]
+
+/**
+ * Clears the disposition and previous answer of a repeating group's actions so they're fresh for the next item.
+ * @param {Array<object>} actions - The group actions.
+ * @private
+ */
+const clearActionState = (actions) => {
+  for (const action of actions) {
+    delete action.disposition
+    delete action.rawAnswer
+  }
+}
+
+/**
+ * Creates the record of a repeating group item from the item results.
+ * @param {Array<object>} results - The item results.
+ * @returns {object} The parameter values set by the item. Unset (`undefined`) values are omitted.
+ * @private
+ */
+const itemRecord = (results) =>
+  results.reduce((acc, { parameter, value }) => {
+    if (value !== undefined) {
+      acc[parameter] = value
+    }
+
+    return acc
+  }, {})
+
+/**
+ * Masks the values of `secret` questions in a repeating group's item records.
+ * @param {object} group - The group action.
+ * @param {Array<object>} records - The item records.
+ * @returns {Array<object>} Copies of the records with the secret values masked.
+ * @private
+ */
+const maskItemSecrets = (group, records) => {
+  const secrets = group.repeat
+    .filter(({ secret }) => secret === true)
+    .map(({ parameter }) => parameter)
+
+  return records.map((record) => {
+    const masked = { ...record }
+    for (const parameter of secrets) {
+      if (Object.hasOwn(masked, parameter)) {
+        masked[parameter] = SECRET_MASK
+      }
+    }
+
+    return masked
+  })
+}
+
 const verifyAnswerForm = ({ type, input, _throw, ...paramOptions }) => {
   const options = Object.assign({ name : paramOptions.parameter }, paramOptions)
   delete options.parameter
@@ -767,4 +2376,10 @@ const verifyAnswerForm = ({ type, input, _throw, ...paramOptions }) => {
   }
 }
 
-export { Questioner, ANSWERED, CONDITION_SKIPPED, DEFINED_SKIPPED }
+export {
+  Questioner,
+  ANSWERED,
+  CONDITION_SKIPPED,
+  DEFINED_SKIPPED,
+  interrogationBundleSchema
+}
@@ -0,0 +1,332 @@
+/**
+ * Renderers format the interactions for the terminal interface provided by `Questioner.question()`. A renderer is an
+ * object with `issue`, `question`, `review`, `selection`, and `statement` methods. Each method is passed the
+ * interaction (see `Questioner.next()`) and a context object with:
+ * - `width`: the output width, if known, and
+ * - `write({ options, text })`: writes text to the output, optionally with magic-print output options.
+ *
+ * `selection` renders an options question in TTY mode and is called each time the selection changes. Its context also
+ * has the `cursor` (the index of the highlighted option) and `selected` (the selected option indexes). When the list
+ * scrolls or is being searched, the context has the `listed` option indexes to draw, the `total` number of options
+ * which could be listed, and the search text as the `filter`. The previous rendering is erased before each call.
+ */
+import columns from 'cli-columns'
+import { BooleanString } from 'string-input'
+
+import {
+  DateString,
+  Duration,
+  formatDate,
+  formatDateTime,
+  formatDuration
+} from './lib/time-types'
+import { translateType } from './lib/translate-type'
+
+/**
+ * Translates an interaction type into a built-in type function.
+ * @param {string|Function} [type] - The interaction type.
+ * @returns {Function|undefined} The type function or `undefined` for custom (registered) types, which are displayed
+ *   as is.
+ * @private
+ */
+const builtInType = (type) => {
+  try {
+    return translateType(type)
+  }
+  catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * Renders the user's answer hint for a free-form question; e.g., '[y/n]' or '[default|-]'.
+ * @param {object} interaction - The question interaction.
+ * @returns {string} The hint, which may be empty.
+ * @private
+ */
+const answerHint = (interaction) => {
+  const { default: defaultValue, type } = interaction
+  const isBool = builtInType(type) === BooleanString
+  if (defaultValue !== undefined) {
+    return isBool === true
+      ? '[' + (defaultValue === true ? 'Y/n|-' : 'y/N|-') + ']'
+      : `[${displayValue(defaultValue, type)}|-]`
+  }
+
+  return isBool === true ? '[y/n]' : ''
+}
+
+/**
+ * Formats a value for display. Dates and durations are formatted according to their type, records (like the items of
+ * a repeating group) are listed as '{field: value, ...}', and other values are displayed as is.
+ * @param {*} value - The value to format.
+ * @param {string|Function} [type] - The parameter type.
+ * @returns {string} The formatted value.
+ * @private
+ */
+const displayValue = (value, type) => {
+  if (Array.isArray(value)) {
+    return value.map((v) => displayValue(v, type)).join(',')
+  }
+  else if (
+    value !== null
+    && typeof value === 'object'
+    && !(value instanceof Date)
+  ) {
+    const fields = Object.entries(value).map(
+      ([field, fieldValue]) => `${field}: ${displayValue(fieldValue)}`
+    )
+
+    return '{' + fields.join(', ') + '}'
+  }
+
+  const typeFunc = builtInType(type)
+  if (value instanceof Date) {
+    return typeFunc === DateString ? formatDate(value) : formatDateTime(value)
+  }
+  else if (typeFunc === Duration && typeof value === 'number') {
+    return formatDuration(value)
+  }
+
+  return '' + value
+}
+
+/**
+ * Renders an option description to follow the option label.
+ * @param {string} [description] - The option description, if any.
+ * @returns {string} The description text, which may be empty.
+ * @private
+ */
+const describe = (description) =>
+  description === undefined ? '' : ' - ' + description
+
+/**
+ * Renders the question prompt.
+ * @param {object} interaction - The question interaction.
+ * @param {Function} listOptions - Function which renders the numbered options as a list.
+ * @returns {string} The prompt.
+ * @private
+ */
+const questionText = (interaction, listOptions) => {
+  const {
+    default: defaultValue,
+    descriptions,
+    editor,
+    filter,
+    listed,
+    multiline,
+    multiValue,
+    options,
+    page,
+    pageCount,
+    separator,
+  } = interaction
+  let { prompt } = interaction
+  if (options === undefined) {
+    let hint
+    if (prompt.match(/\[[^]+\] *$/m)) {
+      // do we already have a hint?
+      hint = prompt.replace(/.+(\[[^]+\]) *$/, '$1')
+      prompt = prompt.replace(/(.+?)\s*\[[^]+\] *$/, '$1') // we're going to add the hint back in a bit
+    }
+    else {
+      hint = answerHint(interaction)
+    }
+
+    // the '\n' puts the input cursor below the prompt for consistency
+    prompt += '\n' + (hint === '' ? '' : hint + ' ')
+  }
+  else {
+    // the question has defined options
+    prompt += '\n'
+    if (defaultValue !== undefined) {
+      prompt += '[' + defaultValue + ']\n'
+    }
+    const items = (listed ?? options.map((o, i) => i)).map(
+      (i) => i + 1 + ') ' + options[i] + describe(descriptions?.[i])
+    )
+    // descriptions don't fit in columns
+    prompt +=
+      '\n'
+      + (descriptions === undefined ? listOptions(items) : items.join('\n'))
+      + '\n'
+    if (filter !== undefined) {
+      prompt += `\nShowing the options matching '${filter}'.`
+    }
+    if (pageCount !== undefined) {
+      prompt +=
+        (filter === undefined ? '\n' : ' ')
+        + `Page ${page} of ${pageCount}; enter '>' for the next page.`
+    }
+    if (listed !== undefined) {
+      prompt += ' Enter part of an option to search.\n'
+    }
+  }
+
+  if (multiValue === true) {
+    const sepDesc = separator === undefined ? 'comma' : `"${separator}'`
+    prompt += `\nEnter one or more ${sepDesc} separated ${options ? 'selections' : 'values'}.\n`
+  }
+  if (editor === true) {
+    prompt += '\n(Opening your editor; save and close the file to continue.)\n'
+  }
+  else if (multiline === true) {
+    prompt += "\nEnter '.' on a line by itself to finish.\n"
+  }
+
+  return prompt
+}
+
+/**
+ * Renders the review items and prompt. If there's an issue with the previous response, the items are still on screen
+ * and only the prompt is rendered.
+ * @param {object} interaction - The review interaction.
+ * @param {object} markup - Functions which mark up the header, parameter names, and values.
+ * @returns {string} The review text.
+ * @private
+ */
+const reviewText = (interaction, markup) => {
+  const { issue, items, reviewType } = interaction
+  const { em, h2, strong } = markup
+  let text = ''
+  if (issue === undefined) {
+    const sOrNot = items.length > 1 ? 's' : ''
+    text +=
+      h2(
+        `Review ${items.length} ${reviewType === 'all' ? 'value' : 'answer'}${sOrNot}:`
+      ) + '\n'
+    items.forEach(({ parameter, prompt, type, value }, i) => {
+      if (i > 0) {
+        text += '\n'
+      }
+
+      text += strong(`${i + 1})`) + ' '
+      if (prompt !== undefined) {
+        text += prompt + '\n'
+      }
+      text += `[${strong(parameter)}]: ${em(displayValue(value, type))}\n`
+    })
+  }
+
+  return text + '\n' + strong('Verified?') + ' [y/n or item numbers to change] '
+}
+
+/**
+ * Renders an options question for keyboard selection.
+ * @param {object} interaction - The question interaction.
+ * @param {object} state - The `cursor` and `selected` option indexes and, for scrolled or searched lists, the
+ *   `listed` option indexes, `total` listable options, and search `filter`.
+ * @param {object} markers - The `cursor`, `selected`, and `unselected` markers and the `strong` markup function.
+ * @returns {string} The selection text.
+ * @private
+ */
+const selectionText = (interaction, state, markers) => {
+  const { descriptions, multiValue, options, prompt } = interaction
+  const { cursor, filter, listed, selected, total } = state
+  const { strong } = markers
+
+  let text =
+    prompt
+    + (multiValue === true
+      ? '\n(Use the arrow keys to move, space to select, and enter to accept.'
+      : '\n(Use the arrow keys to move and enter to select.')
+    + (listed === undefined ? '' : " Type '/' to search.")
+    + ')\n'
+  if (filter !== undefined) {
+    text += `Search: ${filter}\n`
+  }
+  for (const i of listed ?? options.map((option, i) => i)) {
+    const option = options[i]
+    const isCursor = i === cursor
+    let line = isCursor === true ? markers.cursor + ' ' : '  '
+    if (multiValue === true) {
+      line +=
+        (selected.includes(i) ? markers.selected : markers.unselected) + ' '
+    }
+    line += option + describe(descriptions?.[i])
+    text += (isCursor === true ? strong(line) : line) + '\n'
+  }
+  if (listed !== undefined && listed.length < total) {
+    text += `(${listed.length} of ${total} options shown)\n`
+  }
+  else if (total === 0) {
+    text += '(No options match.)\n'
+  }
+
+  return text
+}
+
+/**
+ * The default renderer, which formats the interactions using [magic-print](https://github.com/liquid-labs/magic-print)
+ * markup.
+ */
+const defaultRenderer = {
+  issue : ({ issue, outputOptions }, { write }) =>
+    write({ options : outputOptions, text : `<warn>${issue}<rst>\n` }),
+  question : (interaction, { width, write }) =>
+    write({
+      options : interaction.outputOptions,
+      text :
+        '\n'
+        + questionText(interaction, (options) => columns(options, { width })),
+    }),
+  review : (interaction, { write }) =>
+    write({
+      options : { hangingIndent : 2 },
+      text    : reviewText(interaction, {
+        em     : (text) => `<em>${text}<rst>`,
+        h2     : (text) => `<h2>${text}<rst>`,
+        strong : (text) => `<bold>${text}<rst>`,
+      }),
+    }),
+  selection : (interaction, { write, ...state }) =>
+    write({
+      options : interaction.outputOptions,
+      text :
+        '\n'
+        + selectionText(interaction, state, {
+          cursor     : '❯',
+          selected   : '◉',
+          unselected : '◯',
+          strong     : (text) => `<bold>${text}<rst>`,
+        }),
+    }),
+  statement : ({ outputOptions, text }, { write }) =>
+    write({ options : outputOptions, text }),
+}
+
+const noMarkup = (text) => text
+
+/**
+ * A renderer which produces plain text with no markup and lists options one per line. Bundle `outputOptions` are
+ * ignored, but note that any markup in the bundle's own text (e.g., statements) is passed through as is.
+ */
+const plainTextRenderer = {
+  issue    : ({ issue }, { write }) => write({ text : issue + '\n' }),
+  question : (interaction, { write }) =>
+    write({
+      text : '\n' + questionText(interaction, (options) => options.join('\n')),
+    }),
+  review : (interaction, { write }) =>
+    write({
+      text : reviewText(interaction, {
+        em     : noMarkup,
+        h2     : noMarkup,
+        strong : noMarkup,
+      }),
+    }),
+  selection : (interaction, { write, ...state }) =>
+    write({
+      text :
+        '\n'
+        + selectionText(interaction, state, {
+          cursor     : '>',
+          selected   : '[x]',
+          unselected : '[ ]',
+          strong     : noMarkup,
+        }),
+    }),
+  statement : ({ text }, { write }) => write({ text }),
+}
+
+export { defaultRenderer, plainTextRenderer }
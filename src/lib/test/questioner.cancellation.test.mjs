@@ -0,0 +1,173 @@
+/* global beforeEach describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { QuestioningCancelledError } from '../errors'
+import { Questioner } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - cancellation', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  const interactions = [
+    { prompt : 'Q1', parameter : 'V1' },
+    { prompt : 'Q2', parameter : 'V2' },
+    { review : 'questions' },
+  ]
+
+  let openInterfaces
+  // Answers with each answer in turn. An answer may be a function, which is called with the readline interface
+  // handlers and returns the read result. Once the answers run out, the input ends.
+  const mockAnswers = (answers) => {
+    let readCount = 0
+    readline.createInterface.mockImplementation(() => {
+      const handlers = {}
+      const rl = {
+        [Symbol.asyncIterator] : () => ({
+          next : async () => {
+            const answer = answers[readCount++]
+            if (answer === undefined) {
+              return { done : true }
+            }
+
+            return typeof answer === 'function'
+              ? answer(handlers)
+              : { value : answer }
+          },
+        }),
+        close : () => openInterfaces.delete(rl),
+        on    : (event, handler) => {
+          handlers[event] = handler
+        },
+      }
+      openInterfaces.add(rl)
+
+      return rl
+    })
+  }
+
+  const catchCancellation = async (questioner, options) => {
+    try {
+      await questioner.question(options)
+    }
+    catch (e) {
+      return e
+    }
+    throw new Error('Questioning was not cancelled')
+  }
+
+  // never resolves, so only a cancellation ends the read
+  const hang = () => new Promise(() => undefined)
+
+  beforeEach(() => {
+    stringOut.reset()
+    openInterfaces = new Set()
+  })
+
+  test.each([
+    ['a question', ['foo'], ['V1']],
+    ['a review', ['foo', 'bar'], ['V1', 'V2']],
+  ])(
+    'end of input during %s raises a QuestioningCancelledError',
+    async (desc, answers, answered) => {
+      mockAnswers(answers)
+
+      const questioner = new Questioner({ interactions, output })
+      const error = await catchCancellation(questioner)
+
+      expect(error).toBeInstanceOf(QuestioningCancelledError)
+      expect(error.reason).toBe('eof')
+      expect(error.message).toMatch(/input ended/)
+      expect(error.results.map(({ parameter }) => parameter)).toEqual(answered)
+      expect(openInterfaces.size).toBe(0)
+    }
+  )
+
+  test('aborting the signal cancels questioning', async () => {
+    const controller = new AbortController()
+    mockAnswers([
+      'foo',
+      () => {
+        controller.abort('changed my mind')
+
+        return hang()
+      },
+    ])
+
+    const questioner = new Questioner({ interactions, output })
+    const error = await catchCancellation(questioner, {
+      signal : controller.signal,
+    })
+
+    expect(error.reason).toBe('aborted')
+    expect(error.cause).toBe('changed my mind')
+    expect(error.results).toHaveLength(1)
+    expect(openInterfaces.size).toBe(0)
+  })
+
+  test('an already aborted signal cancels questioning before the first question', async () => {
+    mockAnswers([])
+
+    const questioner = new Questioner({ interactions, output })
+    const error = await catchCancellation(questioner, {
+      signal : AbortSignal.abort(),
+    })
+
+    expect(error.reason).toBe('aborted')
+    expect(error.results).toEqual([])
+    expect(stringOut.string).toBe('')
+  })
+
+  test('SIGINT cancels questioning', async () => {
+    const sigintListeners = process.listenerCount('SIGINT')
+    mockAnswers([
+      () => {
+        process.emit('SIGINT')
+
+        return hang()
+      },
+    ])
+
+    const questioner = new Questioner({ interactions, output })
+    const error = await catchCancellation(questioner)
+
+    expect(error.reason).toBe('interrupted')
+    expect(process.listenerCount('SIGINT')).toBe(sigintListeners)
+    expect(openInterfaces.size).toBe(0)
+  })
+
+  test('SIGINT captured by readline cancels questioning', async () => {
+    mockAnswers([
+      (handlers) => {
+        handlers.SIGINT()
+
+        return hang()
+      },
+    ])
+
+    const questioner = new Questioner({ interactions, output })
+    const error = await catchCancellation(questioner)
+
+    expect(error.reason).toBe('interrupted')
+  })
+
+  test('a cancelled interview can be resumed from its snapshot', async () => {
+    mockAnswers(['foo'])
+    const questioner = new Questioner({ interactions, output })
+    await catchCancellation(questioner)
+
+    mockAnswers(['bar', 'y'])
+    const resumed = new Questioner({
+      interactions,
+      output,
+      snapshot : questioner.snapshot,
+    })
+    await resumed.question()
+
+    expect(resumed.values).toEqual({ V1 : 'foo', V2 : 'bar' })
+  })
+})
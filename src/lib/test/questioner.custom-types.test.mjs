@@ -0,0 +1,84 @@
+/* global describe expect test */
+import { Questioner } from '../questioner'
+
+describe('Questioner - custom types', () => {
+  const port = (input, { name }) => {
+    const value = parseInt(input)
+    if (!(value >= 1 && value <= 65535) || '' + value !== input.trim()) {
+      throw new Error(`'${name}' must be a port number between 1 and 65535.`)
+    }
+
+    return value
+  }
+  const types = { port }
+
+  const interactions = [
+    { prompt : 'Port?', parameter : 'PORT', type : 'port', default : '8080' },
+    { review : 'questions' },
+  ]
+
+  const answerAll = async (questioner, answers) => {
+    let interaction = await questioner.next()
+    while (interaction !== undefined) {
+      await questioner.answer(answers.shift())
+      interaction = await questioner.next()
+    }
+  }
+
+  test('parses answers with the registered type', async () => {
+    const questioner = new Questioner({ interactions, types })
+    const question = await questioner.next()
+    expect(question).toMatchObject({ type : 'port', default : 8080 })
+
+    await questioner.answer('443')
+    await questioner.next()
+    await questioner.answer('y')
+
+    expect(questioner.get('PORT')).toBe(443)
+    expect(questioner.results[0]).toMatchObject({ type : 'port', value : 443 })
+  })
+
+  test('re-asks the question when the type throws', async () => {
+    const questioner = new Questioner({ interactions, types })
+    await questioner.next()
+
+    expect(await questioner.answer('http')).toEqual({
+      accepted : false,
+      issue    : "'PORT' must be a port number between 1 and 65535.",
+    })
+    expect(await questioner.next()).toMatchObject({
+      prompt : 'Port?',
+      issue  : "'PORT' must be a port number between 1 and 65535.",
+    })
+
+    await answerAll(questioner, ['22', 'y'])
+    expect(questioner.get('PORT')).toBe(22)
+  })
+
+  test('verifies initial parameters with the registered type', () =>
+    expect(
+      () =>
+        new Questioner({
+          initialParameters : { PORT : 'http' },
+          interactions,
+          types,
+        })
+    ).toThrow(/must be a port number/))
+
+  test('rejects bundles using unregistered types', () =>
+    expect(() => new Questioner({ interactions })).toThrow(
+      /Invalid parameter type 'port'/
+    ))
+
+  test('custom types survive snapshots', async () => {
+    const questioner = new Questioner({ interactions, types })
+    await questioner.next()
+    await questioner.answer('443')
+
+    const snapshot = JSON.parse(JSON.stringify(questioner.snapshot))
+    const resumed = new Questioner({ interactions, snapshot, types })
+    await answerAll(resumed, ['y'])
+
+    expect(resumed.get('PORT')).toBe(443)
+  })
+})
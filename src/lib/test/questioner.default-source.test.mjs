@@ -0,0 +1,233 @@
+/* global describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { UnresolvedParametersError } from '../errors'
+import { Questioner } from '../questioner'
+import { plainTextRenderer } from '../renderers'
+
+jest.mock('node:readline')
+
+describe('Questioner - computed defaults', () => {
+  const displayNameIB = [
+    { prompt : 'Username?', parameter : 'USERNAME' },
+    {
+      prompt    : 'Display name?',
+      parameter : 'DISPLAY_NAME',
+      defaultSource :
+        'upper(substring(USERNAME, 0, 1)) + substring(USERNAME, 1)',
+    },
+  ]
+
+  test.each([
+    ['int', 'CPU_COUNT * 2', 8],
+    ['numeric', 'CPU_COUNT / 8', 0.5],
+    ['bool', 'CPU_COUNT > 2', true],
+    [undefined, "'workers-' + CPU_COUNT", 'workers-4'],
+  ])(
+    "a '%s' question's default is the result of '%s'",
+    async (type, defaultSource, expected) => {
+      const questioner = new Questioner({
+        initialParameters : { CPU_COUNT : 4 },
+        interactions      : [
+          { prompt : 'Workers?', parameter : 'WORKERS', type, defaultSource },
+        ],
+      })
+
+      expect((await questioner.next()).default).toBe(expected)
+      await questioner.answer('')
+      expect(questioner.get('WORKERS')).toBe(expected)
+    }
+  )
+
+  test('the default is derived from earlier answers when the question is asked', async () => {
+    const questioner = new Questioner({ interactions : displayNameIB })
+    await questioner.next()
+    await questioner.answer('kim')
+    expect((await questioner.next()).default).toBe('Kim')
+
+    await questioner.answer('<')
+    await questioner.answer('lee')
+    expect((await questioner.next()).default).toBe('Lee')
+  })
+
+  test('a previous answer takes precedence over the computed default', async () => {
+    const questioner = new Questioner({
+      interactions : [...displayNameIB, { prompt : 'Team?', parameter : 'TEAM' }],
+    })
+    await questioner.next()
+    await questioner.answer('kim')
+    await questioner.next()
+    await questioner.answer('K. Smith')
+    await questioner.next()
+    await questioner.answer('<')
+
+    expect((await questioner.next()).default).toBe('K. Smith')
+  })
+
+  test('the default may select an option', async () => {
+    const questioner = new Questioner({
+      initialParameters : { NODES : 12 },
+      interactions      : [
+        {
+          prompt    : 'Cluster size?',
+          parameter : 'SIZE',
+          options   : [
+            { label : 'Small', value : 'small' },
+            { label : 'Large', value : 'large' },
+          ],
+          defaultSource : "NODES > 10 ? 'large' : 'small'",
+        },
+      ],
+    })
+
+    expect((await questioner.next()).default).toBe('Large')
+  })
+
+  test('a computed default which fails validation is not offered', async () => {
+    const questioner = new Questioner({
+      initialParameters : { USERNAME : 'kim' },
+      interactions      : [
+        {
+          prompt        : 'Admin account?',
+          parameter     : 'ADMIN',
+          defaultSource : "USERNAME + '-admin'",
+          maxLength     : 5,
+        },
+      ],
+    })
+
+    expect((await questioner.next()).default).toBe(undefined)
+  })
+
+  describe('when the expression refers to a skipped question', () => {
+    const skippedIB = [
+      { prompt : 'Use a database?', parameter : 'USE_DB', type : 'bool' },
+      { prompt : 'Database?', parameter : 'DB', condition : 'USE_DB' },
+      { prompt : 'Port?', parameter : 'PORT', type : 'int', condition : 'USE_DB' },
+      {
+        prompt        : 'Schema?',
+        parameter     : 'SCHEMA',
+        defaultSource : "lower(DB) + '_schema'",
+      },
+      {
+        prompt        : 'Pool size?',
+        parameter     : 'POOL',
+        type          : 'int',
+        defaultSource : 'PORT / 1000',
+      },
+    ]
+
+    test('no default is offered', async () => {
+      const questioner = new Questioner({ interactions : skippedIB })
+      await questioner.next()
+      await questioner.answer('n')
+
+      expect(await questioner.next()).toMatchObject({
+        prompt  : 'Schema?',
+        default : undefined,
+      })
+      await questioner.answer('public')
+      expect(await questioner.next()).toMatchObject({
+        prompt  : 'Pool size?',
+        default : undefined,
+      })
+    })
+
+    test('the question is reported as missing in non-interactive mode', async () => {
+      const questioner = new Questioner({
+        initialParameters : { USE_DB : false },
+        interactions      : skippedIB,
+        nonInteractive    : true,
+      })
+      const error = await questioner.question().catch((e) => e)
+
+      expect(error).toBeInstanceOf(UnresolvedParametersError)
+      expect(
+        error.issues.map(({ kind, parameter }) => [kind, parameter])
+      ).toEqual([
+        ['missing', 'SCHEMA'],
+        ['missing', 'POOL'],
+      ])
+    })
+  })
+
+  describe('non-interactive mode', () => {
+    test('resolves the question with the computed default', async () => {
+      const questioner = new Questioner({
+        initialParameters : { USERNAME : 'kim' },
+        interactions      : displayNameIB,
+        nonInteractive    : true,
+      })
+      await questioner.question()
+
+      expect(questioner.get('DISPLAY_NAME')).toBe('Kim')
+    })
+
+    test('reports computed defaults which fail validation', async () => {
+      const questioner = new Questioner({
+        initialParameters : { USERNAME : 'kim' },
+        interactions      : [
+          {
+            prompt        : 'Admin account?',
+            parameter     : 'ADMIN',
+            defaultSource : "USERNAME + '-admin'",
+            maxLength     : 5,
+          },
+        ],
+        nonInteractive : true,
+      })
+
+      await expect(questioner.question()).rejects.toThrow(
+        /'kim-admin' may be no more than 5 characters long/
+      )
+    })
+  })
+
+  test("the default is shown in the terminal '[default|-]' hint", async () => {
+    const stringOut = new StringOut()
+    const answers = ['kim', '']
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : answers.shift() }),
+      }),
+      close : () => undefined,
+    }))
+    const questioner = new Questioner({
+      interactions : displayNameIB,
+      output       : { write : getPrinter({ out : stringOut }) },
+      renderer     : plainTextRenderer,
+    })
+    await questioner.question()
+
+    expect(stringOut.string).toMatch(/Display name\?\s+\[Kim\|-\]/)
+    expect(questioner.get('DISPLAY_NAME')).toBe('Kim')
+  })
+
+  test.each([
+    [
+      "both a 'default' and 'defaultSource'",
+      [{ prompt : 'Q?', parameter : 'Q', default : 'a', defaultSource : "'b'" }],
+      /is invalid at '\/0'; may not define both 'default' and 'defaultSource'/,
+    ],
+    [
+      "a malformed numeric 'defaultSource'",
+      [
+        {
+          prompt        : 'Q?',
+          parameter     : 'Q',
+          type          : 'int',
+          defaultSource : 'CPU_COUNT +* 2',
+        },
+      ],
+      /is invalid at '\/0\/defaultSource'; Invalid expression/,
+    ],
+    [
+      "a malformed string 'defaultSource'",
+      [{ prompt : 'Q?', parameter : 'Q', defaultSource : "lower('b'" }],
+      /is invalid at '\/0\/defaultSource'; Invalid string expression/,
+    ],
+  ])('rejects questions with %s', (desc, interactions, expected) =>
+    expect(() => new Questioner({ interactions })).toThrow(expected))
+})
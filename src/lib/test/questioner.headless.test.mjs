@@ -0,0 +1,174 @@
+/* global describe expect jest test */
+import * as readline from 'node:readline'
+
+import { OperationNotPermittedError } from 'standard-error-set'
+
+import { Questioner } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - headless', () => {
+  readline.createInterface.mockImplementation(() => {
+    throw new Error('Unexpected read')
+  })
+
+  const interactions = [
+    { statement : 'Hi!', outputOptions : { indent : 2 } },
+    { prompt : 'Q1', parameter : 'V1', default : 'foo' },
+    { prompt : 'Q2', parameter : 'V2', type : 'int' },
+    { maps : [{ parameter : 'V2X2', source : 'V2 * 2', type : 'int' }] },
+    { review : 'all' },
+  ]
+
+  test('steps through the interview', async () => {
+    const questioner = new Questioner({ interactions })
+
+    expect(await questioner.next()).toEqual({
+      kind          : 'statement',
+      text          : 'Hi!',
+      outputOptions : { indent : 2 },
+    })
+    expect(await questioner.next()).toEqual({
+      kind       : 'question',
+      parameter  : 'V1',
+      prompt     : 'Q1',
+      type       : undefined,
+      default    : 'foo',
+      multiValue : false,
+    })
+    expect(await questioner.answer('')).toEqual({ accepted : true })
+    expect(await questioner.next()).toMatchObject({
+      kind      : 'question',
+      parameter : 'V2',
+      type      : 'int',
+    })
+    expect(await questioner.answer('5')).toEqual({ accepted : true })
+    expect(await questioner.next()).toEqual({
+      kind       : 'review',
+      reviewType : 'all',
+      items      : [
+        { parameter : 'V1', prompt : 'Q1', value : 'foo', derived : false },
+        {
+          parameter : 'V2',
+          prompt    : 'Q2',
+          type      : 'int',
+          value     : 5,
+          derived   : false,
+        },
+        { parameter : 'V2X2', type : 'int', value : 10, derived : true },
+      ],
+    })
+    expect(await questioner.answer('y')).toEqual({ accepted : true })
+    expect(await questioner.next()).toBe(undefined)
+
+    expect(questioner.values).toEqual({ V1 : 'foo', V2 : 5, V2X2 : 10 })
+  })
+
+  test('returns the pending question until it is answered', async () => {
+    const questioner = new Questioner({ interactions : interactions.slice(1) })
+
+    const first = await questioner.next()
+    first.prompt = 'changed'
+    expect(await questioner.next()).toMatchObject({
+      parameter : 'V1',
+      prompt    : 'Q1',
+    })
+  })
+
+  test('rejects invalid answers with the issue', async () => {
+    const questioner = new Questioner({ interactions : interactions.slice(2) })
+
+    await questioner.next()
+    const { accepted, issue } = await questioner.answer('abc')
+    expect(accepted).toBe(false)
+    expect(issue).toMatch(/'abc' does not appear to be an integer/)
+    expect(await questioner.next()).toMatchObject({ parameter : 'V2', issue })
+
+    expect(await questioner.answer('2')).toEqual({ accepted : true })
+    expect(await questioner.next()).toMatchObject({ kind : 'review' })
+  })
+
+  test('rejects an empty answer to a multi-value question with no options or default', async () => {
+    const questioner = new Questioner({
+      interactions : [{ prompt : 'Tags?', parameter : 'TAGS', multiValue : true }],
+    })
+    await questioner.next()
+
+    expect(await questioner.answer('')).toEqual({
+      accepted : false,
+      issue    : 'No default defined. Please provide a valid answer.',
+    })
+    expect(await questioner.answer('a, b')).toEqual({ accepted : true })
+    expect(questioner.get('TAGS')).toEqual(['a', 'b'])
+  })
+
+  test('rejects answers which do not match a named type', async () => {
+    const questioner = new Questioner({
+      interactions : [{ prompt : 'Email?', parameter : 'EMAIL', type : 'email' }],
+    })
+
+    await questioner.next()
+    expect(await questioner.answer('bob')).toEqual({
+      accepted : false,
+      issue :
+        "Command argument 'EMAIL' with value 'bob' is not a valid email address. Try something like 'name@example.com'.",
+    })
+    expect(await questioner.answer('bob@example.com')).toEqual({
+      accepted : true,
+    })
+    expect(questioner.get('EMAIL')).toBe('bob@example.com')
+  })
+
+  test('rejects invalid review responses with the issue', async () => {
+    const questioner = new Questioner({ interactions : interactions.slice(2) })
+
+    await questioner.next()
+    await questioner.answer('2')
+    await questioner.next()
+    expect(await questioner.answer('2')).toEqual({
+      accepted : false,
+      issue :
+        "Item 2 ('V2X2') is derived from other values and cannot be changed directly.",
+    })
+  })
+
+  test('supports going back and changing reviewed items', async () => {
+    const questioner = new Questioner({ interactions : interactions.slice(1) })
+
+    await questioner.next()
+    await questioner.answer('bar')
+    await questioner.next()
+    expect(await questioner.answer('<')).toEqual({ accepted : true })
+    expect(await questioner.next()).toMatchObject({
+      parameter : 'V1',
+      default   : 'bar',
+    })
+    await questioner.answer('')
+    await questioner.next()
+    await questioner.answer('2')
+    await questioner.next()
+
+    expect(await questioner.answer('2')).toEqual({ accepted : true })
+    expect(await questioner.next()).toMatchObject({
+      parameter : 'V2',
+      default   : 2,
+    })
+    await questioner.answer('3')
+    expect(await questioner.next()).toMatchObject({
+      kind  : 'review',
+      items : [{ value : 'bar' }, { value : 3 }, { value : 6 }],
+    })
+  })
+
+  test('raises an error when answering with nothing pending', async () => {
+    const questioner = new Questioner({ interactions })
+
+    await expect(questioner.answer('foo')).rejects.toThrow(
+      OperationNotPermittedError
+    )
+    await questioner.next() // the statement
+    await expect(questioner.answer('foo')).rejects.toThrow(
+      'There is no pending question or review to answer.'
+    )
+  })
+})
@@ -0,0 +1,187 @@
+/* global describe expect test */
+import { getPrinter, StringOut } from 'magic-print'
+
+import { Questioner } from '../questioner'
+import { interpolationIB } from './test-data'
+
+describe('Questioner - parameter interpolation', () => {
+  test('interpolates prompts, statements, defaults, and options', async () => {
+    const questioner = new Questioner({ interactions : interpolationIB })
+    await questioner.next()
+    await questioner.answer('web')
+
+    expect(await questioner.next()).toMatchObject({
+      kind : 'statement',
+      text : 'Configuring web; use {{NAME}} in templates.',
+    })
+    expect(await questioner.next()).toMatchObject({
+      prompt  : 'Deploy web to which region?',
+      options : ['us-east', 'web local'],
+      default : 'web local',
+    })
+    await questioner.answer('')
+    expect(await questioner.next()).toMatchObject({
+      prompt  : 'Install path?',
+      default : '/srv/web',
+    })
+    await questioner.answer('')
+
+    expect(questioner.values).toEqual({
+      APP_NAME     : 'web',
+      REGION       : 'local-web',
+      INSTALL_PATH : '/srv/web',
+    })
+  })
+
+  test('interpolates the current values when a question is asked again', async () => {
+    const questioner = new Questioner({ interactions : interpolationIB })
+    await questioner.next()
+    await questioner.answer('web')
+    await questioner.next() // the statement
+    await questioner.next()
+    await questioner.answer('<')
+    await questioner.answer('api')
+    await questioner.next()
+
+    expect((await questioner.next()).prompt).toBe('Deploy api to which region?')
+  })
+
+  test('values are not themselves interpolated', async () => {
+    const questioner = new Questioner({
+      initialParameters : { APP_NAME : '{{REGION}}' },
+      interactions      : interpolationIB,
+    })
+    await questioner.next()
+
+    expect((await questioner.next()).prompt).toBe(
+      'Deploy {{REGION}} to which region?'
+    )
+  })
+
+  test('defaults are interpolated in non-interactive mode', async () => {
+    const stringOut = new StringOut()
+    const questioner = new Questioner({
+      initialParameters : { APP_NAME : 'api' },
+      interactions      : interpolationIB,
+      nonInteractive    : true,
+      output            : { write : getPrinter({ out : stringOut }) },
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({
+      APP_NAME     : 'api',
+      REGION       : 'local-api',
+      INSTALL_PATH : '/srv/api',
+    })
+    expect(stringOut.string).toMatch(
+      /Configuring api; use \{\{NAME\}\} in templates\./
+    )
+  })
+
+  test('references may be paths into object parameters', async () => {
+    const questioner = new Questioner({
+      initialParameters : { env : { tags : ['a', 'b'] } },
+      interactions      : [{ prompt : 'Add to {{env.tags}}?', parameter : 'TAG' }],
+    })
+
+    expect((await questioner.next()).prompt).toBe('Add to a, b?')
+  })
+
+  test('group actions may refer to the item values', async () => {
+    const questioner = new Questioner({
+      interactions : [
+        {
+          parameter : 'DATABASES',
+          repeat    : [
+            { prompt : 'Database name?', parameter : 'NAME' },
+            { prompt : 'Port for {{NAME}}?', parameter : 'PORT', type : 'int' },
+          ],
+          max : 1,
+        },
+      ],
+    })
+    await questioner.next()
+    await questioner.answer('users')
+
+    expect((await questioner.next()).prompt).toBe('Port for users?')
+  })
+
+  describe('when a referenced parameter is not set when asked', () => {
+    const conditionalIB = [
+      { prompt : 'Ask name?', parameter : 'ASK', type : 'bool' },
+      { prompt : 'Name?', parameter : 'NAME', condition : 'ASK' },
+      { statement : 'Hello {{NAME}}.' },
+      {
+        prompt    : 'Greeting for {{NAME}}?',
+        parameter : 'GREETING',
+        options   : ['Hi', 'Hi {{NAME}}'],
+      },
+      { prompt : 'Sign-off?', parameter : 'SIGN_OFF', default : 'Bye {{NAME}}' },
+    ]
+
+    test('the reference is empty', async () => {
+      const questioner = new Questioner({ interactions : conditionalIB })
+      await questioner.next()
+      await questioner.answer('n')
+
+      expect(await questioner.next()).toMatchObject({ text : 'Hello .' })
+      expect(await questioner.next()).toMatchObject({
+        prompt  : 'Greeting for ?',
+        options : ['Hi', 'Hi '],
+      })
+    })
+
+    test('a default with the reference is not offered', async () => {
+      const questioner = new Questioner({ interactions : conditionalIB })
+      await questioner.next()
+      await questioner.answer('n')
+      await questioner.next() // the statement
+      await questioner.next()
+      await questioner.answer('1')
+
+      expect(await questioner.next()).toMatchObject({
+        prompt  : 'Sign-off?',
+        default : undefined,
+      })
+    })
+  })
+
+  test.each([
+    [
+      'a parameter which is never set',
+      [{ statement : 'Hello {{NAME}}.' }],
+      /statement 1 'statement' references 'NAME', which is not set by the initial parameters or a preceding action/,
+    ],
+    [
+      'a parameter set by a later action',
+      [
+        { prompt : 'Path?', parameter : 'PATH', default : '/srv/{{APP}}' },
+        { prompt : 'App?', parameter : 'APP' },
+      ],
+      /question 1 'default' references 'APP'/,
+    ],
+    [
+      'a group item value outside the group',
+      [
+        {
+          parameter : 'DATABASES',
+          repeat    : [{ prompt : 'Database name?', parameter : 'NAME' }],
+          max       : 1,
+        },
+        { prompt : 'Use {{NAME}}?', parameter : 'USE' },
+      ],
+      /question 2 'prompt' references 'NAME'/,
+    ],
+    [
+      'an option referencing an undefined parameter',
+      [{ prompt : 'Region?', parameter : 'R', options : ['{{HOME}}'] }],
+      /question 1 'option 1' references 'HOME'/,
+    ],
+    [
+      'a malformed reference',
+      [{ statement : 'Hello {{APP NAME}}.' }],
+      /is invalid at '\/0\/statement'; Malformed parameter reference '\{\{APP NAME\}\}'/,
+    ],
+  ])('rejects bundles with %s', (desc, interactions, expected) =>
+    expect(() => new Questioner({ interactions })).toThrow(expected))
+})
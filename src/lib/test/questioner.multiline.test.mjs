@@ -0,0 +1,187 @@
+/* global afterAll afterEach beforeAll beforeEach describe expect jest test */
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { Questioner } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - multi-line answers', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  const mockLines = (lines) =>
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () =>
+          lines.length === 0 ? { done : true } : { value : lines.shift() },
+      }),
+      close : () => undefined,
+    }))
+
+  beforeEach(() => {
+    readline.createInterface.mockClear()
+    stringOut.reset()
+  })
+
+  describe('multiline', () => {
+    const interactions = [
+      {
+        prompt    : 'Description?',
+        parameter : 'DESCRIPTION',
+        multiline : true,
+        maxLength : 40,
+      },
+    ]
+
+    test('reads lines up to the terminator', async () => {
+      mockLines(['First line.', '', '  Indented line.', '.'])
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('DESCRIPTION')).toBe(
+        'First line.\n\n  Indented line.'
+      )
+      expect(stringOut.string).toMatch(
+        /Enter '\.' on a line by itself to finish\./
+      )
+    })
+
+    test('applies validations to the full text', async () => {
+      mockLines([
+        'This line is short.',
+        'And so is this one, but together...',
+        '.',
+        'Short.',
+        '.',
+      ])
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('DESCRIPTION')).toBe('Short.')
+      expect(stringOut.string).toMatch(/DESCRIPTION/)
+    })
+
+    test('an empty first line accepts the default', async () => {
+      mockLines([''])
+      const questioner = new Questioner({
+        interactions : [{ ...interactions[0], default : 'None.' }],
+        output,
+      })
+      await questioner.question()
+
+      expect(questioner.get('DESCRIPTION')).toBe('None.')
+    })
+
+    test('answers may be given directly', async () => {
+      const questioner = new Questioner({ interactions })
+      expect(await questioner.next()).toMatchObject({ multiline : true })
+
+      await questioner.answer('Line 1\nLine 2\n')
+      expect(questioner.get('DESCRIPTION')).toBe('Line 1\nLine 2')
+    })
+  })
+
+  describe('editor', () => {
+    const interactions = [
+      {
+        prompt    : 'Commit message?',
+        parameter : 'MESSAGE',
+        editor    : true,
+        default   : 'fix: something',
+      },
+    ]
+    const input = { isTTY : true }
+    const env = {}
+    let tmpDir
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qna-editor-'))
+      // a stand in editor which replaces the file with the text given as its first argument; '%' is replaced with the
+      // original text
+      const script = path.join(tmpDir, 'editor.cjs')
+      fs.writeFileSync(
+        script,
+        `const fs = require('node:fs')
+const [text, file] = process.argv.slice(2)
+const original = fs.readFileSync(file, 'utf8')
+fs.writeFileSync(
+  file,
+  text.replaceAll('_', ' ').replaceAll('|', '\\n').replaceAll('%', original)
+)
+`
+      )
+      env.editor = `${process.execPath} ${script}`
+    })
+
+    beforeEach(() => {
+      env.VISUAL = process.env.VISUAL
+      env.EDITOR = process.env.EDITOR
+      delete process.env.VISUAL
+    })
+
+    afterEach(() => {
+      for (const name of ['VISUAL', 'EDITOR']) {
+        if (env[name] === undefined) {
+          delete process.env[name]
+        }
+        else {
+          process.env[name] = env[name]
+        }
+      }
+    })
+
+    afterAll(() => fs.rmSync(tmpDir, { force : true, recursive : true }))
+
+    test('reads the answer from the editor', async () => {
+      process.env.EDITOR = env.editor + ' fix:_the_thing||More_details.'
+      const questioner = new Questioner({ input, interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('MESSAGE')).toBe('fix: the thing\n\nMore details.')
+      expect(readline.createInterface).not.toHaveBeenCalled()
+      expect(stringOut.string).toMatch(/Opening your editor/)
+    })
+
+    test('the editor is pre-filled with the default', async () => {
+      process.env.EDITOR = env.editor + ' %||Signed-off.'
+      const questioner = new Questioner({ input, interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('MESSAGE')).toBe('fix: something\n\nSigned-off.')
+    })
+
+    test('an empty file accepts the default', async () => {
+      process.env.EDITOR = env.editor + ' _'
+      const questioner = new Questioner({ input, interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('MESSAGE')).toBe('fix: something')
+    })
+
+    test('falls back to multi-line entry when there is no editor', async () => {
+      delete process.env.EDITOR
+      mockLines(['fix: typed', 'in', '.'])
+      const questioner = new Questioner({ input, interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('MESSAGE')).toBe('fix: typed\nin')
+      expect(stringOut.string).toMatch(/Enter '\.' on a line by itself/)
+    })
+
+    test('falls back to multi-line entry when the editor fails', async () => {
+      process.env.EDITOR = path.join(tmpDir, 'no-such-editor')
+      mockLines(['fix: typed', '.'])
+      const questioner = new Questioner({ input, interactions, output })
+      await questioner.question()
+
+      expect(questioner.get('MESSAGE')).toBe('fix: typed')
+      expect(stringOut.string).toMatch(/Could not start editor/)
+    })
+  })
+})
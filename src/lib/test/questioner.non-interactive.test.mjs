@@ -0,0 +1,124 @@
+/* global describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { UnresolvedParametersError } from '../errors'
+import { Questioner, ANSWERED, DEFINED_SKIPPED } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - non-interactive', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  readline.createInterface.mockImplementation(() => {
+    throw new Error('Unexpected read')
+  })
+
+  const interactions = [
+    { statement : 'Hi!' },
+    { prompt : 'Q1', parameter : 'V1', type : 'int', default : '5' },
+    { prompt : 'Q2', parameter : 'V2', options : ['a', 'b'], default : 'b' },
+    {
+      prompt     : 'Q3',
+      parameter  : 'V3',
+      multiValue : true,
+      default    : 'x, y',
+    },
+    { maps : [{ parameter : 'V1X2', source : 'V1 * 2', type : 'int' }] },
+    { prompt : 'Q4', parameter : 'V4', type : 'bool' },
+    { review : 'all' },
+  ]
+
+  test('resolves questions from initial parameters and defaults', async () => {
+    const questioner = new Questioner({
+      initialParameters : { V4 : 'yes' },
+      interactions,
+      nonInteractive    : true,
+      output,
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({
+      V1   : 5,
+      V2   : 'b',
+      V3   : ['x', 'y'],
+      V1X2 : 10,
+      V4   : true,
+    })
+    expect(questioner.getResult('V1').disposition).toBe(ANSWERED)
+    expect(questioner.getResult('V4').disposition).toBe(DEFINED_SKIPPED)
+    expect(stringOut.string).toMatch(/Hi!/)
+  })
+
+  test('uses the current value when the question does not skip defined parameters', async () => {
+    const questioner = new Questioner({
+      initialParameters : { V1 : '7', V4 : false },
+      interactions,
+      noSkipDefined     : true,
+      nonInteractive    : true,
+      output,
+    })
+    await questioner.question()
+
+    expect(questioner.values).toMatchObject({ V1 : 7, V1X2 : 14, V4 : false })
+    expect(questioner.getResult('V1').disposition).toBe(ANSWERED)
+  })
+
+  test('reports every missing and invalid parameter', async () => {
+    const questioner = new Questioner({
+      initialParameters : { V2 : 'c' },
+      interactions      : [
+        ...interactions,
+        { prompt : 'Q5', parameter : 'V5', condition : 'V4' },
+        { prompt : 'Q6', parameter : 'V6', type : 'int', default : 'foo' },
+      ],
+      nonInteractive : true,
+      noSkipDefined  : true,
+      output,
+    })
+
+    let error
+    try {
+      await questioner.question()
+    }
+    catch (e) {
+      error = e
+    }
+
+    expect(error).toBeInstanceOf(UnresolvedParametersError)
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.issues).toEqual([
+      {
+        kind      : 'invalid',
+        parameter : 'V2',
+        pointer   : '/2',
+        message   : expect.stringMatching(
+          /'V2'.+'c' is not any of the specified options/
+        ),
+      },
+      {
+        kind      : 'missing',
+        parameter : 'V4',
+        pointer   : '/5',
+        message   : expect.stringMatching(/'V4' has no initial value or default/),
+      },
+      {
+        kind      : 'invalid',
+        parameter : 'V6',
+        pointer   : '/8',
+        message   : expect.stringMatching(
+          /'V6'.+'foo' does not appear to be an integer/
+        ),
+      },
+    ])
+    expect(error.message).toMatch(
+      /^Could not resolve 3 parameters non-interactively:\n- \/2: /
+    )
+    // the question depending on 'V4' is not reported
+    expect(questioner.has('V5')).toBe(false)
+  })
+})
@@ -0,0 +1,511 @@
+/* global beforeEach describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { Questioner } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - option objects', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  const interactions = [
+    { prompt : 'How many regions?', parameter : 'REGION_COUNT', type : 'int' },
+    {
+      prompt    : 'Cloud?',
+      parameter : 'CLOUD',
+      options   : [
+        {
+          label       : 'Amazon Web Services',
+          value       : 'aws',
+          description : 'Hosted on EC2',
+        },
+        {
+          label     : 'Google Cloud',
+          value     : 'gcp',
+          condition : 'REGION_COUNT < 10',
+        },
+        'local',
+      ],
+      default : 'aws',
+    },
+  ]
+
+  beforeEach(() => stringOut.reset())
+
+  test('offers the labels and stores the value', async () => {
+    const questioner = new Questioner({ interactions })
+    await questioner.next()
+    await questioner.answer('3')
+
+    const question = await questioner.next()
+    expect(question).toMatchObject({
+      options      : ['Amazon Web Services', 'Google Cloud', 'local'],
+      descriptions : ['Hosted on EC2', undefined, undefined],
+      default      : 'Amazon Web Services',
+    })
+
+    await questioner.answer('2')
+    expect(questioner.get('CLOUD')).toBe('gcp')
+  })
+
+  test('the default is matched against the values', async () => {
+    const questioner = new Questioner({ interactions })
+    await questioner.next()
+    await questioner.answer('3')
+    await questioner.next()
+    await questioner.answer('')
+
+    expect(questioner.get('CLOUD')).toBe('aws')
+  })
+
+  test('options are only offered when their condition is true', async () => {
+    const questioner = new Questioner({ interactions })
+    await questioner.next()
+    await questioner.answer('12')
+
+    expect((await questioner.next()).options).toEqual([
+      'Amazon Web Services',
+      'local',
+    ])
+    expect(await questioner.answer('3')).toMatchObject({
+      accepted : false,
+      issue    : expect.stringMatching(
+        /^Invalid selection\. Please enter a number between 1 and 2\./
+      ),
+    })
+
+    await questioner.answer('2')
+    expect(questioner.get('CLOUD')).toBe('local')
+  })
+
+  test('renders the descriptions', async () => {
+    const answers = ['3', '']
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : answers.shift() }),
+      }),
+      close : () => undefined,
+    }))
+
+    const questioner = new Questioner({ interactions, output })
+    await questioner.question()
+
+    expect(stringOut.string).toMatch(
+      /1\) Amazon Web Services - Hosted on EC2\n2\) Google Cloud\n3\) local\n/
+    )
+    expect(stringOut.string).toMatch(/\[Amazon Web Services\]/)
+  })
+
+  test('non-interactive answers are matched against the values', async () => {
+    const questioner = new Questioner({
+      initialParameters : { CLOUD : 'gcp', REGION_COUNT : 2 },
+      interactions,
+      nonInteractive    : true,
+    })
+    await questioner.question()
+
+    expect(questioner.get('CLOUD')).toBe('gcp')
+  })
+
+  test.each([
+    [
+      'the default is not an option value',
+      [{ ...interactions[1], default : 'Amazon Web Services' }],
+      /is invalid at '\/0\/default'; default 'Amazon Web Services' is not any of the specified options/,
+    ],
+    [
+      'an option object lacks a label',
+      [{ ...interactions[1], options : [{ value : 'aws' }], default : undefined }],
+      /is invalid at '\/0\/options\/0'; must be a string, number, boolean, or an object with a 'label'/,
+    ],
+  ])('rejects bundles where %s', (desc, badInteractions, expected) =>
+    expect(() => new Questioner({ interactions : badInteractions })).toThrow(
+      expected
+    ))
+
+  describe('optionsSource', () => {
+    const sourceInteractions = [
+      {
+        prompt     : 'Which services?',
+        parameter  : 'SERVICES',
+        options    : ['api', 'db', 'web'],
+        multiValue : true,
+      },
+      {
+        prompt        : 'Which is primary?',
+        parameter     : 'PRIMARY',
+        optionsSource : 'SERVICES',
+      },
+    ]
+
+    test('takes the options from an earlier answer', async () => {
+      const questioner = new Questioner({ interactions : sourceInteractions })
+      await questioner.next()
+      await questioner.answer('1,3')
+
+      expect((await questioner.next()).options).toEqual(['api', 'web'])
+      await questioner.answer('2')
+      expect(questioner.get('PRIMARY')).toBe('web')
+    })
+
+    test('takes the options from an initial parameter path', async () => {
+      const questioner = new Questioner({
+        initialParameters : {
+          deploy : {
+            clouds : [{ label : 'Amazon Web Services', value : 'aws' }, 'local'],
+          },
+        },
+        interactions : [
+          {
+            prompt        : 'Cloud?',
+            parameter     : 'CLOUD',
+            optionsSource : 'deploy.clouds',
+            default       : 'aws',
+          },
+        ],
+      })
+
+      expect(await questioner.next()).toMatchObject({
+        options : ['Amazon Web Services', 'local'],
+        default : 'Amazon Web Services',
+      })
+      await questioner.answer('')
+      expect(questioner.get('CLOUD')).toBe('aws')
+    })
+
+    test.each([
+      ['undefined', {}],
+      ['empty', { SERVICES : [] }],
+      ['not an array', { SERVICES : 'api' }],
+    ])('throws if the source is %s', async (desc, initialParameters) => {
+      const questioner = new Questioner({
+        initialParameters,
+        interactions : [sourceInteractions[1]],
+      })
+
+      await expect(questioner.next()).rejects.toThrow(
+        /must be a non-empty array to provide the options for 'PRIMARY'/
+      )
+    })
+
+    test.each([
+      ['records without a label', [{ NAME : 'users' }, { NAME : 'orders' }], 1],
+      ['null', ['api', null], 2],
+    ])('throws if the source items are %s', async (desc, SERVICES, itemI) => {
+      const questioner = new Questioner({
+        initialParameters : { SERVICES },
+        interactions      : [sourceInteractions[1]],
+      })
+
+      await expect(questioner.next()).rejects.toThrow(
+        new RegExp(
+          `item ${itemI} must be a string, number, boolean, or an object with a 'label'`
+        )
+      )
+    })
+
+    test('non-interactive answers are matched against the source values', async () => {
+      const questioner = new Questioner({
+        initialParameters : { SERVICES : ['api', 'db'], PRIMARY : 'db' },
+        interactions      : [sourceInteractions[1]],
+        nonInteractive    : true,
+      })
+      await questioner.question()
+
+      expect(questioner.get('PRIMARY')).toBe('db')
+    })
+
+    test("rejects questions with both 'options' and 'optionsSource'", () =>
+      expect(
+        () =>
+          new Questioner({
+            interactions : [{ ...sourceInteractions[1], options : ['a'] }],
+          })
+      ).toThrow(
+        /is invalid at '\/0'; may not define both 'options' and 'optionsSource'/
+      ))
+
+    test.each([['SERVICES[0]'], ['count(SERVICES)'], ['deploy..clouds']])(
+      "rejects 'optionsSource' %p, which is not a path",
+      (optionsSource) =>
+        expect(
+          () =>
+            new Questioner({
+              interactions : [{ ...sourceInteractions[1], optionsSource }],
+            })
+        ).toThrow(
+          /is invalid at '\/0\/optionsSource'; must be a parameter name or a dotted path/
+        )
+    )
+  })
+
+  describe('selecting by text', () => {
+    const zones = [
+      'US Eastern',
+      'US Central',
+      'US Mountain',
+      'US Pacific',
+      'Europe Western',
+      'Europe Central',
+      'Europe Eastern',
+    ]
+    const zoneInteractions = [
+      { prompt : 'Time zone?', parameter : 'ZONE', options : zones },
+      { prompt : 'Next?', parameter : 'NEXT' },
+    ]
+
+    test.each([
+      ['the label', 'us pacific', 'US Pacific'],
+      ['a unique prefix', 'us m', 'US Mountain'],
+      ['the value', 'gcp', 'gcp'],
+    ])('an option may be selected by %s', async (desc, answer, expected) => {
+      const options = [...zones, { label : 'Google Cloud', value : 'gcp' }]
+      const questioner = new Questioner({
+        interactions : [{ ...zoneInteractions[0], options }],
+      })
+      await questioner.next()
+      await questioner.answer(answer)
+
+      expect(questioner.get('ZONE')).toBe(expected)
+    })
+
+    test('text matching several options lists those options', async () => {
+      const questioner = new Questioner({ interactions : zoneInteractions })
+      await questioner.next()
+      await questioner.answer('central')
+
+      expect(await questioner.next()).toMatchObject({
+        filter : 'central',
+        listed : [1, 5],
+      })
+      await questioner.answer('6')
+      expect(questioner.get('ZONE')).toBe('Europe Central')
+    })
+
+    test('text matching no option is rejected', async () => {
+      const questioner = new Questioner({ interactions : zoneInteractions })
+      await questioner.next()
+
+      expect(await questioner.answer('Asia')).toMatchObject({
+        accepted : false,
+        issue    : expect.stringMatching(/^Invalid selection\./),
+      })
+    })
+
+    test('multi-value selections may mix numbers and text', async () => {
+      const questioner = new Questioner({
+        interactions : [{ ...zoneInteractions[0], multiValue : true }],
+      })
+      await questioner.next()
+
+      expect(await questioner.answer('1, europe')).toMatchObject({
+        accepted : false,
+        issue    : expect.stringMatching(
+          /^Ambiguous selection; 'europe' matches more than one option\./
+        ),
+      })
+      await questioner.next()
+      await questioner.answer('1, europe c')
+      expect(questioner.get('ZONE')).toEqual(['US Eastern', 'Europe Central'])
+    })
+
+    test('an option selected by text becomes the default when going back', async () => {
+      const questioner = new Questioner({ interactions : zoneInteractions })
+      await questioner.next()
+      await questioner.answer('us c')
+      await questioner.next()
+      await questioner.answer('<')
+
+      expect(await questioner.next()).toMatchObject({ default : 'US Central' })
+    })
+
+    test("long lists are paginated; '>' lists the next page", async () => {
+      const questioner = new Questioner({
+        interactions : zoneInteractions,
+        pageSize     : 3,
+      })
+      expect(await questioner.next()).toMatchObject({
+        listed    : [0, 1, 2],
+        page      : 1,
+        pageCount : 3,
+      })
+
+      await questioner.answer('>')
+      expect(await questioner.next()).toMatchObject({
+        listed : [3, 4, 5],
+        page   : 2,
+      })
+      await questioner.answer('>')
+      expect((await questioner.next()).listed).toEqual([6])
+      await questioner.answer('>')
+      expect((await questioner.next()).page).toBe(1)
+
+      await questioner.answer('7')
+      expect(questioner.get('ZONE')).toBe('Europe Eastern')
+    })
+
+    test('short lists are not paginated', async () => {
+      const questioner = new Questioner({ interactions : zoneInteractions })
+      const question = await questioner.next()
+
+      expect(question.listed).toBe(undefined)
+      expect(question.page).toBe(undefined)
+    })
+
+    test('renders the listed options', async () => {
+      const answers = ['>', 'eastern', '3']
+      readline.createInterface.mockImplementation(() => ({
+        [Symbol.asyncIterator] : () => ({
+          next : async () => ({ value : answers.shift() }),
+        }),
+        close : () => undefined,
+      }))
+
+      const questioner = new Questioner({
+        interactions : [zoneInteractions[0]],
+        output,
+        pageSize     : 3,
+      })
+      await questioner.question()
+
+      expect(questioner.get('ZONE')).toBe('US Mountain')
+      expect(stringOut.string).toMatch(
+        /4\) US Pacific\s+5\) Europe Western\s+6\) Europe Central\s+Page 2 of 3; enter '>' for the next page\. Enter part of an option to search\./
+      )
+      expect(stringOut.string).toMatch(
+        /1\) US Eastern\s+7\) Europe Eastern\s+Showing the options matching 'eastern'\. Enter part/
+      )
+    })
+  })
+
+  describe('allowOther', () => {
+    const otherInteractions = [
+      {
+        prompt     : 'Port?',
+        parameter  : 'PORT',
+        type       : 'int',
+        options    : [80, 443],
+        allowOther : true,
+        max        : 65535,
+      },
+    ]
+
+    test("adds an 'Other…' choice", async () => {
+      const questioner = new Questioner({ interactions : otherInteractions })
+      expect(await questioner.next()).toMatchObject({
+        options    : [80, 443, 'Other…'],
+        allowOther : true,
+      })
+
+      await questioner.answer('2')
+      expect(questioner.get('PORT')).toBe(443)
+    })
+
+    test("choosing 'Other…' asks for the value", async () => {
+      const questioner = new Questioner({ interactions : otherInteractions })
+      await questioner.next()
+      await questioner.answer('3')
+
+      const followUp = await questioner.next()
+      expect(followUp).toMatchObject({
+        prompt        : 'Enter the other value.',
+        enteringOther : true,
+        type          : 'int',
+      })
+      expect(followUp.options).toBe(undefined)
+
+      expect(await questioner.answer('70000')).toMatchObject({
+        accepted : false,
+        issue    : expect.stringMatching(/out of range/),
+      })
+      expect(await questioner.next()).toMatchObject({ prompt : 'Port?' })
+
+      await questioner.answer('3')
+      await questioner.next()
+      await questioner.answer('8080')
+      expect(questioner.get('PORT')).toBe(8080)
+    })
+
+    test('accepts other values in place of a selection', async () => {
+      const questioner = new Questioner({
+        interactions : [
+          {
+            prompt     : 'Colors?',
+            parameter  : 'COLORS',
+            options    : ['red', 'blue'],
+            multiValue : true,
+            allowOther : true,
+          },
+        ],
+      })
+      await questioner.next()
+      await questioner.answer('2, mauve, 3')
+      await questioner.next()
+      await questioner.answer('teal,ochre')
+
+      expect(questioner.get('COLORS')).toEqual([
+        'blue',
+        'mauve',
+        'teal',
+        'ochre',
+      ])
+    })
+
+    test('the previous other value becomes the default', async () => {
+      const questioner = new Questioner({
+        interactions : [
+          ...otherInteractions,
+          { prompt : 'Next?', parameter : 'NEXT' },
+        ],
+      })
+      await questioner.next()
+      await questioner.answer('3')
+      await questioner.next()
+      await questioner.answer('8080')
+      await questioner.next()
+      await questioner.answer('<')
+
+      expect(await questioner.next()).toMatchObject({ default : 8080 })
+      await questioner.answer('')
+      expect(questioner.get('PORT')).toBe(8080)
+    })
+
+    test("an empty 'Other…' entry re-asks the question", async () => {
+      const questioner = new Questioner({ interactions : otherInteractions })
+      await questioner.next()
+      await questioner.answer('3')
+      await questioner.next()
+
+      expect(await questioner.answer('')).toEqual({
+        accepted : false,
+        issue    : 'No other value was entered.',
+      })
+    })
+
+    test('the default need not be an option', async () => {
+      const questioner = new Questioner({
+        interactions : [{ ...otherInteractions[0], default : '8080' }],
+      })
+      await questioner.next()
+      await questioner.answer('')
+
+      expect(questioner.get('PORT')).toBe(8080)
+    })
+
+    test('non-interactive values need not be options', async () => {
+      const questioner = new Questioner({
+        initialParameters : { PORT : '8443' },
+        interactions      : otherInteractions,
+        nonInteractive    : true,
+        noSkipDefined     : true,
+      })
+      await questioner.question()
+
+      expect(questioner.get('PORT')).toBe(8443)
+    })
+  })
+})
@@ -7,7 +7,7 @@ import {
   doubleQuestionIB,
   simpleIntQuestionIB
 } from './test-data'
-import { Questioner, DEFINED_SKIPPED } from '../questioner'
+import { Questioner, CONDITION_SKIPPED, DEFINED_SKIPPED } from '../questioner'
 
 import { getPrinter, StringOut } from 'magic-print'
 
@@ -22,6 +22,24 @@ describe('Questioner - QnA flow', () => {
     stringOut.reset()
   })
 
+  const mockAnswers = (answers, outputs) => {
+    let readCount = 0
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => {
+          outputs?.push(stringOut.string)
+          stringOut.reset()
+          if (readCount >= answers.length) {
+            throw new Error('Unexpected read')
+          }
+
+          return { value : answers[readCount++] }
+        },
+      }),
+      close : () => undefined,
+    }))
+  }
+
   test('skips questions with a pre-existing parameter value (from previous question)', async () => {
     let readCount = 0
     readline.createInterface.mockImplementation(() => ({
@@ -376,7 +394,7 @@ describe('Questioner - QnA flow', () => {
           readCount += 1
 
           const review2PromptRe = new RegExp(
-            `^${termCtrl}Review[^:]+:${termCtrl}\nQ2\n\\[${termCtrl}V2${termCtrl}\\]: ${termCtrl}bar${termCtrl}\n${termCtrl}Verified\\?${termCtrl} \\[y\\/n\\]$`,
+            `^${termCtrl}Review[^:]+:${termCtrl}\n${termCtrl}1\\)${termCtrl} Q2\n\\[${termCtrl}V2${termCtrl}\\]: ${termCtrl}bar${termCtrl}\n${termCtrl}Verified\\?${termCtrl} \\[y\\/n or item numbers to change\\]$`,
             'm'
           )
 
@@ -427,7 +445,10 @@ describe('Questioner - QnA flow', () => {
               return { value : '1' }
             case 2: // review 1
               expect(stringOut.string).toMatch(
-                new RegExp(`^\n${termCtrl}Review 1[^:]+:${termCtrl}\nQ1`, 'm')
+                new RegExp(
+                  `^\n${termCtrl}Review 1[^:]+:${termCtrl}\n${termCtrl}1\\)${termCtrl} Q1`,
+                  'm'
+                )
               )
 
               return { value : 'y' }
@@ -466,7 +487,7 @@ describe('Questioner - QnA flow', () => {
             case 2: // review 1
               expect(stringOut.string).toMatch(
                 new RegExp(
-                  `^\n${termCtrl}Review 2[^:]+:${termCtrl}\nQ1(?:.|\n)+V2`,
+                  `^\n${termCtrl}Review 2[^:]+:${termCtrl}\n${termCtrl}1\\)${termCtrl} Q1(?:.|\n)+${termCtrl}2\\)${termCtrl} \\[${termCtrl}V2`,
                   'm'
                 )
               )
@@ -508,7 +529,7 @@ describe('Questioner - QnA flow', () => {
             case 3: // re-ask the review
               expect(stringOut.string).toMatch(
                 new RegExp(
-                  `^${termCtrl}Please answer yes or no \\(y/n\\)\\.${termCtrl}\n${termCtrl}Verified\\?`,
+                  `^${termCtrl}Please answer yes or no \\(y/n\\) or enter item numbers \\(1-1\\)\\.${termCtrl}\n${termCtrl}Verified\\?`,
                   'm'
                 )
               )
@@ -527,4 +548,230 @@ describe('Questioner - QnA flow', () => {
 
     expect(questioner.get('V1')).toBe(1)
   })
+
+  describe('back navigation', () => {
+    test('returns to the previous question with the previous answer as default', async () => {
+      const interactions = [
+        { prompt : 'Q1', parameter : 'V1' },
+        { prompt : 'Q2', parameter : 'V2' },
+      ]
+      const outputs = []
+      mockAnswers(['foo', '<', 'bar', 'baz'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[2]).toBe('\nQ1\n[foo|-]')
+      expect(questioner.values).toEqual({ V1 : 'bar', V2 : 'baz' })
+      expect(questioner.results).toHaveLength(2)
+    })
+
+    test('keeps an accepted default as the default', async () => {
+      const interactions = [
+        { prompt : 'Q1', parameter : 'V1', default : 'foo' },
+        { prompt : 'Q2', parameter : 'V2' },
+      ]
+      const outputs = []
+      mockAnswers(['', '<', '', 'bar'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[2]).toBe('\nQ1\n[foo|-]')
+      expect(questioner.values).toEqual({ V1 : 'foo', V2 : 'bar' })
+    })
+
+    test('re-evaluates conditions and maps when moving forward again', async () => {
+      const interactions = [
+        { prompt : 'Q1', parameter : 'V1', type : 'bool' },
+        { maps : [{ parameter : 'V1_INT', source : 'V1', type : 'int' }] },
+        { prompt : 'Q2', parameter : 'V2', condition : 'V1' },
+        { prompt : 'Q3', parameter : 'V3' },
+      ]
+      const outputs = []
+      mockAnswers(['y', '<', 'n', 'baz'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[1]).toMatch(/Q2/)
+      expect(outputs[3]).toMatch(/Q3/)
+      expect(questioner.values).toEqual({
+        V1     : false,
+        V1_INT : 0,
+        V2     : undefined,
+        V3     : 'baz',
+      })
+      expect(questioner.getResult('V2').disposition).toBe(CONDITION_SKIPPED)
+    })
+
+    test('re-asks the first question with a warning', async () => {
+      const interactions = [{ prompt : 'Q1', parameter : 'V1' }]
+      const outputs = []
+      mockAnswers(['<', 'foo'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[1]).toMatch(/There is no previous question\.(?:.|\n)*Q1/m)
+      expect(questioner.get('V1')).toBe('foo')
+    })
+
+    test('can go back past skipped actions and a re-asked question', async () => {
+      const interactions = [
+        { prompt : 'Q1', parameter : 'V1' },
+        { statement : 'Hi' },
+        { prompt : 'Q2', parameter : 'V2', type : 'int' },
+      ]
+      const outputs = []
+      mockAnswers(['foo', 'blah', '<', 'bar', '1'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[3]).toMatch(/Q1\n\[foo\|-\]/)
+      expect(questioner.values).toEqual({ V1 : 'bar', V2 : 1 })
+    })
+
+    test("respects the 'backToken' option", async () => {
+      const interactions = [
+        { prompt : 'Q1', parameter : 'V1' },
+        { prompt : 'Q2', parameter : 'V2' },
+      ]
+      mockAnswers(['foo', 'back', 'bar', '<'])
+
+      const questioner = new Questioner({
+        backToken : 'back',
+        interactions,
+        output,
+      })
+      await questioner.question()
+
+      expect(questioner.values).toEqual({ V1 : 'bar', V2 : '<' })
+    })
+  })
+
+  describe('review editing', () => {
+    const interactions = [
+      { prompt : 'Q1', parameter : 'V1', type : 'int' },
+      { prompt : 'Q2', parameter : 'V2' },
+      { maps : [{ parameter : 'V1X2', source : 'V1 * 2', type : 'int' }] },
+      { prompt : 'Q3', parameter : 'V3', condition : 'V1 > 5' },
+      { statement : 'Hi' },
+      { review : 'all' },
+    ]
+
+    test('numbers each reviewed item', async () => {
+      const outputs = []
+      mockAnswers(['1', 'foo', 'y'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      const reviewText = outputs[2].replaceAll(
+        /[^\n -~]{1,2}\[\d{1,3}(?:;\d{1,3};\d{1,3})?m/g,
+        ''
+      )
+      expect(reviewText).toMatch(
+        /Review 3 values:\n1\) Q1\n\[V1\]: 1\n\n2\) Q2\n\[V2\]: foo\n\n3\) \[V1X2\]: 2\n/
+      )
+      expect(reviewText).toMatch(
+        /Verified\? \[y\/n or item numbers to change\]$/
+      )
+    })
+
+    test('re-asks only the selected items', async () => {
+      const outputs = []
+      mockAnswers(['1', 'foo', '2', 'bar', 'y'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[3]).toMatch(/^\nQ2\n\[foo\|-\]$/)
+      expect(outputs[4]).toMatch(/Review 3 values/)
+      expect(outputs[4]).not.toMatch(/Hi/)
+      expect(questioner.values).toEqual({
+        V1   : 1,
+        V2   : 'bar',
+        V1X2 : 2,
+        V3   : undefined,
+      })
+    })
+
+    test('offers an accepted default as the default when the item is changed', async () => {
+      const outputs = []
+      mockAnswers(['1', '', '2', '', 'y'], outputs)
+
+      const questioner = new Questioner({
+        interactions : interactions.map((action) =>
+          action.parameter === 'V2' ? { ...action, default : 'foo' } : action),
+        output,
+      })
+      await questioner.question()
+
+      expect(outputs[3]).toMatch(/^\nQ2\n\[foo\|-\]$/)
+      expect(questioner.values).toMatchObject({ V1 : 1, V2 : 'foo' })
+    })
+
+    test('re-runs dependent maps and conditional questions', async () => {
+      const outputs = []
+      mockAnswers(['1', 'foo', '1', '10', 'baz', 'y'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[4]).toMatch(/^\nQ3\n$/)
+      expect(outputs[5]).toMatch(/Review 4 values/)
+      expect(questioner.values).toEqual({
+        V1   : 10,
+        V2   : 'foo',
+        V1X2 : 20,
+        V3   : 'baz',
+      })
+      // results remain in bundle order
+      expect(questioner.results.map(({ parameter }) => parameter)).toEqual([
+        'V1',
+        'V2',
+        'V1X2',
+        'V3',
+      ])
+    })
+
+    test('accepts multiple items', async () => {
+      mockAnswers(['1', 'foo', '2, 1', '2', 'bar', 'y'])
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(questioner.values).toMatchObject({ V1 : 2, V2 : 'bar', V1X2 : 4 })
+    })
+
+    test.each([
+      ['3', /Item 3 \('V1X2'\) is derived from other values/],
+      ['4', /Please answer yes or no \(y\/n\) or enter item numbers \(1-3\)/],
+      [
+        'blah',
+        /Please answer yes or no \(y\/n\) or enter item numbers \(1-3\)/,
+      ],
+    ])("rejects review response '%s'", async (response, messageRe) => {
+      const outputs = []
+      mockAnswers(['1', 'foo', response, 'y'], outputs)
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(outputs[3]).toMatch(messageRe)
+      expect(questioner.values).toMatchObject({ V1 : 1, V2 : 'foo' })
+    })
+
+    test('keeps the current value if the user tries to go back', async () => {
+      mockAnswers(['1', 'foo', '2', '<', 'y'])
+
+      const questioner = new Questioner({ interactions, output })
+      await questioner.question()
+
+      expect(questioner.values).toMatchObject({ V1 : 1, V2 : 'foo' })
+      expect(questioner.results).toHaveLength(4)
+    })
+  })
 })
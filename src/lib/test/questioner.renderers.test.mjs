@@ -0,0 +1,126 @@
+/* global beforeEach describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { Questioner } from '../questioner'
+import { defaultRenderer, plainTextRenderer } from '../renderers'
+
+jest.mock('node:readline')
+
+describe('Questioner - renderers', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  const interactions = [
+    { statement : 'Hello.' },
+    { prompt : 'Pick one', parameter : 'PICK', options : ['apple', 'banana'] },
+    { prompt : 'Count?', parameter : 'COUNT', type : 'int', default : 3 },
+    { review : 'questions' },
+  ]
+
+  const mockAnswers = (answers) => {
+    let readCount = 0
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : answers[readCount++] }),
+      }),
+      close : () => undefined,
+    }))
+  }
+
+  beforeEach(() => stringOut.reset())
+
+  test('the default renderer is used when no renderer is specified', async () => {
+    mockAnswers(['1', '', 'y'])
+    await new Questioner({ interactions, output }).question()
+    const defaultOutput = stringOut.string
+
+    stringOut.reset()
+    mockAnswers(['1', '', 'y'])
+    await new Questioner({
+      interactions,
+      output,
+      renderer : defaultRenderer,
+    }).question()
+
+    expect(stringOut.string).toBe(defaultOutput)
+  })
+
+  test('the plain text renderer lists options one per line without markup', async () => {
+    mockAnswers(['3', '1', '', 'y'])
+    await new Questioner({
+      interactions,
+      output,
+      renderer : plainTextRenderer,
+    }).question()
+
+    expect(stringOut.string).toBe(
+      'Hello.\n'
+        + '\nPick one\n\n1) apple\n2) banana\n'
+        + 'Invalid selection. Please enter a number between 1 and 2. Value must be greater\n'
+        + "than or equal to '0' and less than or equal to '2'.\n"
+        + '\nPick one\n\n1) apple\n2) banana\n'
+        // the user's input isn't echoed to the output, hence no newline after the hint
+        + '\nCount?\n[3|-]'
+        + 'Review 2 answers:\n'
+        + '1) Pick one\n[PICK]: apple\n\n'
+        + '2) Count?\n[COUNT]: 3\n'
+        + '\nVerified? [y/n or item numbers to change]'
+    )
+  })
+
+  test('dates and durations are formatted by type', () => {
+    let text = ''
+    plainTextRenderer.review(
+      {
+        reviewType : 'questions',
+        items      : [
+          { parameter : 'DAY', type : 'date', value : new Date(2024, 0, 2) },
+          {
+            parameter : 'AT',
+            type      : 'datetime',
+            value     : new Date(2024, 0, 2, 13, 30),
+          },
+          { parameter : 'FOR', type : 'duration', value : 5400000 },
+        ],
+      },
+      { write : (chunk) => (text += chunk.text) }
+    )
+
+    expect(text).toContain('[DAY]: 2024-01-02\n')
+    expect(text).toContain('[AT]: 2024-01-02 13:30\n')
+    expect(text).toContain('[FOR]: 1h 30m\n')
+  })
+
+  test('a partial renderer falls back to the default renderer', async () => {
+    mockAnswers(['1', '', 'y'])
+    await new Questioner({ interactions, output }).question()
+    const defaultOutput = stringOut.string
+
+    stringOut.reset()
+    mockAnswers(['1', '', 'y'])
+    const reviews = []
+    await new Questioner({
+      interactions,
+      output,
+      renderer : {
+        review    : (interaction) => reviews.push(interaction),
+        statement : ({ text }, { write }) => write({ text : `** ${text} **\n` }),
+      },
+    }).question()
+
+    expect(reviews).toHaveLength(1)
+    expect(reviews[0].items.map(({ value }) => value)).toEqual(['apple', 3])
+    expect(stringOut.string).toMatch(/^\*\* Hello\. \*\*\n/)
+    // the questions are rendered as normal
+    expect(stringOut.string).toContain(
+      defaultOutput.slice(
+        defaultOutput.indexOf('Pick one'),
+        defaultOutput.indexOf('Count?')
+      )
+    )
+    expect(stringOut.string).not.toMatch(/Verified\?/)
+  })
+})
@@ -0,0 +1,319 @@
+/* global beforeEach describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { UnresolvedParametersError } from '../errors'
+import { Questioner } from '../questioner'
+import { plainTextRenderer } from '../renderers'
+import { repeatingGroupIB } from './test-data'
+
+jest.mock('node:readline')
+
+describe('Questioner - repeating groups', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  // answers each question in turn and returns the prompts asked
+  const answerAll = async (questioner, answers) => {
+    const prompts = []
+    for (const answer of answers) {
+      prompts.push((await questioner.next()).prompt)
+      await questioner.answer(answer)
+    }
+
+    return prompts
+  }
+
+  beforeEach(() => stringOut.reset())
+
+  test('collects a record for each item while the condition holds', async () => {
+    const questioner = new Questioner({ interactions : repeatingGroupIB })
+    const prompts = await answerAll(questioner, [
+      'users',
+      '',
+      'y',
+      'orders',
+      '3306',
+      'y',
+      'n',
+      'Kim',
+    ])
+
+    expect(prompts).toEqual([
+      'Database name?',
+      'Port?',
+      'Add another database?',
+      'Database name?',
+      'Port?',
+      'Use TLS?',
+      'Add another database?',
+      'Owner?',
+    ])
+    expect(questioner.values).toEqual({
+      DATABASES : [
+        { NAME : 'users', PORT : 5432, MORE : true },
+        { NAME : 'orders', PORT : 3306, TLS : true, MORE : false },
+      ],
+      OWNER : 'Kim',
+    })
+    expect(questioner.getResult('DATABASES').value).toHaveLength(2)
+    expect(questioner.has('NAME')).toBe(false)
+  })
+
+  test("collects exactly 'max' items when there is no 'while'", async () => {
+    const questioner = new Questioner({
+      interactions : [
+        {
+          parameter : 'TAGS',
+          repeat    : [{ prompt : 'Tag?', parameter : 'TAG' }],
+          max       : 2,
+        },
+      ],
+    })
+    await answerAll(questioner, ['a', 'b'])
+
+    expect(await questioner.next()).toBe(undefined)
+    expect(questioner.get('TAGS')).toEqual([{ TAG : 'a' }, { TAG : 'b' }])
+  })
+
+  test("the 'while' condition is checked before the first item", async () => {
+    const questioner = new Questioner({
+      interactions : [
+        { prompt : 'Any databases?', parameter : 'MORE', type : 'bool' },
+        { ...repeatingGroupIB[0], min : 0 },
+        repeatingGroupIB[1],
+      ],
+    })
+    const prompts = await answerAll(questioner, ['n', 'Kim'])
+
+    expect(prompts).toEqual(['Any databases?', 'Owner?'])
+    expect(questioner.get('DATABASES')).toEqual([])
+  })
+
+  test('going back returns to the previous item', async () => {
+    const questioner = new Questioner({ interactions : repeatingGroupIB })
+    await answerAll(questioner, ['users', '', 'y', '<'])
+
+    expect(await questioner.next()).toMatchObject({
+      prompt  : 'Add another database?',
+      default : true,
+    })
+    await answerAll(questioner, ['n', 'Kim'])
+    expect(questioner.get('DATABASES')).toEqual([
+      { NAME : 'users', PORT : 5432, MORE : false },
+    ])
+  })
+
+  test("going back from the group's first question leaves the group", async () => {
+    const questioner = new Questioner({
+      interactions : [
+        { prompt : 'Team?', parameter : 'TEAM' },
+        ...repeatingGroupIB,
+      ],
+    })
+    await answerAll(questioner, ['core', '<'])
+
+    expect(await questioner.next()).toMatchObject({
+      prompt  : 'Team?',
+      default : 'core',
+    })
+  })
+
+  test('reviews list the records', async () => {
+    const answers = ['users', '', 'n', 'Kim', 'y']
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : answers.shift() }),
+      }),
+      close : () => undefined,
+    }))
+    const questioner = new Questioner({
+      interactions : [...repeatingGroupIB, { review : 'questions' }],
+      output,
+      renderer     : plainTextRenderer,
+    })
+    await questioner.question()
+
+    expect(stringOut.string).toMatch(
+      /1\) \[DATABASES\]: \{NAME: users, PORT: 5432, MORE: false\}\n\n2\) Owner\?/
+    )
+  })
+
+  describe('changing a group from a review', () => {
+    const reviewedIB = [...repeatingGroupIB, { review : 'questions' }]
+
+    test('collects the items again', async () => {
+      const questioner = new Questioner({ interactions : reviewedIB })
+      await answerAll(questioner, ['users', '', 'n', 'Kim'])
+
+      expect((await questioner.next()).items[0]).toMatchObject({
+        parameter : 'DATABASES',
+        derived   : false,
+      })
+      await questioner.answer('1')
+      const prompts = await answerAll(questioner, ['orders', '3306', 'y', 'n'])
+
+      expect(prompts).toEqual([
+        'Database name?',
+        'Port?',
+        'Use TLS?',
+        'Add another database?',
+      ])
+      expect((await questioner.next()).kind).toBe('review')
+      await questioner.answer('y')
+      expect(questioner.values).toEqual({
+        DATABASES : [{ NAME : 'orders', PORT : 3306, TLS : true, MORE : false }],
+        OWNER     : 'Kim',
+      })
+    })
+
+    test('going back keeps the current items', async () => {
+      const questioner = new Questioner({ interactions : reviewedIB })
+      await answerAll(questioner, ['users', '', 'n', 'Kim'])
+      await questioner.next()
+      await questioner.answer('1')
+      await answerAll(questioner, ['<'])
+
+      expect((await questioner.next()).kind).toBe('review')
+      expect(questioner.get('DATABASES')).toEqual([
+        { NAME : 'users', PORT : 5432, MORE : false },
+      ])
+    })
+  })
+
+  test('snapshots taken during a group exclude the incomplete items', async () => {
+    const questioner = new Questioner({
+      interactions : [
+        { prompt : 'Team?', parameter : 'TEAM' },
+        ...repeatingGroupIB,
+      ],
+    })
+    await answerAll(questioner, ['core', 'users', '', 'y', 'orders'])
+
+    const resumed = new Questioner({
+      interactions : [
+        { prompt : 'Team?', parameter : 'TEAM' },
+        ...repeatingGroupIB,
+      ],
+      snapshot : questioner.snapshot,
+    })
+    expect(resumed.values).toEqual({ TEAM : 'core' })
+    expect((await resumed.next()).prompt).toBe('Database name?')
+  })
+
+  describe('non-interactive mode', () => {
+    test('the records may be given as an initial parameter', async () => {
+      const DATABASES = [{ NAME : 'users', PORT : 5432 }]
+      const questioner = new Questioner({
+        initialParameters : { DATABASES, OWNER : 'Kim' },
+        interactions      : repeatingGroupIB,
+        nonInteractive    : true,
+      })
+      await questioner.question()
+
+      expect(questioner.get('DATABASES')).toEqual(DATABASES)
+    })
+
+    test("otherwise, 'min' items are collected from the defaults", async () => {
+      const questioner = new Questioner({
+        initialParameters : { OWNER : 'Kim' },
+        interactions      : [
+          {
+            parameter : 'TAGS',
+            repeat    : [{ prompt : 'Tag?', parameter : 'TAG', default : 'x' }],
+            min       : 2,
+            max       : 5,
+          },
+        ],
+        nonInteractive : true,
+      })
+      await questioner.question()
+
+      expect(questioner.get('TAGS')).toEqual([{ TAG : 'x' }, { TAG : 'x' }])
+    })
+
+    test('reports initial parameters which are not arrays', async () => {
+      const questioner = new Questioner({
+        initialParameters : { DATABASES : 'users', OWNER : 'Kim' },
+        interactions      : repeatingGroupIB,
+        nonInteractive    : true,
+      })
+
+      const error = await questioner.question().catch((e) => e)
+      expect(error).toBeInstanceOf(UnresolvedParametersError)
+      expect(error.issues).toEqual([
+        expect.objectContaining({
+          kind      : 'invalid',
+          parameter : 'DATABASES',
+          message   : expect.stringMatching(/must be an array of records/),
+        }),
+      ])
+    })
+
+    test('reports problems with an item against the group member', async () => {
+      const questioner = new Questioner({
+        interactions : [
+          { prompt : 'Owner?', parameter : 'OWNER', default : 'Kim' },
+          {
+            parameter : 'TAGS',
+            repeat    : [
+              { prompt : 'Tag?', parameter : 'TAG', default : 'x' },
+              { prompt : 'Weight?', parameter : 'WEIGHT', type : 'int' },
+            ],
+            min : 1,
+            max : 5,
+          },
+        ],
+        nonInteractive : true,
+      })
+
+      const error = await questioner.question().catch((e) => e)
+      expect(error).toBeInstanceOf(UnresolvedParametersError)
+      expect(error.issues).toEqual([
+        expect.objectContaining({
+          kind      : 'missing',
+          parameter : 'WEIGHT',
+          pointer   : '/1/repeat/1',
+        }),
+      ])
+    })
+  })
+
+  test.each([
+    [
+      "neither 'while' nor 'max'",
+      [{ parameter : 'TAGS', repeat : [{ prompt : 'Tag?', parameter : 'TAG' }] }],
+      /is invalid at '\/0'; must define one of 'while' or 'max'/,
+    ],
+    [
+      "a 'max' less than the 'min'",
+      [
+        {
+          parameter : 'TAGS',
+          repeat    : [{ prompt : 'Tag?', parameter : 'TAG' }],
+          min       : 3,
+          max       : 2,
+        },
+      ],
+      /is invalid at '\/0\/max'; 'max' \(2\) may not be less than 'min' \(3\)/,
+    ],
+    [
+      'a review',
+      [{ parameter : 'TAGS', repeat : [{ review : 'all' }], max : 2 }],
+      /is invalid at '\/0\/repeat\/0'; may not be a 'review' or 'repeat'/,
+    ],
+    [
+      "a 'while' which refers to an item field and no 'min'",
+      [{ ...repeatingGroupIB[0], min : undefined }],
+      /repeating group 1 'while' references 'MORE', which is not set before the first item; set 'min' to at least 1/,
+    ],
+    [
+      'an invalid action',
+      [{ parameter : 'TAGS', repeat : [{ prompt : 'Tag?' }], max : 2 }],
+      /is invalid at '\/0\/repeat\/0'; must have required property 'parameter'/,
+    ],
+  ])('rejects groups with %s', (desc, interactions, expected) =>
+    expect(() => new Questioner({ interactions })).toThrow(expected))
+})
@@ -0,0 +1,151 @@
+/* global beforeEach describe expect jest test */
+import { EventEmitter } from 'node:events'
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { Questioner } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - secrets', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  const interactions = [
+    { prompt : 'User?', parameter : 'USER' },
+    { prompt : 'Token?', parameter : 'TOKEN', secret : true },
+    { review : 'questions' },
+  ]
+
+  const answerAll = async (questioner, answers) => {
+    const responses = []
+    let interaction = await questioner.next()
+    while (interaction !== undefined) {
+      responses.push(interaction)
+      await questioner.answer(answers.shift())
+      interaction = await questioner.next()
+    }
+
+    return responses
+  }
+
+  beforeEach(() => stringOut.reset())
+
+  test('secret values are masked in reviews', async () => {
+    const questioner = new Questioner({ interactions })
+    const [, tokenQuestion, review] = await answerAll(questioner, [
+      'bob',
+      'abc123',
+      'y',
+    ])
+
+    expect(tokenQuestion.secret).toBe(true)
+    expect(review.items.map(({ value }) => value)).toEqual(['bob', '********'])
+  })
+
+  test('secret values are redacted from the results unless revealed', async () => {
+    const questioner = new Questioner({ interactions })
+    await answerAll(questioner, ['bob', 'abc123', 'y'])
+
+    expect(questioner.results[1]).toMatchObject({
+      parameter : 'TOKEN',
+      value     : '********',
+    })
+    expect(questioner.results[1]).not.toHaveProperty('rawAnswer')
+    expect(questioner.getResults({ revealSecrets : true })[1].value).toBe(
+      'abc123'
+    )
+    expect(questioner.get('TOKEN')).toBe('abc123')
+    expect(questioner.values.TOKEN).toBe('abc123')
+  })
+
+  test('secret defaults are masked', async () => {
+    const questioner = new Questioner({
+      interactions : [
+        { prompt : 'Token?', parameter : 'TOKEN', secret : true, default : 'xyz' },
+      ],
+    })
+    const interaction = await questioner.next()
+    expect(interaction.default).toBe('********')
+
+    await questioner.answer('')
+    expect(questioner.get('TOKEN')).toBe('xyz')
+  })
+
+  describe('with confirmation', () => {
+    const confirmInteractions = [
+      { prompt : 'Token?', parameter : 'TOKEN', secret : true, confirm : true },
+    ]
+
+    test('accepts matching entries', async () => {
+      const questioner = new Questioner({ interactions : confirmInteractions })
+      const [, confirmation] = await answerAll(questioner, ['abc', 'abc'])
+
+      expect(confirmation).toMatchObject({
+        kind       : 'question',
+        prompt     : 'Re-enter to confirm.',
+        confirming : true,
+        secret     : true,
+      })
+      expect(questioner.get('TOKEN')).toBe('abc')
+    })
+
+    test('re-asks the question when the entries do not match', async () => {
+      const questioner = new Questioner({ interactions : confirmInteractions })
+      await questioner.next()
+      await questioner.answer('abc')
+      await questioner.next()
+      expect(await questioner.answer('abd')).toEqual({
+        accepted : false,
+        issue    : 'The entries did not match. Please try again.',
+      })
+
+      expect(await questioner.next()).toMatchObject({ prompt : 'Token?' })
+      expect(questioner.has('TOKEN')).toBe(false)
+
+      await answerAll(questioner, ['abc', 'abc'])
+      expect(questioner.results).toHaveLength(1)
+      expect(questioner.get('TOKEN')).toBe('abc')
+    })
+
+    test('does not confirm accepting the default', async () => {
+      const questioner = new Questioner({
+        interactions : [{ ...confirmInteractions[0], default : 'xyz' }],
+      })
+      const responses = await answerAll(questioner, [''])
+
+      expect(responses).toHaveLength(1)
+      expect(questioner.get('TOKEN')).toBe('xyz')
+    })
+  })
+
+  test('secret answers are read from a TTY without echo', async () => {
+    const input = new EventEmitter()
+    input.isTTY = true
+    input.setRawMode = jest.fn()
+    input.pause = () => undefined
+    input.resume = () =>
+      setImmediate(() => {
+        for (const key of ['s', 'e', 'c', 'x']) {
+          input.emit('keypress', key, { name : key })
+        }
+        input.emit('keypress', '\u007f', { name : 'backspace' })
+        input.emit('keypress', '\r', { name : 'return' })
+      })
+
+    const questioner = new Questioner({
+      input,
+      interactions : [{ prompt : 'Token?', parameter : 'TOKEN', secret : true }],
+      output,
+    })
+    await questioner.question()
+
+    expect(questioner.get('TOKEN')).toBe('sec')
+    expect(readline.createInterface).not.toHaveBeenCalled()
+    expect(input.setRawMode.mock.calls).toEqual([[true], [false]])
+    // nothing is written after the prompt but the newline ending the entry
+    expect(stringOut.string).toBe('\nToken?\n\n')
+  })
+})
@@ -0,0 +1,164 @@
+/* global beforeEach describe expect jest test */
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { Questioner, ANSWERED, CONDITION_SKIPPED } from '../questioner'
+
+jest.mock('node:readline')
+
+describe('Questioner - snapshots', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  const interactions = [
+    { prompt : 'Q1', parameter : 'V1', type : 'int' },
+    { maps : [{ parameter : 'V1X2', source : 'V1 * 2', type : 'int' }] },
+    { prompt : 'Q2', parameter : 'V2', condition : 'V1 > 5' },
+    { prompt : 'Q3', parameter : 'V3' },
+  ]
+
+  // answers the questions until we run out of answers, at which point we simulate a lost session
+  const mockAnswers = (answers, outputs) => {
+    let readCount = 0
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => {
+          outputs?.push(stringOut.string)
+          stringOut.reset()
+          if (readCount >= answers.length) {
+            throw new Error('Lost session')
+          }
+
+          return { value : answers[readCount++] }
+        },
+      }),
+      close : () => undefined,
+    }))
+  }
+
+  beforeEach(() => {
+    stringOut.reset()
+  })
+
+  test('autosave is called with a snapshot as each action completes', async () => {
+    mockAnswers(['1', 'foo'])
+    const snapshots = []
+
+    const questioner = new Questioner({
+      autosave : (snapshot) => snapshots.push(snapshot),
+      interactions,
+      output,
+    })
+    await questioner.question()
+
+    expect(snapshots.map(({ position }) => position)).toEqual([1, 2, 3, 4])
+    expect(snapshots[3]).toEqual(questioner.snapshot)
+  })
+
+  test('the snapshot describes the interview state', async () => {
+    mockAnswers(['1'])
+
+    const questioner = new Questioner({ interactions, output })
+    await expect(questioner.question()).rejects.toThrow('Lost session')
+
+    const { actions, position, results } = questioner.snapshot
+    expect(position).toBe(3) // Q3 is in progress
+    expect(actions).toEqual([
+      { disposition : ANSWERED, rawAnswer : '1' },
+      { disposition : undefined, rawAnswer : undefined },
+      { disposition : CONDITION_SKIPPED, rawAnswer : undefined },
+      { disposition : undefined, rawAnswer : undefined },
+    ])
+    expect(results.map(({ parameter, value }) => [parameter, value])).toEqual([
+      ['V1', 1],
+      ['V1X2', 2],
+      ['V2', undefined],
+    ])
+  })
+
+  test('resumes with the first unanswered action', async () => {
+    mockAnswers(['1'])
+    let saved
+    const autosave = (snapshot) => {
+      saved = JSON.stringify(snapshot)
+    }
+
+    const firstQuestioner = new Questioner({ autosave, interactions, output })
+    await expect(firstQuestioner.question()).rejects.toThrow('Lost session')
+
+    const outputs = []
+    mockAnswers(['foo'], outputs)
+    const questioner = new Questioner({
+      interactions,
+      output,
+      snapshot : JSON.parse(saved),
+    })
+    await questioner.question()
+
+    expect(outputs).toEqual(['\nQ3\n'])
+    expect(questioner.values).toEqual({
+      V1   : 1,
+      V1X2 : 2,
+      V2   : undefined,
+      V3   : 'foo',
+    })
+  })
+
+  test('can go back to questions answered before the snapshot', async () => {
+    mockAnswers(['1'])
+    const firstQuestioner = new Questioner({ interactions, output })
+    await expect(firstQuestioner.question()).rejects.toThrow('Lost session')
+
+    const outputs = []
+    mockAnswers(['<', '', 'foo'], outputs)
+    const questioner = new Questioner({
+      interactions,
+      output,
+      snapshot : firstQuestioner.snapshot,
+    })
+    await questioner.question()
+
+    expect(outputs[1]).toBe('\nQ1\n[1|-]')
+    expect(questioner.values).toMatchObject({ V1 : 1, V3 : 'foo' })
+  })
+
+  test.each([
+    ['is not an object', 'foo'],
+    ['has the wrong number of actions', { actions : [], position : 0 }],
+    [
+      'lacks a position',
+      { actions : [{}, {}, {}, {}], history : [], results : [] },
+    ],
+    [
+      'lacks a fingerprint',
+      {
+        actions  : [{}, {}, {}, {}],
+        history  : [],
+        position : 0,
+        results  : [],
+      },
+    ],
+  ])('raises an error if the snapshot %s', (desc, snapshot) =>
+    expect(() => new Questioner({ interactions, snapshot })).toThrow(
+      /argument 'snapshot' is malformed/
+    ))
+
+  test('raises an error if the snapshot was taken with different interactions', () => {
+    const { snapshot } = new Questioner({ interactions })
+    // same number of actions, but a different question
+    const changed = interactions.with(3, { prompt : 'Q4', parameter : 'V4' })
+
+    expect(() => new Questioner({ interactions : changed, snapshot })).toThrow(
+      /argument 'snapshot' is malformed or does not match the interactions/
+    )
+    expect(
+      () =>
+        new Questioner({
+          interactions : structuredClone(interactions),
+          snapshot,
+        })
+    ).not.toThrow()
+  })
+})
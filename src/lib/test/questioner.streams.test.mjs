@@ -0,0 +1,68 @@
+/* global describe expect test */
+import { PassThrough, Readable } from 'node:stream'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { QuestioningCancelledError } from '../errors'
+import { Questioner } from '../questioner'
+
+// unlike the other questioner tests, these read from real streams through a real readline interface
+describe('Questioner - input streams', () => {
+  const interactions = [
+    { prompt : 'Q1', parameter : 'V1' },
+    { prompt : 'Q2', parameter : 'V2' },
+  ]
+
+  const question = async (input) => {
+    const stringOut = new StringOut()
+    const questioner = new Questioner({
+      input,
+      interactions,
+      output : { write : getPrinter({ out : stringOut }) },
+    })
+    try {
+      await questioner.question()
+    }
+    catch (e) {
+      return e
+    }
+    throw new Error('Questioning was not cancelled')
+  }
+
+  test('input ending before the last question raises a QuestioningCancelledError', async () => {
+    const error = await question(Readable.from(['5\n']))
+
+    expect(error).toBeInstanceOf(QuestioningCancelledError)
+    expect(error.reason).toBe('eof')
+    expect(error.results).toEqual([
+      expect.objectContaining({ parameter : 'V1', value : '5' }),
+    ])
+  })
+
+  test.each([
+    ['in one chunk', ['5\nfoo\n']],
+    ['in chunks which split the lines', ['5\nf', 'oo\n']],
+  ])('reads every answer when the answers arrive %s', async (desc, chunks) => {
+    const questioner = new Questioner({
+      input  : Readable.from(chunks),
+      interactions,
+      output : { write : getPrinter({ out : new StringOut() }) },
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({ V1 : '5', V2 : 'foo' })
+  })
+
+  test('input which has already ended raises a QuestioningCancelledError', async () => {
+    const input = new PassThrough()
+    input.end()
+    input.resume() // consume the end of the stream
+    await new Promise((resolve) => input.on('end', resolve))
+
+    const error = await question(input)
+
+    expect(error).toBeInstanceOf(QuestioningCancelledError)
+    expect(error.reason).toBe('eof')
+    expect(error.results).toEqual([])
+  })
+})
@@ -1,7 +1,7 @@
 /* global beforeAll beforeEach describe expect jest test */
 import * as readline from 'node:readline'
 
-import { Day, ValidatedString } from 'string-input'
+import { Day } from 'string-input'
 import { getPrinter, StringOut } from 'magic-print'
 import * as types from 'string-input'
 
@@ -15,7 +15,12 @@ import {
   sourceMappingIB,
   statementIB
 } from './test-data'
-import { Questioner, ANSWERED, CONDITION_SKIPPED } from '../questioner'
+import {
+  Questioner,
+  ANSWERED,
+  CONDITION_SKIPPED,
+  interrogationBundleSchema
+} from '../questioner'
 
 jest.mock('node:readline')
 
@@ -58,18 +63,14 @@ describe('Questioner', () => {
   })
 
   describe('interactions validation', () => {
-    test.each([
-      [undefined, ValidatedString],
-      ['string', ValidatedString],
-      [Day, Day],
-    ])(
-      "throws on invalid 'map' action source type %s",
-      (type, expectedType) => {
+    test.each([[undefined], ['string'], [Day]])(
+      "throws on invalid 'map' action string source with type %s",
+      (type) => {
         const interactions = [
-          { maps : [{ parameter : 'V', source : 'BAR', type }] },
+          { maps : [{ parameter : 'V', source : "lower('BAR'", type }] },
         ]
         expect(() => new Questioner({ interactions })).toThrow(
-          new RegExp(`is wrong type. Received type '${expectedType}'`)
+          /is invalid at '\/0\/maps\/0\/source'; Invalid string expression/
         )
       }
     )
@@ -78,30 +79,53 @@ describe('Questioner', () => {
       ['is undefined', undefined, /'interactions' is 'undefined'/],
       ['is null', null, /'interactions' is 'null'/],
       ['is empty array', [], /'interactions' is an empty array/],
+      [
+        'is not an array',
+        { prompt : 'Q', parameter : 'V' },
+        /'interactions' is invalid; must be array/,
+      ],
+      [
+        'action has both an else value and source',
+        [
+          {
+            prompt     : 'Q',
+            parameter  : 'V',
+            condition  : 'false',
+            elseValue  : 'a',
+            elseSource : "'b'",
+          },
+        ],
+        /is invalid at '\/0'; may not define both 'elseValue' and 'elseSource'/,
+      ],
       [
         'mapping lacks parameter',
         [{ maps : [{ value : 'foo' }] }],
-        /'mapping' action 1 fails to specify a 'parameter'/,
+        /is invalid at '\/0\/maps\/0'; must have required property 'parameter'/,
       ],
       [
         'mapping lacks source and value',
         [{ maps : [{ parameter : 'foo' }] }],
-        /mapping action 1 for 'foo' must specify one of 'source' or 'value'/,
+        /is invalid at '\/0\/maps\/0'; must define one of 'source' or 'value'/,
       ],
       [
         'action lacks proper type',
         [{ foo : 'bar' }],
-        /action 1 defines neither 'prompt', 'maps', 'statement', nor 'review'; cannot determine type/,
+        /is invalid at '\/0'; must define exactly one of 'prompt', 'maps', 'statement', 'review', 'repeat', or 'include'/,
+      ],
+      [
+        'action is an unresolved include',
+        [{ include : './other.json' }],
+        /action 1 is an 'include'; load the bundle with 'Questioner.loadBundle\(\)'/,
       ],
       [
         'action has multiple types',
         [{ prompt : 'Q', statement : 'S' }],
-        /action 1 defines multiple action types/,
+        /is invalid at '\/0'; must define exactly one of/,
       ],
       [
         'invalid review type',
         [{ prompt : 'Q', parameter : 'V' }, { review : 'blah' }],
-        /invalid review type 'blah' for action 2/,
+        /is invalid at '\/1\/review'; must be equal to one of the allowed values/,
       ],
     ])(
       'raises error on bad interactions %s',
@@ -115,6 +139,29 @@ describe('Questioner', () => {
         }
       }
     )
+
+    test('static validateBundle() reports all issues with JSON pointers', () => {
+      const interactions = [{ prompt : 'Q' }, { foo : 'bar' }]
+      const issues = Questioner.validateBundle(interactions)
+      expect(issues.map(({ pointer }) => pointer)).toEqual(['/0', '/1'])
+    })
+
+    test('static analyzeBundle() reports parameter reference problems', () => {
+      const interactions = [
+        { prompt : 'Q', parameter : 'V', condition : 'FOO' },
+        { maps : [{ parameter : 'X', source : 'V', type : 'bool' }] },
+      ]
+      const findings = Questioner.analyzeBundle(interactions, {
+        initialParameters : { BAR : 1 },
+      })
+      expect(findings.map(({ kind, pointer }) => [kind, pointer])).toEqual([
+        ['undefined-reference', '/0/condition'],
+        ['unused-parameter', '/1/maps/0'],
+      ])
+    })
+
+    test('publishes the interrogation bundle schema', () =>
+      expect(interrogationBundleSchema.title).toBe('Interrogation bundle'))
   })
 
   describe('boolean questions', () => {
@@ -267,6 +314,46 @@ describe('Questioner', () => {
       }
     )
 
+    test.each([
+      ['string', "'bucket-' + slugify(ENV_VAR)", 'bucket-prod-east'],
+      [undefined, "ENV_VAR == 'Prod East' ? 'live' : 'test'", 'live'],
+      ['date', "'2024-01-' + substring('x15', 1)", new Date(2024, 0, 15)],
+    ])(
+      "maps string 'source' of type %s, '%s' -> %p",
+      async (type, source, expected) => {
+        const interactions = [{ maps : [{ parameter : 'V', source, type }] }]
+        const initialParameters = { ENV_VAR : 'Prod East' }
+
+        const questioner = new Questioner({ interactions, initialParameters })
+        await questioner.question()
+
+        expect(questioner.get('V')).toEqual(expected)
+      }
+    )
+
+    test('validates string sources like literal values', async () => {
+      const interactions = [
+        {
+          maps : [
+            {
+              parameter : 'V',
+              source    : "'x' + ENV_VAR",
+              type      : 'string',
+              maxLength : 3,
+            },
+          ],
+        },
+      ]
+      const questioner = new Questioner({
+        interactions,
+        initialParameters : { ENV_VAR : 'long' },
+      })
+
+      await expect(questioner.question()).rejects.toThrow(
+        /'V' with value 'xlong' may be no more than 3 characters long/
+      )
+    })
+
     test.each([
       ['bool', 'y', true],
       ['int', '1', 1],
@@ -874,12 +961,12 @@ describe('Questioner', () => {
       [
         "no 'parameter' for question",
         [{ prompt : 'hey' }],
-        /does not define a 'parameter'/,
+        /must have required property 'parameter'/,
       ],
       [
         'bad options type',
         [{ prompt : 'Q', options : 'blah', parameter : 'V' }],
-        /'options' must be an array/,
+        /is invalid at '\/0\/options'; must be array/,
       ],
       [
         'default does not match options',
@@ -0,0 +1,97 @@
+/* global describe expect test */
+import { Questioner } from '../questioner'
+
+describe('Questioner - date and duration types', () => {
+  const answerAll = async (questioner, answers) => {
+    const interactions = []
+    let interaction = await questioner.next()
+    while (interaction !== undefined) {
+      interactions.push(interaction)
+      if (interaction.kind !== 'statement') {
+        await questioner.answer(answers.shift())
+      }
+      interaction = await questioner.next()
+    }
+
+    return interactions
+  }
+
+  const interactions = [
+    {
+      prompt    : 'Deadline?',
+      parameter : 'DEADLINE',
+      type      : 'date',
+      min       : 'today',
+    },
+    { prompt : 'Estimate?', parameter : 'ESTIMATE', type : 'duration' },
+    {
+      condition : 'DEADLINE > TODAY',
+      statement : 'Plenty of time.',
+    },
+    { review : 'questions' },
+  ]
+
+  test('produces Date and millisecond values', async () => {
+    const questioner = new Questioner({ interactions })
+    await answerAll(questioner, ['today', '2h 30m', 'y'])
+
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+    expect(questioner.get('DEADLINE')).toEqual(today)
+    expect(questioner.get('ESTIMATE')).toBe(9000000)
+  })
+
+  test('honors min and max', async () => {
+    const questioner = new Questioner({ interactions })
+    await questioner.next()
+    const { accepted, issue } = await questioner.answer('2000-01-01')
+
+    expect(accepted).toBe(false)
+    expect(issue).toMatch(/out of range/)
+  })
+
+  test('rejects invalid date-times', async () => {
+    const questioner = new Questioner({
+      interactions : [{ prompt : 'When?', parameter : 'WHEN', type : 'datetime' }],
+    })
+    await questioner.next()
+
+    expect(await questioner.answer('0 Jan 2030 13:30')).toMatchObject({
+      accepted : false,
+      issue    : expect.stringMatching(/is not a valid date-time/),
+    })
+    expect(await questioner.answer('15 Jan 2030 13:30')).toEqual({
+      accepted : true,
+    })
+    expect(questioner.get('WHEN')).toEqual(new Date(2030, 0, 15, 13, 30))
+  })
+
+  test.each([
+    ['today', false],
+    ['tomorrow', true],
+  ])('compares dates in conditions (%s)', async (deadline, hasStatement) => {
+    const questioner = new Questioner({ interactions })
+    const seen = await answerAll(questioner, [deadline, '1h', 'y'])
+
+    expect(seen.some(({ kind }) => kind === 'statement')).toBe(hasStatement)
+  })
+
+  test('formats the reviewed values by type', async () => {
+    const questioner = new Questioner({ interactions })
+    const seen = await answerAll(questioner, ['2999-12-31', '90 minutes', 'y'])
+    const review = seen.find(({ kind }) => kind === 'review')
+
+    expect(review.items.map(({ type }) => type)).toEqual(['date', 'duration'])
+    expect(review.items[0].value).toEqual(new Date(2999, 11, 31))
+  })
+
+  test('revives dates from a JSON snapshot', async () => {
+    const questioner = new Questioner({ interactions })
+    await questioner.next()
+    await questioner.answer('2999-12-31')
+    const snapshot = JSON.parse(JSON.stringify(questioner.snapshot))
+
+    const resumed = new Questioner({ interactions, snapshot })
+    expect(resumed.get('DEADLINE')).toEqual(new Date(2999, 11, 31))
+  })
+})
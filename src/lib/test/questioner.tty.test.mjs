@@ -0,0 +1,192 @@
+/* global beforeEach describe expect jest test */
+import { EventEmitter } from 'node:events'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import * as readline from 'node:readline'
+
+import { getPrinter, StringOut } from 'magic-print'
+
+import { QuestioningCancelledError } from '../errors'
+import { completePath } from '../lib/path-type'
+import { Questioner } from '../questioner'
+import { plainTextRenderer } from '../renderers'
+
+jest.mock('node:readline')
+
+describe('Questioner - TTY mode', () => {
+  const stringOut = new StringOut()
+  const print = getPrinter({ out : stringOut })
+  const output = { write : print }
+
+  let input
+  // Each time the input is resumed for a selection, the next set of keys is pressed.
+  const mockKeys = (keySets) => {
+    input = new EventEmitter()
+    input.isTTY = true
+    input.setRawMode = jest.fn()
+    input.pause = () => undefined
+    input.resume = () => {
+      const keys = keySets.shift() || []
+      setImmediate(() => {
+        for (const key of keys) {
+          input.emit('keypress', key.length === 1 ? key : undefined, {
+            name : key === ' ' ? 'space' : key,
+          })
+        }
+      })
+    }
+  }
+
+  beforeEach(() => stringOut.reset())
+
+  test('options questions are answered by selection', async () => {
+    mockKeys([
+      ['down', 'return'],
+      [' ', 'down', 'down', ' ', 'return'],
+    ])
+    const questioner = new Questioner({
+      input,
+      interactions : [
+        { prompt : 'Pick one', parameter : 'ONE', options : ['a', 'b'] },
+        {
+          prompt     : 'Pick some',
+          parameter  : 'SOME',
+          options    : ['x', 'y', 'z'],
+          multiValue : true,
+        },
+      ],
+      output,
+      renderer : plainTextRenderer,
+      tty      : true,
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({ ONE : 'b', SOME : ['x', 'z'] })
+    expect(readline.createInterface).not.toHaveBeenCalled()
+    // the final rendering of the first question; earlier renderings are erased with ANSI codes
+    expect(stringOut.string).toContain(
+      '\u001b[5A\u001b[0J\nPick one\n(Use the arrow keys to move and enter to select.)\n  a\n> b\n'
+    )
+    expect(stringOut.string).toMatch(/> \[x\] z\n$/)
+  })
+
+  test('long option lists scroll and may be searched', async () => {
+    mockKeys([['down', 'down', '/', 'c', 'return']])
+    const questioner = new Questioner({
+      input,
+      interactions : [
+        { prompt : 'Pick one', parameter : 'ONE', options : ['a', 'b', 'c'] },
+      ],
+      output,
+      pageSize : 2,
+      renderer : plainTextRenderer,
+      tty      : true,
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({ ONE : 'c' })
+    expect(stringOut.string).toContain(
+      "\nPick one\n(Use the arrow keys to move and enter to select. Type '/' to search.)\n"
+        + '  b\n> c\n(2 of 3 options shown)\n'
+    )
+    expect(stringOut.string).toMatch(/Search: c\n> c\n$/)
+  })
+
+  test('free-form questions are read as lines', async () => {
+    mockKeys([['return']])
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : 'Bob' }),
+      }),
+      close : () => undefined,
+    }))
+    const questioner = new Questioner({
+      input,
+      interactions : [
+        { prompt : 'Name?', parameter : 'NAME' },
+        { prompt : 'Pick one', parameter : 'ONE', options : ['a', 'b'] },
+      ],
+      output,
+      tty : true,
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({ NAME : 'Bob', ONE : 'a' })
+  })
+
+  test('path questions are read with tab completion', async () => {
+    mockKeys([])
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : '~/foo' }),
+      }),
+      close : () => undefined,
+      on    : () => undefined,
+    }))
+    const questioner = new Questioner({
+      input,
+      interactions : [{ prompt : 'Where?', parameter : 'WHERE', type : 'path' }],
+      output,
+      tty          : true,
+    })
+    await questioner.question()
+
+    expect(readline.createInterface).toHaveBeenLastCalledWith(
+      expect.objectContaining({ completer : completePath, terminal : true })
+    )
+    expect(questioner.get('WHERE')).toBe(path.join(os.homedir(), 'foo'))
+  })
+
+  test('the left arrow goes back to the previous question', async () => {
+    mockKeys([['return'], ['left'], ['down', 'return'], ['return']])
+    const questioner = new Questioner({
+      input,
+      interactions : [
+        { prompt : 'First', parameter : 'FIRST', options : ['a', 'b'] },
+        { prompt : 'Second', parameter : 'SECOND', options : ['c', 'd'] },
+      ],
+      output,
+      tty : true,
+    })
+    await questioner.question()
+
+    expect(questioner.values).toEqual({ FIRST : 'b', SECOND : 'c' })
+  })
+
+  test('Ctrl-C interrupts questioning', async () => {
+    mockKeys([])
+    const questioner = new Questioner({
+      input,
+      interactions : [{ prompt : 'Pick', parameter : 'P', options : ['a'] }],
+      output,
+      tty          : true,
+    })
+    const questioning = questioner.question()
+    setImmediate(() =>
+      input.emit('keypress', '\u0003', { ctrl : true, name : 'c' }))
+
+    await expect(questioning).rejects.toThrow(QuestioningCancelledError)
+    await expect(questioning).rejects.toMatchObject({ reason : 'interrupted' })
+    expect(input.setRawMode).toHaveBeenLastCalledWith(false)
+  })
+
+  test('is off by default when an output is provided', async () => {
+    mockKeys([])
+    readline.createInterface.mockImplementation(() => ({
+      [Symbol.asyncIterator] : () => ({
+        next : async () => ({ value : '2' }),
+      }),
+      close : () => undefined,
+    }))
+    const questioner = new Questioner({
+      input,
+      interactions : [{ prompt : 'Pick', parameter : 'P', options : ['a', 'b'] }],
+      output,
+    })
+
+    await questioner.question()
+
+    expect(questioner.values).toEqual({ P : 'b' })
+    expect(input.setRawMode).not.toHaveBeenCalled()
+  })
+})
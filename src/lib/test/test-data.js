@@ -75,6 +75,45 @@ const conditionStatementIB = [
   { statement : 'Bye!' },
 ]
 
+const repeatingGroupIB = [
+  {
+    parameter : 'DATABASES',
+    repeat    : [
+      { prompt : 'Database name?', parameter : 'NAME' },
+      { prompt : 'Port?', parameter : 'PORT', type : 'int', default : 5432 },
+      {
+        condition : 'PORT != 5432',
+        prompt    : 'Use TLS?',
+        parameter : 'TLS',
+        type      : 'bool',
+      },
+      { prompt : 'Add another database?', parameter : 'MORE', type : 'bool' },
+    ],
+    min   : 1,
+    while : 'MORE',
+  },
+  { prompt : 'Owner?', parameter : 'OWNER' },
+]
+
+const interpolationIB = [
+  { prompt : 'Application name?', parameter : 'APP_NAME' },
+  { statement : 'Configuring {{APP_NAME}}; use \\{{NAME}} in templates.' },
+  {
+    prompt    : 'Deploy {{ APP_NAME }} to which region?',
+    parameter : 'REGION',
+    options   : [
+      'us-east',
+      { label : '{{APP_NAME}} local', value : 'local-{{APP_NAME}}' },
+    ],
+    default : 'local-{{APP_NAME}}',
+  },
+  {
+    prompt    : 'Install path?',
+    parameter : 'INSTALL_PATH',
+    default   : '/srv/{{APP_NAME}}',
+  },
+]
+
 export {
   WHATS_YOUR_FAVORITE_INT,
   IS_THE_COMPANY_THE_CLIENT,
@@ -84,6 +123,8 @@ export {
   conditionStatementIB,
   cookieParameterIB,
   doubleQuestionIB,
+  interpolationIB,
+  repeatingGroupIB,
   simpleIntQuestionIB,
   simpleIB,
   sourceMappingIB,